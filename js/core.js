@@ -1,7 +1,43 @@
 // Constants for core.js
 const COLLISION_EPSILON = 0.001;
 const INPUT_DEADZONE = 0.1;
+const GAMEPAD_MOVE_DEADZONE = 0.15; // left stick, radial
+const GAMEPAD_AIM_DEADZONE = 0.3; // right stick, radial
+const GAMEPAD_TRIGGER_THRESHOLD = 0.5;
+const TOUCH_STICK_RADIUS = 90; // pt
+const TOUCH_KNOB_RADIUS = 36; // pt
+const TOUCH_BUTTON_RADIUS = 42; // pt
+const TOUCH_FIRE_THRESHOLD = 0.5; // aim stick deflection that starts firing
+const AIM_ASSIST_RANGE = 700; // pt from the player; farther enemies are never assisted
+const AIM_ASSIST_MAGNET_RADIUS = 70; // pt around a point reticle, plus the enemy radius
+const AIM_ASSIST_MAGNET_ANGLE = 0.2; // rad around a stick aim direction
+const AIM_ASSIST_MAGNET_PULL = 0.5; // share of the way to the target at full strength
+const AIM_ASSIST_STICKY_SCALE = 1.6; // the locked target's magnet zone grows by this
+const AIM_ASSIST_STICKY_TIME = 0.3; // s a lock survives after leaving its zone
+const AIM_ASSIST_BEND_ANGLE = 0.12; // rad, shot cone bent onto the target at full strength
+const AIM_ASSIST_MAX_BOOST = 0.5; // extra strength from boosts (e.g. fatigue)
+const MEDIAPIPE_CDN_BASE_URL = 'https://cdn.jsdelivr.net/npm/@mediapipe/';
+const MEDIAPIPE_LOAD_TIMEOUT_MS = 15000; // per stage: scripts, model, camera
+const GESTURE_MOVE_DEADZONE = 0.05; // normalized fingertip offset from the movement center
+const GESTURE_MOVE_MAX_RADIUS = 0.2; // offset that reaches full speed
+const TRACKING_MIN_HANDEDNESS_SCORE = 0.8; // below this a visible hand counts as degraded
+const FATIGUE_BASELINE_SECONDS = 30; // active play used to learn the player's fresh baseline
+const FATIGUE_FULL_SESSION_MINUTES = 20; // raised-arm play time alone reaches full fatigue here
+const FATIGUE_SMOOTHING_SECONDS = 5; // time constant of the reported fatigue
+const FATIGUE_SAMPLE_INTERVAL = 10; // seconds between logged curve points
+const FATIGUE_SESSION_LOG_LIMIT = 20; // sessions kept in storage
+const GESTURE_CAMERA_WIDTH = 640; // px
+const GESTURE_CAMERA_HEIGHT = 480; // px
+const RECORDING_PRECISION = 5; // decimals kept for recorded landmark coordinates
+const GESTURE_MIN_CONFIDENCE = 0.6; // pose score needed to count as a candidate
+const GESTURE_HOLD_MS = 150; // a pose must persist this long before it activates
+const GESTURE_RELEASE_MS = 100; // and be gone this long before it releases
+const SWIPE_WINDOW_MS = 300;
+const SWIPE_MIN_DISTANCE = 0.2; // normalized palm travel within the window
+const SWIPE_COOLDOWN_MS = 600; // per hand
+const STILL_POSE_MAX_TRAVEL = 0.05; // normalized palm travel within the swipe window
 const IMG_DIR = 'assets/images/';
+const DATA_DIR = 'assets/data/';
 
 // Image loading system
 export class ImageLoader {
@@ -52,6 +88,30 @@ export class ImageLoader {
     }
 }
 
+// JSON data loading (difficulty curve, ...). A missing or malformed file resolves to the
+// caller's fallback, so the game still starts from file:// or without the data folder.
+export class DataLoader {
+    constructor(fetchImpl = (typeof fetch !== 'undefined' ? fetch.bind(globalThis) : null)) {
+        this.fetch = fetchImpl;
+        this.data = new Map();
+    }
+    
+    async load(filename, fallback = null) {
+        if (this.data.has(filename)) return this.data.get(filename);
+        if (!this.fetch) return fallback;
+        try {
+            const response = await this.fetch(DATA_DIR + filename);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const data = await response.json();
+            this.data.set(filename, data);
+            return data;
+        } catch (error) {
+            console.warn(`Failed to load data: ${filename}, using built-in defaults`, error);
+            return fallback;
+        }
+    }
+}
+
 // Utility functions
 export const Utils = {
     clamp(value, min, max) {
@@ -80,6 +140,17 @@ export const Utils = {
     
     randomInt(min, max) {
         return Math.floor(Math.random() * (max - min + 1)) + min;
+    },
+    
+    // Convert client (CSS pixel) coordinates to canvas/arena coordinates
+    clientToCanvas(canvas, clientX, clientY) {
+        const rect = canvas.getBoundingClientRect();
+        const scaleX = canvas.width / rect.width;
+        const scaleY = canvas.height / rect.height;
+        return {
+            x: (clientX - rect.left) * scaleX,
+            y: (clientY - rect.top) * scaleY
+        };
     }
 };
 
@@ -149,17 +220,347 @@ export class CollisionSystem {
     }
 }
 
-// Input Manager with pluggable providers
+// Built-in difficulty when assets/data/difficulty.json cannot be loaded: the original
+// flat pacing (one random enemy every 2 s, no ramp, no bosses)
+export const DEFAULT_DIFFICULTY_CURVE = {
+    keyframes: [
+        { time: 0, spawnInterval: 2.0, groupSize: 1, weights: { assassin: 1, shooter: 1, tank: 1 }, hp: 1, speed: 1 }
+    ],
+    boss: null,
+    performance: { maxAdjust: 0 }
+};
+
+const DEFAULT_DIFFICULTY_PERFORMANCE = {
+    windowSeconds: 60, // recent play used to judge performance
+    warmupSeconds: 20, // performance is not judged before this
+    targetKillsPerMinute: 12,
+    damagePerMinuteLimit: 3,
+    maxAdjust: 0.3, // ± share the curve can be pushed by performance
+    responseSeconds: 10, // time constant of the adjustment
+    effects: { spawnRate: 1, hp: 1, speed: 0.5 } // how strongly the adjustment applies to each
+};
+
+// Difficulty director: follows a data-defined curve of spawn interval, group size,
+// enemy-type weights and stat multipliers over elapsed play time, nudged harder or easier
+// by recent kills per minute and damage taken
+export class DifficultyDirector {
+    constructor(curve = DEFAULT_DIFFICULTY_CURVE) {
+        this.setCurve(curve);
+        this.reset();
+    }
+    
+    // Keyframes are sorted by time; missing fields carry over from the previous keyframe
+    setCurve(curve) {
+        const frames = Array.isArray(curve?.keyframes)
+            ? curve.keyframes.filter(frame => typeof frame?.time === 'number').sort((a, b) => a.time - b.time)
+            : [];
+        if (frames.length === 0) {
+            console.warn('Difficulty curve has no keyframes, using built-in defaults');
+            this.setCurve(DEFAULT_DIFFICULTY_CURVE);
+            return;
+        }
+        let previous = DEFAULT_DIFFICULTY_CURVE.keyframes[0];
+        this.keyframes = frames.map(frame => {
+            const merged = { ...previous, ...frame, weights: { ...(frame.weights || previous.weights) } };
+            previous = merged;
+            return merged;
+        });
+        // Optional boss schedule: { type, firstAt, interval } in seconds
+        this.boss = typeof curve.boss?.type === 'string' ? { firstAt: 0, interval: 0, ...curve.boss } : null;
+        this.performance = {
+            ...DEFAULT_DIFFICULTY_PERFORMANCE,
+            ...curve.performance,
+            effects: { ...DEFAULT_DIFFICULTY_PERFORMANCE.effects, ...curve.performance?.effects }
+        };
+    }
+    
+    reset() {
+        this.elapsed = 0;
+        this.spawnTimer = 0;
+        this.bossTimer = this.boss ? this.boss.firstAt : Infinity;
+        this.events = []; // { time, kills, damage } within the performance window
+        this.adjust = 0;
+    }
+    
+    recordKills(count = 1) {
+        if (count > 0) this.events.push({ time: this.elapsed, kills: count, damage: 0 });
+    }
+    
+    recordDamage(amount) {
+        if (amount > 0) this.events.push({ time: this.elapsed, kills: 0, damage: amount });
+    }
+    
+    // Advance play time; returns how many enemies to spawn this frame
+    update(deltaTime) {
+        this.elapsed += deltaTime;
+        this.updatePerformance(deltaTime);
+        
+        this.spawnTimer += deltaTime;
+        const settings = this.getSettings();
+        if (this.spawnTimer < settings.spawnInterval) return 0;
+        this.spawnTimer = 0;
+        return settings.groupSize;
+    }
+    
+    // Boss type to spawn this frame, or null. The clock waits while a boss is alive.
+    updateBoss(deltaTime, bossAlive) {
+        if (!this.boss || bossAlive) return null;
+        this.bossTimer -= deltaTime;
+        if (this.bossTimer > 0) return null;
+        this.bossTimer = this.boss.interval;
+        return this.boss.type;
+    }
+    
+    // -1 (struggling) .. 1 (cruising): kill rate above target pushes up, damage pulls down
+    getPerformance() {
+        const perf = this.performance;
+        if (this.elapsed < perf.warmupSeconds) return 0;
+        const minutes = Math.min(this.elapsed, perf.windowSeconds) / 60;
+        let kills = 0;
+        let damage = 0;
+        this.events.forEach(event => {
+            kills += event.kills;
+            damage += event.damage;
+        });
+        const killScore = (kills / minutes) / perf.targetKillsPerMinute - 1;
+        const damageScore = (damage / minutes) / perf.damagePerMinuteLimit;
+        return Utils.clamp(killScore - damageScore, -1, 1);
+    }
+    
+    updatePerformance(deltaTime) {
+        const perf = this.performance;
+        const windowStart = this.elapsed - perf.windowSeconds;
+        this.events = this.events.filter(event => event.time >= windowStart);
+        const target = this.getPerformance() * perf.maxAdjust;
+        const blend = 1 - Math.exp(-deltaTime / Math.max(perf.responseSeconds, 1e-3));
+        this.adjust += (target - this.adjust) * blend;
+    }
+    
+    // Curve values at the current time with the performance adjustment applied
+    getSettings() {
+        const frames = this.keyframes;
+        let next = frames.findIndex(frame => frame.time > this.elapsed);
+        if (next === -1) next = frames.length - 1;
+        const from = frames[Math.max(0, next - 1)];
+        const to = frames[next];
+        const t = to.time > from.time ? Utils.clamp((this.elapsed - from.time) / (to.time - from.time), 0, 1) : 1;
+        
+        const weights = {};
+        new Set([...Object.keys(from.weights), ...Object.keys(to.weights)]).forEach(type => {
+            weights[type] = Utils.lerp(from.weights[type] || 0, to.weights[type] || 0, t);
+        });
+        
+        const effects = this.performance.effects;
+        return {
+            spawnInterval: Utils.lerp(from.spawnInterval, to.spawnInterval, t) / (1 + this.adjust * effects.spawnRate),
+            groupSize: Math.max(1, Math.round(Utils.lerp(from.groupSize, to.groupSize, t))),
+            weights,
+            hp: Utils.lerp(from.hp, to.hp, t) * (1 + this.adjust * effects.hp),
+            speed: Utils.lerp(from.speed, to.speed, t) * (1 + this.adjust * effects.speed)
+        };
+    }
+    
+    // Weighted random pick among types the caller can spawn
+    pickEnemyType(availableTypes, random = Math.random) {
+        const weights = this.getSettings().weights;
+        const candidates = availableTypes.filter(type => (weights[type] || 0) > 0);
+        if (candidates.length === 0) return availableTypes[Math.floor(random() * availableTypes.length)];
+        const total = candidates.reduce((sum, type) => sum + weights[type], 0);
+        let roll = random() * total;
+        for (const type of candidates) {
+            roll -= weights[type];
+            if (roll < 0) return type;
+        }
+        return candidates[candidates.length - 1];
+    }
+    
+    // Scale a freshly spawned enemy by the current hp and speed multipliers
+    applyStats(enemy) {
+        const settings = this.getSettings();
+        enemy.maxHp = Math.max(1, Math.round(enemy.maxHp * settings.hp));
+        enemy.hp = enemy.maxHp;
+        enemy.speed *= settings.speed;
+    }
+}
+
+// Built-in waves when assets/data/waves.json cannot be loaded
+export const DEFAULT_WAVES = {
+    firstWaveDelay: 3,
+    intermission: 8,
+    waves: [
+        { groups: [{ type: 'assassin', count: 5, at: 0, interval: 1.2 }] },
+        { groups: [{ type: 'assassin', count: 6, at: 0, interval: 1 }, { type: 'shooter', count: 2, at: 4, interval: 3 }] },
+        { groups: [{ type: 'tank', count: 2, at: 0, interval: 4 }, { type: 'shooter', count: 4, at: 2, interval: 2 }] }
+    ],
+    repeat: { waves: 1, countGrowth: 0.25, hpGrowth: 0.2 }
+};
+
+// Wave mode: spawns data-defined wave compositions on their timings, waits until every
+// enemy (dying ones included) is gone, then runs an intermission before the next wave.
+// After the last defined wave the final `repeat.waves` cycle with growing counts and hp.
+// Emits 'waveStarted' { wave, enemies } and 'waveCleared' { wave, nextIn }.
+export class WaveManager {
+    constructor(eventBus, definition = DEFAULT_WAVES) {
+        this.eventBus = eventBus;
+        this.setDefinition(definition);
+        this.reset();
+    }
+    
+    setDefinition(definition) {
+        const waves = Array.isArray(definition?.waves)
+            ? definition.waves.filter(wave => Array.isArray(wave?.groups) && wave.groups.length > 0)
+            : [];
+        if (waves.length === 0) {
+            console.warn('Wave definition has no waves, using built-in waves');
+            this.setDefinition(DEFAULT_WAVES);
+            return;
+        }
+        this.waves = waves;
+        this.firstWaveDelay = definition.firstWaveDelay ?? DEFAULT_WAVES.firstWaveDelay;
+        this.intermission = definition.intermission ?? DEFAULT_WAVES.intermission;
+        this.repeat = { ...DEFAULT_WAVES.repeat, ...definition.repeat };
+        this.repeat.waves = Utils.clamp(Math.round(this.repeat.waves), 1, waves.length);
+    }
+    
+    reset() {
+        this.wave = 0; // number of the current or upcoming wave, 1-based once started
+        this.state = 'intermission';
+        this.timer = this.firstWaveDelay;
+        this.elapsed = 0;
+        this.schedule = []; // { time, type } still to spawn, sorted by time
+        this.hpScale = 1;
+    }
+    
+    // Definition and scaling for a 1-based wave number
+    getWave(number) {
+        const index = number - 1;
+        if (index < this.waves.length) return { wave: this.waves[index], cycle: 0 };
+        const past = index - this.waves.length;
+        const firstRepeated = this.waves.length - this.repeat.waves;
+        return {
+            wave: this.waves[firstRepeated + (past % this.repeat.waves)],
+            cycle: Math.floor(past / this.repeat.waves) + 1
+        };
+    }
+    
+    startWave() {
+        this.wave++;
+        const { wave, cycle } = this.getWave(this.wave);
+        const countScale = 1 + this.repeat.countGrowth * cycle;
+        this.hpScale = 1 + this.repeat.hpGrowth * cycle;
+        
+        this.schedule = [];
+        wave.groups.forEach(group => {
+            const count = Math.max(0, Math.round((group.count ?? 1) * countScale));
+            for (let i = 0; i < count; i++) {
+                this.schedule.push({ time: (group.at ?? 0) + i * (group.interval ?? 0), type: group.type });
+            }
+        });
+        this.schedule.sort((a, b) => a.time - b.time);
+        this.elapsed = 0;
+        this.state = 'active';
+        this.eventBus?.emit('waveStarted', { wave: this.wave, enemies: this.schedule.length });
+    }
+    
+    // Advance the wave clock; returns the enemy types to spawn this frame
+    update(deltaTime, enemies) {
+        if (this.state === 'intermission') {
+            this.timer -= deltaTime;
+            if (this.timer > 0) return [];
+            this.startWave();
+        }
+        
+        this.elapsed += deltaTime;
+        const spawns = [];
+        while (this.schedule.length > 0 && this.schedule[0].time <= this.elapsed) {
+            spawns.push(this.schedule.shift().type);
+        }
+        
+        // Enemies stay in the list through their death animation, so an empty list means clear
+        if (spawns.length === 0 && this.schedule.length === 0 && enemies.length === 0) {
+            this.state = 'intermission';
+            this.timer = this.intermission;
+            this.eventBus?.emit('waveCleared', { wave: this.wave, nextIn: this.intermission });
+        }
+        return spawns;
+    }
+    
+    getWaveNumber() {
+        return this.wave;
+    }
+    
+    isIntermission() {
+        return this.state === 'intermission';
+    }
+    
+    getIntermissionRemaining() {
+        return this.state === 'intermission' ? Math.max(0, this.timer) : 0;
+    }
+    
+    // Enemies of the current wave not spawned yet
+    getPendingCount() {
+        return this.schedule.length;
+    }
+    
+    // Repeated waves hit harder each cycle
+    applyStats(enemy) {
+        enemy.maxHp = Math.max(1, Math.round(enemy.maxHp * this.hpScale));
+        enemy.hp = enemy.maxHp;
+    }
+}
+
+// Input actions and how their values behave when merging providers
+export const INPUT_ACTIONS = {
+    move: 'axis',          // { x, y }, active when non-zero
+    aim: 'point',          // { x, y } in arena coordinates, or { x, y, relative: true } as a
+                           // unit direction around the player; active when not null
+    fire: 'button',
+    pickup: 'button',
+    switchWeapon: 'button',
+    creatorMode: 'button',
+    selectWeapon: 'value', // weapon role ('melee' or 'grenade'), active when not null
+    pause: 'button',       // toggles pause
+    setPause: 'value',     // 'pause' or 'resume', for commands that name the state they want
+    reload: 'button',
+    throwGrenade: 'button'
+};
+
+// Per-action merge policy:
+//   priority - first active provider in `order` wins (unlisted providers follow in registration order)
+//   latest   - the provider whose value changed most recently wins (last writer wins)
+//   or       - active if any provider is active (buttons)
+export const DEFAULT_MERGE_POLICY = {
+    move: { mode: 'priority', order: ['keyboard-mouse', 'gesture'] },
+    aim: { mode: 'latest' },
+    fire: { mode: 'or' },
+    pickup: { mode: 'or' },
+    switchWeapon: { mode: 'or' },
+    creatorMode: { mode: 'or' },
+    selectWeapon: { mode: 'latest' },
+    pause: { mode: 'or' },
+    setPause: { mode: 'latest' },
+    reload: { mode: 'or' },
+    throwGrenade: { mode: 'or' }
+};
+
+// Input Manager with pluggable providers.
+// Every enabled provider is polled each frame into its own input frame; the frames are
+// then merged per action according to the merge policy.
 export class InputManager {
-    constructor() {
+    constructor(mergePolicy = DEFAULT_MERGE_POLICY) {
         this.providers = new Map();
-        this.activeProvider = null;
+        this.enabledProviders = new Set();
         this.fallbackProvider = null;
+        this.mergePolicy = { ...mergePolicy };
+        
+        // Per-provider polling state: { frame, changedAt: { action: frameNumber } }
+        this.providerStates = new Map();
+        this.frameNumber = 0;
         
         // Input state
         this.moveVector = { x: 0, y: 0 };
         this.fire = false;
-        this.pickup = false; // Placeholder for Step 1
+        this.pickup = false;
         this.switchWeapon = false;
         this.lastWeaponSwitchTime = 0;
         this.weaponSwitchCooldown = 0.2; // 200ms cooldown between switches
@@ -167,9 +568,41 @@ export class InputManager {
         this.lastCreatorModeToggleTime = 0;
         this.creatorModeToggleCooldown = 0.2; // 200ms cooldown between toggles
         
+        // One-shot commands, only valid for the frame they were issued in
+        this.selectWeapon = null; // weapon role to equip directly
+        this.pauseToggle = false;
+        this.pauseCommand = null; // 'pause' or 'resume'
+        this.reload = false;
+        this.throwGrenade = false;
+        
         // Mouse state
         this.mouseX = 0;
         this.mouseY = 0;
+        
+        // Merged aim and the provider driving it
+        this.aimSource = null;
+        this.aim = { x: 0, y: 0, relative: false };
+        
+        // Provider name currently driving each action (null when idle)
+        this.actionSources = {};
+        Object.keys(INPUT_ACTIONS).forEach(action => { this.actionSources[action] = null; });
+    }
+    
+    // Blank input frame; providers fill in what they detect during update()
+    static createFrame() {
+        return {
+            move: { x: 0, y: 0 },
+            aim: null,
+            fire: false,
+            pickup: false,
+            switchWeapon: false,
+            creatorMode: false,
+            selectWeapon: null,
+            pause: false,
+            setPause: null,
+            reload: false,
+            throwGrenade: false
+        };
     }
     
     registerProvider(name, provider, isFallback = false) {
@@ -180,30 +613,145 @@ export class InputManager {
             this.fallbackProvider = provider;
         }
         
-        if (!this.activeProvider) {
-            this.setActiveProvider(name);
-        }
+        this.enableProvider(name);
     }
     
-    setActiveProvider(name) {
+    enableProvider(name) {
         const provider = this.providers.get(name);
-        if (provider) {
-            if (this.activeProvider) {
-                this.activeProvider.deactivate?.();
-            }
-            this.activeProvider = provider;
-            this.activeProvider.activate?.();
+        if (!provider || this.enabledProviders.has(provider)) return;
+        this.enabledProviders.add(provider);
+        this.providerStates.set(name, { frame: InputManager.createFrame(), changedAt: {} });
+        provider.activate?.();
+    }
+    
+    disableProvider(name) {
+        const provider = this.providers.get(name);
+        if (!provider || !this.enabledProviders.has(provider)) return;
+        this.enabledProviders.delete(provider);
+        this.providerStates.delete(name);
+        provider.deactivate?.();
+    }
+    
+    isProviderEnabled(name) {
+        const provider = this.providers.get(name);
+        return !!provider && this.enabledProviders.has(provider);
+    }
+    
+    setMergePolicy(action, policy) {
+        if (!INPUT_ACTIONS[action]) {
+            console.warn('Unknown input action:', action);
+            return;
         }
+        this.mergePolicy[action] = policy;
     }
     
     update(deltaTime) {
-        if (this.activeProvider) {
+        this.frameNumber++;
+        
+        // Poll every enabled provider (in registration order) into its own frame
+        this.providers.forEach((provider, name) => {
+            if (!this.enabledProviders.has(provider)) return;
+            const state = this.providerStates.get(name);
+            const frame = InputManager.createFrame();
             try {
-                this.activeProvider.update(deltaTime);
+                provider.update(deltaTime, frame);
             } catch (error) {
-                console.warn('Input provider failed, falling back:', error);
+                console.warn(`Input provider "${name}" failed, disabling:`, error);
+                this.disableProvider(name);
                 this.fallbackToDefault();
+                return;
+            }
+            this.trackChanges(state, frame);
+            state.frame = frame;
+        });
+        
+        this.mergeFrames();
+    }
+    
+    // Remember when each action last changed per provider, for the 'latest' policy
+    trackChanges(state, frame) {
+        Object.keys(INPUT_ACTIONS).forEach(action => {
+            const previous = state.frame[action];
+            const current = frame[action];
+            const changed = (current && typeof current === 'object')
+                ? (!previous || previous.x !== current.x || previous.y !== current.y || previous.relative !== current.relative)
+                : previous !== current;
+            if (changed && InputManager.isActionActive(action, current)) {
+                state.changedAt[action] = this.frameNumber;
+            }
+        });
+    }
+    
+    static isActionActive(action, value) {
+        switch (INPUT_ACTIONS[action]) {
+            case 'axis':
+                return !!value && (Math.abs(value.x) > 0.01 || Math.abs(value.y) > 0.01);
+            case 'point':
+            case 'value':
+                return value !== null && value !== undefined;
+            default:
+                return !!value;
+        }
+    }
+    
+    // Pick the provider whose value drives an action this frame, or null
+    resolveActionSource(action) {
+        const policy = this.mergePolicy[action] || { mode: 'or' };
+        const candidates = [];
+        this.providerStates.forEach((state, name) => {
+            if (InputManager.isActionActive(action, state.frame[action])) {
+                candidates.push(name);
             }
+        });
+        if (candidates.length === 0) return null;
+        
+        if (policy.mode === 'latest') {
+            return candidates.reduce((best, name) => {
+                const changedAt = this.providerStates.get(name).changedAt[action] || 0;
+                const bestChangedAt = this.providerStates.get(best).changedAt[action] || 0;
+                return changedAt >= bestChangedAt ? name : best;
+            });
+        }
+        
+        if (policy.mode === 'priority') {
+            const order = policy.order || [];
+            const listed = order.find(name => candidates.includes(name));
+            return listed || candidates[0];
+        }
+        
+        // 'or': any active provider will do; report the first one
+        return candidates[0];
+    }
+    
+    mergeFrames() {
+        const merged = {};
+        Object.keys(INPUT_ACTIONS).forEach(action => {
+            const source = this.resolveActionSource(action);
+            this.actionSources[action] = source;
+            merged[action] = source ? this.providerStates.get(source).frame[action] : null;
+        });
+        
+        this.moveVector.x = merged.move ? merged.move.x : 0;
+        this.moveVector.y = merged.move ? merged.move.y : 0;
+        this.fire = !!merged.fire;
+        this.pickup = !!merged.pickup;
+        this.selectWeapon = merged.selectWeapon || null;
+        this.pauseToggle = !!merged.pause;
+        this.pauseCommand = merged.setPause || null;
+        this.reload = !!merged.reload;
+        this.throwGrenade = !!merged.throwGrenade;
+        
+        // Aim falls back to the last mouse position when nobody is aiming
+        this.aimSource = this.actionSources.aim;
+        const aim = merged.aim || { x: this.mouseX, y: this.mouseY };
+        this.aim = { x: aim.x, y: aim.y, relative: !!aim.relative };
+        
+        // Latched toggles stay set until the game clears them, respecting cooldowns
+        if (merged.switchWeapon && !this.switchWeapon && this.canSwitchWeapon()) {
+            this.switchWeapon = true;
+        }
+        if (merged.creatorMode && !this.creatorMode && this.canToggleCreatorMode()) {
+            this.creatorMode = true;
         }
     }
     
@@ -230,8 +778,8 @@ export class InputManager {
     }
     
     fallbackToDefault() {
-        if (this.fallbackProvider && this.activeProvider !== this.fallbackProvider) {
-            this.setActiveProvider(this.fallbackProvider.name);
+        if (this.fallbackProvider && !this.enabledProviders.has(this.fallbackProvider)) {
+            this.enableProvider(this.fallbackProvider.name);
         }
     }
     
@@ -245,7 +793,7 @@ export class InputManager {
     }
     
     isPickingUp() {
-        return this.pickup; // No-op placeholder for Step 1
+        return this.pickup;
     }
     
     getWeaponSwitch() {
@@ -257,222 +805,1207 @@ export class InputManager {
         return this.creatorMode;
     }
     
-    getMousePosition() {
-        return { x: this.mouseX, y: this.mouseY };
+    getWeaponSelect() {
+        return this.selectWeapon;
     }
-}
-
-// Keyboard/Mouse Provider (implemented)
-export class KeyboardMouseProvider {
-    constructor(canvas) {
-        this.name = 'keyboard-mouse';
-        this.canvas = canvas;
-        this.inputManager = null;
-        
-        this.keys = new Set();
-        this.mouseButtons = new Set();
-        
-        // Key mappings
-        this.keyMap = {
-            'KeyW': 'up',
-            'KeyS': 'down',
-            'KeyA': 'left',
-            'KeyD': 'right',
-            'ArrowUp': 'up',
-            'ArrowDown': 'down',
-            'ArrowLeft': 'left',
-            'ArrowRight': 'right',
-            'KeyR': 'switchWeapon',
-            'KeyG': 'creatorMode',
-            'KeyF': 'pickup'
-        };
-        
-        this.boundHandlers = {
-            keydown: this.handleKeyDown.bind(this),
-            keyup: this.handleKeyUp.bind(this),
-            mousedown: this.handleMouseDown.bind(this),
-            mouseup: this.handleMouseUp.bind(this),
-            mousemove: this.handleMouseMove.bind(this),
-            contextmenu: this.handleContextMenu.bind(this)
-        };
+    
+    isPauseToggled() {
+        return this.pauseToggle;
     }
     
-    activate() {
-        console.log('=== ACTIVATING KeyboardMouseProvider ===');
-        console.log('Canvas element:', this.canvas);
-        console.log('Document ready state:', document.readyState);
-        console.log('Key mappings:', this.keyMap);
-        
-        Object.entries(this.boundHandlers).forEach(([event, handler]) => {
-            if (event === 'mousemove' || event === 'mousedown' || event === 'mouseup' || event === 'contextmenu') {
-                this.canvas.addEventListener(event, handler);
-                console.log('✓ Added canvas listener for:', event);
-            } else {
-                document.addEventListener(event, handler);
-                console.log('✓ Added document listener for:', event);
-            }
-        });
-        
-        // Test canvas focus
-        console.log('Canvas focused:', document.activeElement === this.canvas);
-        console.log('Canvas tabIndex:', this.canvas.tabIndex);
-        
-        // Force focus on canvas
-        if (this.canvas.tabIndex >= 0) {
-            this.canvas.focus();
-            console.log('Canvas focus forced');
-        }
+    // 'pause' or 'resume' when a command asked for that state this frame, else null
+    getPauseCommand() {
+        return this.pauseCommand;
     }
     
-    deactivate() {
-        Object.entries(this.boundHandlers).forEach(([event, handler]) => {
-            if (event === 'mousemove' || event === 'mousedown' || event === 'mouseup' || event === 'contextmenu') {
-                this.canvas.removeEventListener(event, handler);
-            } else {
-                document.removeEventListener(event, handler);
-            }
-        });
+    isReloadRequested() {
+        return this.reload;
     }
     
-    update(deltaTime) {
-        if (!this.inputManager) return;
-        
-        // Update move vector
-        let x = 0, y = 0;
-        if (this.keys.has('left')) x -= 1;
-        if (this.keys.has('right')) x += 1;
-        if (this.keys.has('up')) y -= 1;
-        if (this.keys.has('down')) y += 1;
-        
-        // Normalize diagonal movement
-        if (x !== 0 && y !== 0) {
-            const length = Math.sqrt(x * x + y * y);
-            x /= length;
-            y /= length;
-        }
-        
-        this.inputManager.moveVector.x = x;
-        this.inputManager.moveVector.y = y;
-        this.inputManager.fire = this.mouseButtons.has(0); // Left mouse button
-        // pickup action (F key)
-        this.inputManager.pickup = this.keys.has('pickup');
+    isGrenadeThrowRequested() {
+        return this.throwGrenade;
     }
     
-    handleKeyDown(event) {
-        console.log('RAW KEY EVENT:', event.code, event.key, 'Target:', event.target.tagName);
-        const action = this.keyMap[event.code];
-        console.log('Key pressed:', event.code, 'Action:', action);
-        if (action) {
-            if (action === 'switchWeapon') {
-                console.log('Switch weapon triggered, current state:', this.inputManager.switchWeapon, 'Can switch:', this.inputManager.canSwitchWeapon());
-                // Only trigger if not already set and cooldown has passed
-                if (!this.inputManager.switchWeapon && this.inputManager.canSwitchWeapon()) {
-                    this.inputManager.switchWeapon = true;
-                    console.log('Weapon switch flag set to true');
-                }
-            } else if (action === 'creatorMode') {
-                // Only trigger if not already set and cooldown has passed
-                if (!this.inputManager.creatorMode && this.inputManager.canToggleCreatorMode()) {
-                    this.inputManager.creatorMode = true;
-                    console.log('Creator mode toggle flag set to true');
-                }
-            } else {
-                this.keys.add(action);
-                // Immediate propagate pickup press for responsiveness
-                if (action === 'pickup' && this.inputManager) {
-                    this.inputManager.pickup = true;
-                }
-            }
-            event.preventDefault();
-        }
+    getMousePosition() {
+        return { x: this.mouseX, y: this.mouseY };
     }
     
-    handleKeyUp(event) {
-        const action = this.keyMap[event.code];
-        if (action && action !== 'switchWeapon' && action !== 'creatorMode') {
-            this.keys.delete(action);
-            // Immediate clear pickup flag on release
-            if (action === 'pickup' && this.inputManager) {
-                this.inputManager.pickup = false;
-            }
-            event.preventDefault();
-        }
+    // Where the player is aiming: { x, y } in arena coordinates, or a unit direction
+    // around the player when `relative` is set (twin-stick aim). Falls back to the mouse.
+    getAim() {
+        return { ...this.aim };
     }
     
-    handleMouseDown(event) {
-        this.mouseButtons.add(event.button);
-        event.preventDefault();
+    // Provider name driving the aim this frame (null when nobody is aiming)
+    getAimSource() {
+        return this.aimSource;
     }
     
-    handleMouseUp(event) {
-        this.mouseButtons.delete(event.button);
-        event.preventDefault();
+    // Provider name driving an action this frame (null when idle)
+    getActionSource(action) {
+        return this.actionSources[action] ?? null;
     }
     
-    handleMouseMove(event) {
-        const rect = this.canvas.getBoundingClientRect();
-        const scaleX = this.canvas.width / rect.width;
-        const scaleY = this.canvas.height / rect.height;
-        
-        this.inputManager.mouseX = (event.clientX - rect.left) * scaleX;
-        this.inputManager.mouseY = (event.clientY - rect.top) * scaleY;
+    // Let providers draw on-screen controls (e.g. virtual joysticks)
+    render(ctx) {
+        this.enabledProviders.forEach(provider => provider.render?.(ctx));
     }
     
-    handleContextMenu(event) {
-        event.preventDefault();
+    getProviderLabel(name) {
+        const provider = this.providers.get(name);
+        return provider?.label || name;
     }
 }
 
-// Gesture Provider (stub)
-export class GestureProvider {
-    constructor() {
-        this.name = 'gesture';
-        this.inputManager = null;
+// Aim assist strength per level
+export const AIM_ASSIST_LEVELS = {
+    off: 0,
+    low: 0.35,
+    medium: 0.65,
+    high: 1
+};
+
+// Level per input provider; the mouse is precise enough to go without by default
+export const DEFAULT_AIM_ASSIST = {
+    gesture: 'high',
+    gamepad: 'medium',
+    touch: 'medium',
+    'keyboard-mouse': 'off'
+};
+
+// Aim assist for the merged aim: magnetism pulls the aim toward an enemy near it, shots
+// within a small cone of that enemy bend onto it, and the lock is sticky so it does not
+// flicker between neighbours. Works on point aim (mouse, gesture) and on direction aim
+// (sticks). Strength comes from the level of the provider driving the aim; 'off' opts
+// a device out entirely, boosts included.
+export class AimAssist {
+    constructor(levels = DEFAULT_AIM_ASSIST) {
+        this.levels = { ...levels };
+        this.boosts = {}; // provider → 0..1
+        this.strength = 0;
+        this.target = null;
+        this.targetError = 0;
+        this.stickyTimer = 0;
     }
     
-    activate() {
-        // TODO: Implement gesture recognition
-        console.log('Gesture provider activated (stub)');
+    setLevels(levels) {
+        this.levels = { ...levels };
     }
     
-    deactivate() {
-        // TODO: Cleanup gesture listeners
-        console.log('Gesture provider deactivated (stub)');
+    // Extra help for one provider, 0..1 (e.g. gesture fatigue)
+    setBoost(source, boost) {
+        this.boosts[source] = Utils.clamp(boost, 0, 1);
     }
     
-    update(deltaTime) {
-        // TODO: Process gesture input
-        if (this.inputManager) {
-            this.inputManager.moveVector.x = 0;
-            this.inputManager.moveVector.y = 0;
-            this.inputManager.fire = false;
-        }
+    getStrength(source) {
+        const base = AIM_ASSIST_LEVELS[this.levels[source]] ?? 0;
+        if (base <= 0) return 0;
+        return base * (1 + AIM_ASSIST_MAX_BOOST * (this.boosts[source] || 0));
     }
-}
-
-// Voice Provider (stub)
-export class VoiceProvider {
+    
+    getTarget() {
+        return this.target;
+    }
+    
+    reset() {
+        this.target = null;
+        this.stickyTimer = 0;
+    }
+    
+    // Signed smallest difference between two angles
+    static angleDelta(from, to) {
+        return Math.atan2(Math.sin(to - from), Math.cos(to - from));
+    }
+    
+    // How far the aim is off an enemy: 0 on it, 1 at the edge of the magnet zone
+    static aimError(enemy, player, aim) {
+        if (aim.relative) {
+            const offset = AimAssist.angleDelta(Math.atan2(aim.y, aim.x), Math.atan2(enemy.y - player.y, enemy.x - player.x));
+            return Math.abs(offset) / AIM_ASSIST_MAGNET_ANGLE;
+        }
+        return Utils.distance(aim.x, aim.y, enemy.x, enemy.y) / (AIM_ASSIST_MAGNET_RADIUS + enemy.radius);
+    }
+    
+    // Returns the assisted aim for this frame (same shape as InputManager.getAim())
+    update(deltaTime, source, aim, player, enemies) {
+        this.strength = this.getStrength(source);
+        if (!aim || !player || this.strength <= 0) {
+            this.reset();
+            return aim;
+        }
+        this.updateTarget(deltaTime, aim, player, enemies);
+        if (!this.target) return aim;
+        
+        // Pull fades out toward the edge of the (sticky) zone
+        const zone = AIM_ASSIST_STICKY_SCALE;
+        const pull = AIM_ASSIST_MAGNET_PULL * this.strength * Math.max(0, 1 - this.targetError / zone);
+        if (pull <= 0) return aim;
+        if (aim.relative) {
+            const angle = Math.atan2(aim.y, aim.x);
+            const targetAngle = Math.atan2(this.target.y - player.y, this.target.x - player.x);
+            const assisted = angle + AimAssist.angleDelta(angle, targetAngle) * Math.min(1, pull);
+            return { x: Math.cos(assisted), y: Math.sin(assisted), relative: true };
+        }
+        return {
+            x: aim.x + (this.target.x - aim.x) * Math.min(1, pull),
+            y: aim.y + (this.target.y - aim.y) * Math.min(1, pull),
+            relative: false
+        };
+    }
+    
+    // Lock the enemy with the smallest aim error; the current lock counts its error
+    // against a larger zone and lingers briefly after leaving it
+    updateTarget(deltaTime, aim, player, enemies) {
+        let best = null;
+        let bestScore = Infinity;
+        let bestError = 0;
+        enemies.forEach(enemy => {
+            if (enemy.isDying || !enemy.isAlive()) return;
+            if (Utils.distance(player.x, player.y, enemy.x, enemy.y) > AIM_ASSIST_RANGE) return;
+            const error = AimAssist.aimError(enemy, player, aim);
+            const score = enemy === this.target ? error / AIM_ASSIST_STICKY_SCALE : error;
+            if (score < 1 && score < bestScore) {
+                best = enemy;
+                bestScore = score;
+                bestError = error;
+            }
+        });
+        
+        if (best) {
+            this.target = best;
+            this.targetError = bestError;
+            this.stickyTimer = AIM_ASSIST_STICKY_TIME;
+            return;
+        }
+        this.stickyTimer -= deltaTime;
+        if (!this.target || this.stickyTimer <= 0 || this.target.isDying || !this.target.isAlive()) {
+            this.target = null;
+            return;
+        }
+        this.targetError = AimAssist.aimError(this.target, player, aim);
+    }
+    
+    // Shots aimed within the bend cone of the locked enemy fly straight at it
+    bendShot(player, aim) {
+        if (!this.target || !aim || this.strength <= 0) return aim;
+        const shot = player.resolveAimTarget(aim);
+        const shotAngle = Math.atan2(shot.y - player.y, shot.x - player.x);
+        const targetAngle = Math.atan2(this.target.y - player.y, this.target.x - player.x);
+        if (Math.abs(AimAssist.angleDelta(shotAngle, targetAngle)) > AIM_ASSIST_BEND_ANGLE * this.strength) {
+            return aim;
+        }
+        return { x: this.target.x, y: this.target.y, relative: false };
+    }
+}
+
+// Default keyboard/mouse bindings: action → key codes (mouse buttons as 'Mouse<button>')
+export const DEFAULT_KEY_BINDINGS = {
+    up: ['KeyW', 'ArrowUp'],
+    down: ['KeyS', 'ArrowDown'],
+    left: ['KeyA', 'ArrowLeft'],
+    right: ['KeyD', 'ArrowRight'],
+    fire: ['Mouse0'],
+    pickup: ['KeyF'],
+    switchWeapon: ['KeyR'],
+    reload: ['KeyQ'],
+    pause: ['KeyP'],
+    creatorMode: ['KeyG']
+};
+
+// Default gesture bindings: gesture → action. Pinches are named by role, so they follow
+// the hands when the control scheme changes.
+export const DEFAULT_GESTURE_BINDINGS = {
+    aimPinch: 'switchWeapon',
+    movePinch: 'pickup',
+    fist: 'selectKnife',
+    openPalm: 'none', // swipes start from an open palm, so it would fight swipeUp
+
+    point: 'none',
+    vSign: 'reload',
+    swipeLeft: 'none',
+    swipeRight: 'none',
+    swipeUp: 'throwGrenade',
+    swipeDown: 'none'
+};
+
+// Actions a gesture can be bound to
+export const GESTURE_ACTIONS = ['none', 'pickup', 'switchWeapon', 'fire', 'pause', 'reload', 'throwGrenade', 'selectKnife', 'selectGrenade'];
+
+const CONTROLS_STORAGE_KEY = 'gestureShooter.controls';
+const DEFAULT_AUTO_PAUSE_DELAY = 2; // seconds of lost hand tracking before auto-pause
+// Older saves named pinches by MediaPipe hand label
+const LEGACY_GESTURE_NAMES = { leftPinch: 'aimPinch', rightPinch: 'movePinch' };
+
+// User control bindings, persisted in localStorage. Emits 'changed' on its event bus
+// so providers can apply new bindings without a reload.
+export class ControlBindings {
+    constructor(storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+        this.storage = storage;
+        this.eventBus = new EventBus();
+        this.keys = ControlBindings.copyKeyBindings(DEFAULT_KEY_BINDINGS);
+        this.gestures = { ...DEFAULT_GESTURE_BINDINGS };
+        this.filters = { ...DEFAULT_GESTURE_FILTERS };
+        this.gestureMovement = { ...DEFAULT_GESTURE_MOVEMENT };
+        this.gestureScheme = 'standard';
+        this.autoPauseDelay = DEFAULT_AUTO_PAUSE_DELAY;
+        this.fatigueAssist = true;
+        this.aimAssist = { ...DEFAULT_AIM_ASSIST };
+        this.load();
+    }
+    
+    static copyKeyBindings(bindings) {
+        const copy = {};
+        Object.entries(bindings).forEach(([action, codes]) => { copy[action] = [...codes]; });
+        return copy;
+    }
+    
+    load() {
+        if (!this.storage) return;
+        try {
+            const saved = JSON.parse(this.storage.getItem(CONTROLS_STORAGE_KEY) || 'null');
+            if (!saved) return;
+            // Only accept known actions so stale saves cannot break input
+            Object.keys(DEFAULT_KEY_BINDINGS).forEach(action => {
+                const codes = saved.keys?.[action];
+                if (Array.isArray(codes) && codes.every(code => typeof code === 'string')) {
+                    this.keys[action] = [...codes];
+                }
+            });
+            Object.entries(LEGACY_GESTURE_NAMES).forEach(([legacy, gesture]) => {
+                if (saved.gestures && legacy in saved.gestures && !(gesture in saved.gestures)) {
+                    saved.gestures[gesture] = saved.gestures[legacy];
+                }
+            });
+            Object.keys(DEFAULT_GESTURE_BINDINGS).forEach(gesture => {
+                const action = saved.gestures?.[gesture];
+                if (GESTURE_ACTIONS.includes(action)) {
+                    this.gestures[gesture] = action;
+                }
+            });
+            ['aim', 'move'].forEach(signal => {
+                if (saved.filters?.[signal] in FILTER_TYPES) {
+                    this.filters[signal] = saved.filters[signal];
+                }
+            });
+            if (typeof saved.filters?.latencyCompensation === 'boolean') {
+                this.filters.latencyCompensation = saved.filters.latencyCompensation;
+            }
+            if (saved.gestureMovement?.responseCurve in GESTURE_RESPONSE_CURVES) {
+                this.gestureMovement.responseCurve = saved.gestureMovement.responseCurve;
+            }
+            if (typeof saved.gestureMovement?.joystickRing === 'boolean') {
+                this.gestureMovement.joystickRing = saved.gestureMovement.joystickRing;
+            }
+            if (saved.gestureScheme in GESTURE_CONTROL_SCHEMES) {
+                this.gestureScheme = saved.gestureScheme;
+            }
+            if (typeof saved.autoPauseDelay === 'number' && saved.autoPauseDelay >= 0) {
+                this.autoPauseDelay = saved.autoPauseDelay;
+            }
+            if (typeof saved.fatigueAssist === 'boolean') {
+                this.fatigueAssist = saved.fatigueAssist;
+            }
+            Object.keys(DEFAULT_AIM_ASSIST).forEach(device => {
+                if (saved.aimAssist?.[device] in AIM_ASSIST_LEVELS) {
+                    this.aimAssist[device] = saved.aimAssist[device];
+                }
+            });
+        } catch (error) {
+            console.warn('Failed to load control bindings, using defaults:', error);
+        }
+    }
+    
+    save() {
+        if (this.storage) {
+            try {
+                this.storage.setItem(CONTROLS_STORAGE_KEY, JSON.stringify({
+                    keys: this.keys,
+                    gestures: this.gestures,
+                    filters: this.filters,
+                    gestureMovement: this.gestureMovement,
+                    gestureScheme: this.gestureScheme,
+                    autoPauseDelay: this.autoPauseDelay,
+                    fatigueAssist: this.fatigueAssist,
+                    aimAssist: this.aimAssist
+                }));
+            } catch (error) {
+                console.warn('Failed to save control bindings:', error);
+            }
+        }
+        this.eventBus.emit('changed', this);
+    }
+    
+    onChange(callback) {
+        this.eventBus.on('changed', callback);
+    }
+    
+    // Action currently bound to a code, or null
+    findAction(code) {
+        const entry = Object.entries(this.keys).find(([, codes]) => codes.includes(code));
+        return entry ? entry[0] : null;
+    }
+    
+    // Bind a code to an action slot. A code already used by another action is taken
+    // away from it; returns that action (or null) so the caller can report the conflict.
+    setKeyBinding(action, slot, code) {
+        if (!this.keys[action]) return null;
+        const conflict = this.findAction(code);
+        if (conflict && conflict !== action) {
+            this.keys[conflict] = this.keys[conflict].filter(existing => existing !== code);
+        }
+        const codes = this.keys[action].filter(existing => existing !== code);
+        if (slot < codes.length) {
+            codes[slot] = code;
+        } else {
+            codes.push(code);
+        }
+        this.keys[action] = codes.slice(0, 2);
+        this.save();
+        return conflict && conflict !== action ? conflict : null;
+    }
+    
+    clearKeyBinding(action, slot) {
+        if (!this.keys[action]) return;
+        this.keys[action] = this.keys[action].filter((_, index) => index !== slot);
+        this.save();
+    }
+    
+    setGestureBinding(gesture, action) {
+        if (!(gesture in this.gestures) || !GESTURE_ACTIONS.includes(action)) return;
+        this.gestures[gesture] = action;
+        this.save();
+    }
+    
+    // Gesture smoothing: signal is 'aim' or 'move' with a FILTER_TYPES key
+    setFilter(signal, type) {
+        if (!(signal in this.filters) || !(type in FILTER_TYPES)) return;
+        this.filters[signal] = type;
+        this.save();
+    }
+    
+    setLatencyCompensation(enabled) {
+        this.filters.latencyCompensation = !!enabled;
+        this.save();
+    }
+    
+    setGestureScheme(scheme) {
+        if (!(scheme in GESTURE_CONTROL_SCHEMES)) return;
+        this.gestureScheme = scheme;
+        this.save();
+    }
+    
+    // Seconds without tracked hands before the game pauses; 0 disables
+    setAutoPauseDelay(seconds) {
+        if (typeof seconds !== 'number' || seconds < 0) return;
+        this.autoPauseDelay = seconds;
+        this.save();
+    }
+    
+    // Let gesture fatigue widen the aim region and aim assist
+    setFatigueAssist(enabled) {
+        this.fatigueAssist = !!enabled;
+        this.save();
+    }
+    
+    // Aim assist level for an input provider; 'off' opts it out
+    setAimAssist(device, level) {
+        if (!(device in this.aimAssist) || !(level in AIM_ASSIST_LEVELS)) return;
+        this.aimAssist[device] = level;
+        this.save();
+    }
+    
+    setResponseCurve(curve) {
+        if (!(curve in GESTURE_RESPONSE_CURVES)) return;
+        this.gestureMovement.responseCurve = curve;
+        this.save();
+    }
+    
+    setJoystickRing(visible) {
+        this.gestureMovement.joystickRing = !!visible;
+        this.save();
+    }
+    
+    // Code → actions for every code bound more than once, plus gestures sharing an action
+    findConflicts() {
+        const conflicts = [];
+        const codeActions = new Map();
+        Object.entries(this.keys).forEach(([action, codes]) => {
+            codes.forEach(code => {
+                if (!codeActions.has(code)) codeActions.set(code, []);
+                codeActions.get(code).push(action);
+            });
+        });
+        codeActions.forEach((actions, code) => {
+            if (actions.length > 1) conflicts.push({ code, actions });
+        });
+        
+        const gestureActions = new Map();
+        Object.entries(this.gestures).forEach(([gesture, action]) => {
+            if (action === 'none') return;
+            if (!gestureActions.has(action)) gestureActions.set(action, []);
+            gestureActions.get(action).push(gesture);
+        });
+        gestureActions.forEach((gestures, action) => {
+            if (gestures.length > 1) conflicts.push({ gestures, actions: [action] });
+        });
+        return conflicts;
+    }
+    
+    resetToDefaults() {
+        this.keys = ControlBindings.copyKeyBindings(DEFAULT_KEY_BINDINGS);
+        this.gestures = { ...DEFAULT_GESTURE_BINDINGS };
+        this.filters = { ...DEFAULT_GESTURE_FILTERS };
+        this.gestureMovement = { ...DEFAULT_GESTURE_MOVEMENT };
+        this.gestureScheme = 'standard';
+        this.autoPauseDelay = DEFAULT_AUTO_PAUSE_DELAY;
+        this.fatigueAssist = true;
+        this.aimAssist = { ...DEFAULT_AIM_ASSIST };
+        this.save();
+    }
+    
+    // Human-readable name for a key code
+    static describeCode(code) {
+        const names = {
+            Mouse0: 'Left Click', Mouse1: 'Middle Click', Mouse2: 'Right Click',
+            ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→',
+            Space: 'Space', Enter: 'Enter', Escape: 'Esc', Tab: 'Tab',
+            ShiftLeft: 'L-Shift', ShiftRight: 'R-Shift', ControlLeft: 'L-Ctrl', ControlRight: 'R-Ctrl'
+        };
+        if (names[code]) return names[code];
+        if (code.startsWith('Key')) return code.slice(3);
+        if (code.startsWith('Digit')) return code.slice(5);
+        return code;
+    }
+}
+
+// Keyboard/Mouse Provider (implemented)
+export class KeyboardMouseProvider {
+    constructor(canvas, keyBindings = DEFAULT_KEY_BINDINGS) {
+        this.name = 'keyboard-mouse';
+        this.label = 'Keyboard/Mouse';
+        this.canvas = canvas;
+        this.inputManager = null;
+        
+        // Held actions (keys and mouse buttons share one map)
+        this.keys = new Set();
+        // Actions pressed since the last update, so short taps are never missed
+        this.pressedActions = new Set();
+        this.mouseX = 0;
+        this.mouseY = 0;
+        
+        // Key mappings: code → action
+        this.keyMap = {};
+        this.setKeyBindings(keyBindings);
+        
+        this.boundHandlers = {
+            keydown: this.handleKeyDown.bind(this),
+            keyup: this.handleKeyUp.bind(this),
+            mousedown: this.handleMouseDown.bind(this),
+            mouseup: this.handleMouseUp.bind(this),
+            mousemove: this.handleMouseMove.bind(this),
+            contextmenu: this.handleContextMenu.bind(this)
+        };
+    }
+    
+    activate() {
+        console.log('=== ACTIVATING KeyboardMouseProvider ===');
+        console.log('Canvas element:', this.canvas);
+        console.log('Document ready state:', document.readyState);
+        console.log('Key mappings:', this.keyMap);
+        
+        Object.entries(this.boundHandlers).forEach(([event, handler]) => {
+            if (event === 'mousemove' || event === 'mousedown' || event === 'mouseup' || event === 'contextmenu') {
+                this.canvas.addEventListener(event, handler);
+                console.log('✓ Added canvas listener for:', event);
+            } else {
+                document.addEventListener(event, handler);
+                console.log('✓ Added document listener for:', event);
+            }
+        });
+        
+        // Test canvas focus
+        console.log('Canvas focused:', document.activeElement === this.canvas);
+        console.log('Canvas tabIndex:', this.canvas.tabIndex);
+        
+        // Force focus on canvas
+        if (this.canvas.tabIndex >= 0) {
+            this.canvas.focus();
+            console.log('Canvas focus forced');
+        }
+    }
+    
+    deactivate() {
+        Object.entries(this.boundHandlers).forEach(([event, handler]) => {
+            if (event === 'mousemove' || event === 'mousedown' || event === 'mouseup' || event === 'contextmenu') {
+                this.canvas.removeEventListener(event, handler);
+            } else {
+                document.removeEventListener(event, handler);
+            }
+        });
+    }
+    
+    // Apply action → codes bindings; takes effect immediately
+    setKeyBindings(keyBindings) {
+        this.keyMap = {};
+        Object.entries(keyBindings).forEach(([action, codes]) => {
+            codes.forEach(code => { this.keyMap[code] = action; });
+        });
+        // Drop held actions that may no longer be reachable
+        this.keys.clear();
+        this.pressedActions.clear();
+    }
+    
+    update(deltaTime, frame) {
+        // Update move vector
+        let x = 0, y = 0;
+        if (this.keys.has('left')) x -= 1;
+        if (this.keys.has('right')) x += 1;
+        if (this.keys.has('up')) y -= 1;
+        if (this.keys.has('down')) y += 1;
+        
+        // Normalize diagonal movement
+        if (x !== 0 && y !== 0) {
+            const length = Math.sqrt(x * x + y * y);
+            x /= length;
+            y /= length;
+        }
+        
+        frame.move.x = x;
+        frame.move.y = y;
+        frame.aim = { x: this.mouseX, y: this.mouseY };
+        frame.fire = this.keys.has('fire') || this.pressedActions.has('fire');
+        frame.pickup = this.keys.has('pickup') || this.pressedActions.has('pickup');
+        frame.switchWeapon = this.pressedActions.has('switchWeapon');
+        frame.creatorMode = this.pressedActions.has('creatorMode');
+        frame.pause = this.pressedActions.has('pause');
+        frame.reload = this.pressedActions.has('reload');
+        this.pressedActions.clear();
+    }
+    
+    handleKeyDown(event) {
+        console.log('RAW KEY EVENT:', event.code, event.key, 'Target:', event.target.tagName);
+        const action = this.keyMap[event.code];
+        console.log('Key pressed:', event.code, 'Action:', action);
+        if (action) {
+            this.pressAction(action, event.repeat);
+            event.preventDefault();
+        }
+    }
+    
+    handleKeyUp(event) {
+        const action = this.keyMap[event.code];
+        if (action) {
+            this.keys.delete(action);
+            event.preventDefault();
+        }
+    }
+    
+    handleMouseDown(event) {
+        const action = this.keyMap[`Mouse${event.button}`];
+        if (action) this.pressAction(action, false);
+        event.preventDefault();
+    }
+    
+    handleMouseUp(event) {
+        const action = this.keyMap[`Mouse${event.button}`];
+        if (action) this.keys.delete(action);
+        event.preventDefault();
+    }
+    
+    pressAction(action, isRepeat) {
+        // Toggles fire once per press; InputManager applies their cooldowns
+        if (action === 'switchWeapon' || action === 'creatorMode' || action === 'pause' || action === 'reload') {
+            if (!isRepeat) this.pressedActions.add(action);
+            return;
+        }
+        this.keys.add(action);
+        this.pressedActions.add(action);
+    }
+    
+    handleMouseMove(event) {
+        const position = Utils.clientToCanvas(this.canvas, event.clientX, event.clientY);
+        this.mouseX = position.x;
+        this.mouseY = position.y;
+        if (this.inputManager) {
+            this.inputManager.mouseX = this.mouseX;
+            this.inputManager.mouseY = this.mouseY;
+        }
+    }
+    
+    handleContextMenu(event) {
+        event.preventDefault();
+    }
+}
+
+// Gamepad Provider (standard mapping): left stick moves with analog magnitude,
+// right stick aims relative to the player, triggers fire, A picks up, X reloads,
+// Y switches weapon and Start pauses
+export class GamepadProvider {
     constructor() {
+        this.name = 'gamepad';
+        this.label = 'Gamepad';
+        this.inputManager = null;
+        this.gamepadIndex = null;
+        
+        // Last aim direction, kept after the stick returns to center
+        this.aimDirection = null;
+        this.prevButtons = { switchWeapon: false, pause: false, reload: false };
+        
+        this.boundHandlers = {
+            gamepadconnected: this.handleConnected.bind(this),
+            gamepaddisconnected: this.handleDisconnected.bind(this)
+        };
+    }
+    
+    activate() {
+        Object.entries(this.boundHandlers).forEach(([event, handler]) => {
+            window.addEventListener(event, handler);
+        });
+    }
+    
+    deactivate() {
+        Object.entries(this.boundHandlers).forEach(([event, handler]) => {
+            window.removeEventListener(event, handler);
+        });
+        this.gamepadIndex = null;
+        this.aimDirection = null;
+    }
+    
+    handleConnected(event) {
+        if (this.gamepadIndex === null) {
+            this.gamepadIndex = event.gamepad.index;
+            console.log('🎮 Gamepad connected:', event.gamepad.id);
+        }
+    }
+    
+    handleDisconnected(event) {
+        if (event.gamepad.index === this.gamepadIndex) {
+            console.log('🎮 Gamepad disconnected:', event.gamepad.id);
+            this.gamepadIndex = null;
+            this.aimDirection = null;
+        }
+    }
+    
+    getGamepad() {
+        if (this.gamepadIndex === null || !navigator.getGamepads) return null;
+        return navigator.getGamepads()[this.gamepadIndex] || null;
+    }
+    
+    // Radial dead zone that keeps analog magnitude, rescaled to 0..1 past the dead zone
+    static applyRadialDeadzone(x, y, deadzone) {
+        const magnitude = Math.sqrt(x * x + y * y);
+        if (magnitude < deadzone) return { x: 0, y: 0, magnitude: 0 };
+        const scaled = Math.min(1, (magnitude - deadzone) / (1 - deadzone));
+        return { x: (x / magnitude) * scaled, y: (y / magnitude) * scaled, magnitude: scaled };
+    }
+    
+    update(deltaTime, frame) {
+        const gamepad = this.getGamepad();
+        if (!gamepad) return;
+        
+        const axis = (index) => gamepad.axes[index] || 0;
+        const button = (index) => gamepad.buttons[index] || { pressed: false, value: 0 };
+        
+        // Left stick: analog movement
+        const move = GamepadProvider.applyRadialDeadzone(axis(0), axis(1), GAMEPAD_MOVE_DEADZONE);
+        frame.move.x = move.x;
+        frame.move.y = move.y;
+        
+        // Right stick: twin-stick aim direction
+        const aim = GamepadProvider.applyRadialDeadzone(axis(2), axis(3), GAMEPAD_AIM_DEADZONE);
+        if (aim.magnitude > 0) {
+            const direction = Utils.normalize(aim.x, aim.y);
+            this.aimDirection = { x: direction.x, y: direction.y, relative: true };
+        }
+        frame.aim = this.aimDirection;
+        
+        // Triggers (LT/RT) fire
+        frame.fire = button(6).value > GAMEPAD_TRIGGER_THRESHOLD || button(7).value > GAMEPAD_TRIGGER_THRESHOLD;
+        
+        // Face buttons
+        frame.pickup = button(0).pressed;
+        const switchPressed = button(3).pressed;
+        const pausePressed = button(9).pressed;
+        const reloadPressed = button(2).pressed;
+        frame.switchWeapon = switchPressed && !this.prevButtons.switchWeapon;
+        frame.pause = pausePressed && !this.prevButtons.pause;
+        frame.reload = reloadPressed && !this.prevButtons.reload;
+        this.prevButtons.switchWeapon = switchPressed;
+        this.prevButtons.pause = pausePressed;
+        this.prevButtons.reload = reloadPressed;
+    }
+}
+
+// Touch Provider: two virtual sticks on the game canvas (left moves, right aims and
+// fires past half deflection) plus tap buttons for pickup and weapon switch.
+// Controls are only drawn once the screen has been touched.
+export class TouchProvider {
+    constructor(canvas) {
+        this.name = 'touch';
+        this.label = 'Touch';
+        this.canvas = canvas;
+        this.inputManager = null;
+        this.visible = false;
+        
+        // Layout in arena coordinates
+        const w = canvas.width;
+        const h = canvas.height;
+        this.moveStick = { x: 150, y: h - 150, touchId: null, dx: 0, dy: 0 };
+        this.aimStick = { x: w - 150, y: h - 150, touchId: null, dx: 0, dy: 0 };
+        this.buttons = {
+            pickup: { x: w - 300, y: h - 90, label: 'PICK', touchId: null },
+            switchWeapon: { x: w - 90, y: h - 300, label: 'SWAP', touchId: null }
+        };
+        
+        // Taps since the last update and the last aim direction
+        this.tappedActions = new Set();
+        this.aimDirection = null;
+        
+        this.boundHandlers = {
+            touchstart: this.handleTouchStart.bind(this),
+            touchmove: this.handleTouchMove.bind(this),
+            touchend: this.handleTouchEnd.bind(this),
+            touchcancel: this.handleTouchEnd.bind(this)
+        };
+    }
+    
+    activate() {
+        Object.entries(this.boundHandlers).forEach(([event, handler]) => {
+            this.canvas.addEventListener(event, handler, { passive: false });
+        });
+    }
+    
+    deactivate() {
+        Object.entries(this.boundHandlers).forEach(([event, handler]) => {
+            this.canvas.removeEventListener(event, handler);
+        });
+        this.releaseAll();
+    }
+    
+    releaseAll() {
+        [this.moveStick, this.aimStick].forEach(stick => {
+            stick.touchId = null;
+            stick.dx = 0;
+            stick.dy = 0;
+        });
+        Object.values(this.buttons).forEach(button => { button.touchId = null; });
+    }
+    
+    handleTouchStart(event) {
+        this.visible = true;
+        Array.from(event.changedTouches).forEach(touch => {
+            const point = Utils.clientToCanvas(this.canvas, touch.clientX, touch.clientY);
+            
+            // Buttons take precedence over the stick zones
+            const buttonEntry = Object.entries(this.buttons).find(([, button]) =>
+                Utils.distance(point.x, point.y, button.x, button.y) <= TOUCH_BUTTON_RADIUS);
+            if (buttonEntry) {
+                const [action, button] = buttonEntry;
+                button.touchId = touch.identifier;
+                this.tappedActions.add(action);
+                return;
+            }
+            
+            // Left half grabs the move stick, right half the aim stick
+            const stick = point.x < this.canvas.width / 2 ? this.moveStick : this.aimStick;
+            if (stick.touchId === null) {
+                stick.touchId = touch.identifier;
+                this.moveKnob(stick, point);
+            }
+        });
+        event.preventDefault();
+    }
+    
+    handleTouchMove(event) {
+        Array.from(event.changedTouches).forEach(touch => {
+            const stick = this.findStick(touch.identifier);
+            if (stick) {
+                this.moveKnob(stick, Utils.clientToCanvas(this.canvas, touch.clientX, touch.clientY));
+            }
+        });
+        event.preventDefault();
+    }
+    
+    handleTouchEnd(event) {
+        Array.from(event.changedTouches).forEach(touch => {
+            const stick = this.findStick(touch.identifier);
+            if (stick) {
+                stick.touchId = null;
+                stick.dx = 0;
+                stick.dy = 0;
+            }
+            Object.values(this.buttons).forEach(button => {
+                if (button.touchId === touch.identifier) button.touchId = null;
+            });
+        });
+        event.preventDefault();
+    }
+    
+    findStick(touchId) {
+        if (this.moveStick.touchId === touchId) return this.moveStick;
+        if (this.aimStick.touchId === touchId) return this.aimStick;
+        return null;
+    }
+    
+    // Store knob deflection as -1..1 per axis, clamped to the stick radius
+    moveKnob(stick, point) {
+        let dx = (point.x - stick.x) / TOUCH_STICK_RADIUS;
+        let dy = (point.y - stick.y) / TOUCH_STICK_RADIUS;
+        const magnitude = Math.sqrt(dx * dx + dy * dy);
+        if (magnitude > 1) {
+            dx /= magnitude;
+            dy /= magnitude;
+        }
+        stick.dx = dx;
+        stick.dy = dy;
+    }
+    
+    update(deltaTime, frame) {
+        const moveMagnitude = Math.hypot(this.moveStick.dx, this.moveStick.dy);
+        if (moveMagnitude > INPUT_DEADZONE) {
+            frame.move.x = this.moveStick.dx;
+            frame.move.y = this.moveStick.dy;
+        }
+        
+        const aimMagnitude = Math.hypot(this.aimStick.dx, this.aimStick.dy);
+        if (aimMagnitude > INPUT_DEADZONE) {
+            const direction = Utils.normalize(this.aimStick.dx, this.aimStick.dy);
+            this.aimDirection = { x: direction.x, y: direction.y, relative: true };
+        }
+        frame.aim = this.aimDirection;
+        frame.fire = this.aimStick.touchId !== null && aimMagnitude >= TOUCH_FIRE_THRESHOLD;
+        
+        frame.pickup = this.buttons.pickup.touchId !== null || this.tappedActions.has('pickup');
+        frame.switchWeapon = this.tappedActions.has('switchWeapon');
+        this.tappedActions.clear();
+    }
+    
+    render(ctx) {
+        if (!this.visible) return;
+        ctx.save();
+        
+        [this.moveStick, this.aimStick].forEach(stick => {
+            const active = stick.touchId !== null;
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.08)';
+            ctx.strokeStyle = active ? 'rgba(255, 255, 255, 0.6)' : 'rgba(255, 255, 255, 0.3)';
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.arc(stick.x, stick.y, TOUCH_STICK_RADIUS, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+            
+            ctx.fillStyle = active ? 'rgba(255, 255, 255, 0.55)' : 'rgba(255, 255, 255, 0.3)';
+            ctx.beginPath();
+            ctx.arc(stick.x + stick.dx * TOUCH_STICK_RADIUS, stick.y + stick.dy * TOUCH_STICK_RADIUS, TOUCH_KNOB_RADIUS, 0, Math.PI * 2);
+            ctx.fill();
+        });
+        
+        // Fire threshold ring on the aim stick
+        ctx.strokeStyle = 'rgba(255, 80, 80, 0.4)';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(this.aimStick.x, this.aimStick.y, TOUCH_STICK_RADIUS * TOUCH_FIRE_THRESHOLD, 0, Math.PI * 2);
+        ctx.stroke();
+        
+        ctx.font = '16px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        Object.values(this.buttons).forEach(button => {
+            const active = button.touchId !== null;
+            ctx.fillStyle = active ? 'rgba(0, 255, 0, 0.35)' : 'rgba(0, 0, 0, 0.45)';
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(button.x, button.y, TOUCH_BUTTON_RADIUS, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+            ctx.fillStyle = '#FFFFFF';
+            ctx.fillText(button.label, button.x, button.y);
+        });
+        
+        ctx.restore();
+    }
+}
+
+// Gesture Provider: publishes GestureInputManager state as an input frame
+export class GestureProvider {
+    constructor(gestureInput, gestureBindings = DEFAULT_GESTURE_BINDINGS) {
+        this.name = 'gesture';
+        this.label = 'Gesture';
+        this.inputManager = null;
+        this.gestureInput = gestureInput;
+        this.gestureBindings = { ...gestureBindings };
+        
+        // Previous gesture states, used for edge triggering
+        this.prevGestures = {};
+        
+        // Returns an arena point to aim at when the scheme auto-aims (one-handed), or null
+        this.autoAimTarget = null;
+    }
+    
+    setAutoAimTargetProvider(findTarget) {
+        this.autoAimTarget = findTarget;
+    }
+    
+    activate() {
+        console.log('Gesture provider activated');
+    }
+    
+    deactivate() {
+        this.prevGestures = {};
+    }
+    
+    setGestureBindings(gestureBindings) {
+        this.gestureBindings = { ...gestureBindings };
+    }
+    
+    // Held actions follow the gesture; toggles fire once when it starts
+    applyGesture(gesture, active, frame) {
+        const action = this.gestureBindings[gesture];
+        const started = active && !this.prevGestures[gesture];
+        this.prevGestures[gesture] = active;
+        
+        switch (action) {
+            case 'pickup':
+            case 'fire':
+                frame[action] = frame[action] || active;
+                break;
+            case 'switchWeapon':
+            case 'pause':
+            case 'reload':
+            case 'throwGrenade':
+                frame[action] = frame[action] || started;
+                break;
+            case 'selectKnife':
+                if (started) frame.selectWeapon = 'melee';
+                break;
+            case 'selectGrenade':
+                if (started) frame.selectWeapon = 'grenade';
+                break;
+        }
+    }
+    
+    update(deltaTime, frame) {
+        const gestures = this.gestureInput;
+        if (!gestures || !gestures.initialized) return;
+        
+        const gestureVector = gestures.getMoveVector();
+        frame.move.x = gestureVector.x;
+        frame.move.y = gestureVector.y;
+        
+        // Aim & fire: continuous fire while the fingertip is inside the aim region, or at
+        // the game's pick while auto-aiming
+        let aim = gestures.isGestureShootingActive() ? gestures.getGestureAimTargetGame() : null;
+        if (!aim && gestures.isAutoAimEnabled() && this.autoAimTarget) {
+            aim = this.autoAimTarget();
+        }
+        if (aim) {
+            frame.aim = aim;
+            frame.fire = true;
+        }
+        
+        // Pinches, poses and swipes map to actions through the gesture bindings
+        this.applyGesture('aimPinch', gestures.isRolePinchActive('aim'), frame);
+        this.applyGesture('movePinch', gestures.isRolePinchActive('move'), frame);
+        GESTURE_POSES.forEach(pose => this.applyGesture(pose, gestures.classifier.isPoseActive(pose), frame));
+        const swipes = gestures.classifier.consumeSwipes();
+        GESTURE_SWIPES.forEach(swipe => this.applyGesture(swipe, swipes.includes(swipe), frame));
+    }
+}
+
+// Spoken commands, matched as whole words against the lower-cased transcript
+export const VOICE_COMMANDS = [
+    { action: 'pickup', phrases: ['pick up', 'pickup', 'grab'] },
+    { action: 'switchWeapon', phrases: ['switch', 'next weapon'] },
+    { action: 'selectGrenade', phrases: ['grenade'] },
+    { action: 'selectKnife', phrases: ['knife'] },
+    { action: 'pause', phrases: ['pause'] },
+    { action: 'resume', phrases: ['resume'] },
+    { action: 'reload', phrases: ['reload'] }
+];
+
+// Speech recognizers share a small interface so VoiceProvider does not care where
+// transcripts come from: isSupported(), start(), stop() and an onTranscript(text) callback.
+// Web Speech API recognizer (Chrome exposes it as webkitSpeechRecognition)
+export class WebSpeechRecognizer {
+    constructor(lang = 'en-US') {
+        const SpeechRecognitionImpl = typeof window !== 'undefined'
+            ? (window.SpeechRecognition || window.webkitSpeechRecognition)
+            : null;
+        this.recognition = SpeechRecognitionImpl ? new SpeechRecognitionImpl() : null;
+        this.onTranscript = null;
+        this.wantsListening = false;
+        
+        if (!this.recognition) return;
+        
+        this.recognition.lang = lang;
+        this.recognition.continuous = true;
+        this.recognition.interimResults = false;
+        this.recognition.maxAlternatives = 1;
+        
+        this.recognition.onresult = (event) => {
+            for (let i = event.resultIndex; i < event.results.length; i++) {
+                const result = event.results[i];
+                if (result.isFinal && this.onTranscript) {
+                    this.onTranscript(result[0].transcript);
+                }
+            }
+        };
+        
+        this.recognition.onerror = (event) => {
+            console.warn('Speech recognition error:', event.error);
+            // Permission denied: do not keep restarting
+            if (event.error === 'not-allowed' || event.error === 'service-not-allowed') {
+                this.wantsListening = false;
+            }
+        };
+        
+        // Continuous sessions still end after a stretch of silence; restart while wanted
+        this.recognition.onend = () => {
+            if (this.wantsListening) this.startRecognition();
+        };
+    }
+    
+    isSupported() {
+        return !!this.recognition;
+    }
+    
+    start() {
+        if (!this.recognition) return;
+        this.wantsListening = true;
+        this.startRecognition();
+    }
+    
+    stop() {
+        if (!this.recognition) return;
+        this.wantsListening = false;
+        this.recognition.stop();
+    }
+    
+    startRecognition() {
+        try {
+            this.recognition.start();
+        } catch (error) {
+            // start() throws if a session is already running
+            console.warn('Speech recognition start failed:', error);
+        }
+    }
+}
+
+// Scripted recognizer for headless tests: replays transcripts at fixed times
+// (seconds since start) as VoiceProvider advances it, or on demand via say().
+export class ScriptedSpeechRecognizer {
+    constructor(script = []) {
+        this.script = [...script].sort((a, b) => a.at - b.at);
+        this.onTranscript = null;
+        this.listening = false;
+        this.elapsed = 0;
+    }
+    
+    isSupported() {
+        return true;
+    }
+    
+    start() {
+        this.listening = true;
+    }
+    
+    stop() {
+        this.listening = false;
+    }
+    
+    say(transcript) {
+        if (this.listening && this.onTranscript) {
+            this.onTranscript(transcript);
+        }
+    }
+    
+    advance(deltaTime) {
+        if (!this.listening) return;
+        this.elapsed += deltaTime;
+        while (this.script.length > 0 && this.script[0].at <= this.elapsed) {
+            this.say(this.script.shift().transcript);
+        }
+    }
+}
+
+// Voice Provider: turns recognized commands into one-frame input actions
+export class VoiceProvider {
+    constructor(recognizer = new WebSpeechRecognizer()) {
         this.name = 'voice';
+        this.label = 'Voice';
         this.inputManager = null;
+        this.recognizer = recognizer;
+        this.pendingActions = [];
+        this.lastTranscript = '';
+        
+        this.recognizer.onTranscript = (transcript) => this.handleTranscript(transcript);
     }
     
     activate() {
-        // TODO: Initialize speech recognition
-        console.log('Voice provider activated (stub)');
+        if (!this.recognizer.isSupported()) {
+            console.warn('Speech recognition not supported; voice commands disabled');
+            return;
+        }
+        this.recognizer.start();
+        console.log('Voice provider activated');
     }
     
     deactivate() {
-        // TODO: Stop speech recognition
-        console.log('Voice provider deactivated (stub)');
+        this.recognizer.stop();
+        this.pendingActions = [];
     }
     
-    update(deltaTime) {
-        // TODO: Process voice commands
-        if (this.inputManager) {
-            this.inputManager.moveVector.x = 0;
-            this.inputManager.moveVector.y = 0;
-            this.inputManager.fire = false;
+    handleTranscript(transcript) {
+        this.lastTranscript = transcript;
+        this.pendingActions.push(...VoiceProvider.parseActions(transcript));
+    }
+    
+    // Returns the actions found in a transcript, in spoken order
+    static parseActions(transcript) {
+        const text = ` ${transcript.toLowerCase().replace(/[^a-z\s]/g, ' ').replace(/\s+/g, ' ').trim()} `;
+        const found = [];
+        VOICE_COMMANDS.forEach(({ action, phrases }) => {
+            let index = -1;
+            phrases.forEach(phrase => {
+                const at = text.indexOf(` ${phrase} `);
+                if (at !== -1 && (index === -1 || at < index)) index = at;
+            });
+            if (index !== -1) found.push({ action, index });
+        });
+        return found.sort((a, b) => a.index - b.index).map(entry => entry.action);
+    }
+    
+    update(deltaTime, frame) {
+        // Scripted recognizers are time-driven by the game loop
+        this.recognizer.advance?.(deltaTime);
+        
+        const actions = this.pendingActions;
+        this.pendingActions = [];
+        actions.forEach(action => this.applyAction(action, frame));
+    }
+    
+    applyAction(action, frame) {
+        switch (action) {
+            case 'pickup':
+                frame.pickup = true;
+                break;
+            case 'switchWeapon':
+                frame.switchWeapon = true;
+                break;
+            case 'selectGrenade':
+                frame.selectWeapon = 'grenade';
+                break;
+            case 'selectKnife':
+                frame.selectWeapon = 'melee';
+                break;
+            case 'pause':
+            case 'resume':
+                frame.setPause = action;
+                break;
+            case 'reload':
+                frame.reload = true;
+                break;
         }
     }
 }
@@ -501,79 +2034,484 @@ export class SoundManager {
     }
 }
 
+// Point filters smooth a stream of { x, y } samples. All share filter(point, dt) → point,
+// reset(), and a `velocity` estimate (units per second) used for latency compensation.
+
+// Exponential moving average with a dead zone and a per-sample step cap
+export class EmaFilter {
+    constructor({ alpha = 0.4, deadzone = 0, maxStep = Infinity } = {}) {
+        this.alpha = alpha;
+        this.deadzone = deadzone;
+        this.maxStep = maxStep;
+        this.reset();
+    }
+    
+    reset() {
+        this.value = null;
+        this.velocity = { x: 0, y: 0 };
+    }
+    
+    filter(point, dt) {
+        const prev = this.value || { ...point };
+        const dx = point.x - prev.x;
+        const dy = point.y - prev.y;
+        let next = prev;
+        // Small motion → ignore, keep previous value
+        if (Math.hypot(dx, dy) >= this.deadzone) {
+            const a = this.alpha;
+            next = {
+                x: prev.x + Utils.clamp(dx, -this.maxStep, this.maxStep) * a,
+                y: prev.y + Utils.clamp(dy, -this.maxStep, this.maxStep) * a
+            };
+        }
+        if (this.value && dt > 0) {
+            this.velocity = { x: (next.x - prev.x) / dt, y: (next.y - prev.y) / dt };
+        }
+        this.value = next;
+        return { ...next };
+    }
+}
+
+// One Euro filter (Casiez et al.): heavy smoothing at rest, cutoff rises with speed so
+// fast motion lags little
+export class OneEuroFilter {
+    constructor({ minCutoff = 1.0, beta = 0.01, derivativeCutoff = 1.0 } = {}) {
+        this.minCutoff = minCutoff;
+        this.beta = beta;
+        this.derivativeCutoff = derivativeCutoff;
+        this.reset();
+    }
+    
+    reset() {
+        this.value = null;
+        this.velocity = { x: 0, y: 0 };
+    }
+    
+    static smoothingFactor(cutoff, dt) {
+        const tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / dt);
+    }
+    
+    filter(point, dt) {
+        if (!this.value || dt <= 0) {
+            this.value = this.value || { ...point };
+            return { ...this.value };
+        }
+        const derivativeAlpha = OneEuroFilter.smoothingFactor(this.derivativeCutoff, dt);
+        const rawVelocity = { x: (point.x - this.value.x) / dt, y: (point.y - this.value.y) / dt };
+        this.velocity = {
+            x: this.velocity.x + derivativeAlpha * (rawVelocity.x - this.velocity.x),
+            y: this.velocity.y + derivativeAlpha * (rawVelocity.y - this.velocity.y)
+        };
+        const cutoff = this.minCutoff + this.beta * Math.hypot(this.velocity.x, this.velocity.y);
+        const alpha = OneEuroFilter.smoothingFactor(cutoff, dt);
+        this.value = {
+            x: this.value.x + alpha * (point.x - this.value.x),
+            y: this.value.y + alpha * (point.y - this.value.y)
+        };
+        return { ...this.value };
+    }
+}
+
+// Constant-velocity Kalman filter, one independent [position, velocity] state per axis
+export class KalmanFilter {
+    constructor({ processNoise = 1, measurementNoise = 1 } = {}) {
+        this.processNoise = processNoise; // acceleration variance
+        this.measurementNoise = measurementNoise; // position variance
+        this.reset();
+    }
+    
+    reset() {
+        this.axes = null;
+        this.velocity = { x: 0, y: 0 };
+    }
+    
+    static createAxis(position, measurementNoise) {
+        return { p: position, v: 0, P: [[measurementNoise, 0], [0, measurementNoise * 100]] };
+    }
+    
+    stepAxis(axis, measurement, dt) {
+        // Predict
+        axis.p += axis.v * dt;
+        const q = this.processNoise;
+        const [[p00, p01], [p10, p11]] = axis.P;
+        const predicted = [
+            [p00 + dt * (p10 + p01) + dt * dt * p11 + q * dt ** 4 / 4, p01 + dt * p11 + q * dt ** 3 / 2],
+            [p10 + dt * p11 + q * dt ** 3 / 2, p11 + q * dt * dt]
+        ];
+        // Update with the measured position
+        const innovation = measurement - axis.p;
+        const s = predicted[0][0] + this.measurementNoise;
+        const k0 = predicted[0][0] / s;
+        const k1 = predicted[1][0] / s;
+        axis.p += k0 * innovation;
+        axis.v += k1 * innovation;
+        axis.P = [
+            [(1 - k0) * predicted[0][0], (1 - k0) * predicted[0][1]],
+            [predicted[1][0] - k1 * predicted[0][0], predicted[1][1] - k1 * predicted[0][1]]
+        ];
+    }
+    
+    filter(point, dt) {
+        if (!this.axes) {
+            this.axes = {
+                x: KalmanFilter.createAxis(point.x, this.measurementNoise),
+                y: KalmanFilter.createAxis(point.y, this.measurementNoise)
+            };
+        } else if (dt > 0) {
+            this.stepAxis(this.axes.x, point.x, dt);
+            this.stepAxis(this.axes.y, point.y, dt);
+        }
+        this.velocity = { x: this.axes.x.v, y: this.axes.y.v };
+        return { x: this.axes.x.p, y: this.axes.y.p };
+    }
+}
+
+// Passes samples through unchanged (still tracks velocity)
+export class NoFilter {
+    reset() {
+        this.value = null;
+        this.velocity = { x: 0, y: 0 };
+    }
+    
+    filter(point, dt) {
+        if (this.value && dt > 0) {
+            this.velocity = { x: (point.x - this.value.x) / dt, y: (point.y - this.value.y) / dt };
+        }
+        this.value = { ...point };
+        return { ...point };
+    }
+}
+
+export const FILTER_TYPES = {
+    none: NoFilter,
+    ema: EmaFilter,
+    oneEuro: OneEuroFilter,
+    kalman: KalmanFilter
+};
+
+// Per-signal filter tuning. Aim is filtered in arena pixels, movement on the normalized
+// fingertip position. `prediction` is the latency compensation applied when enabled: the
+// output is pushed ahead by velocity * ms, ramping in between minSpeed and 2 * minSpeed
+// so jitter at rest is not amplified.
+export const GESTURE_FILTER_PRESETS = {
+    aim: {
+        ema: { alpha: 0.4, deadzone: 6, maxStep: 10000 },
+        oneEuro: { minCutoff: 1.0, beta: 0.02, derivativeCutoff: 1.0 },
+        kalman: { processNoise: 5e5, measurementNoise: 36 },
+        none: {},
+        prediction: { ms: 40, minSpeed: 150 }
+    },
+    move: {
+        ema: { alpha: 0.5, deadzone: 0.004 },
+        oneEuro: { minCutoff: 1.5, beta: 8, derivativeCutoff: 1.0 },
+        kalman: { processNoise: 20, measurementNoise: 2e-5 },
+        none: {},
+        prediction: { ms: 30, minSpeed: 0.15 }
+    }
+};
+
+// Response curve exponents for gesture movement: speed = t^exponent, t = 0..1 between
+// the dead zone and the max radius. Higher exponents give finer control near the center.
+export const GESTURE_RESPONSE_CURVES = {
+    linear: 1,
+    smooth: 1.6,
+    precise: 2.5
+};
+
+export const DEFAULT_GESTURE_MOVEMENT = {
+    responseCurve: 'smooth',
+    joystickRing: true
+};
+
+export const DEFAULT_GESTURE_FILTERS = {
+    aim: 'oneEuro',
+    move: 'oneEuro',
+    latencyCompensation: true
+};
+
+// Filter pipeline for one signal: selected filter, then velocity-aware latency compensation
+export class SignalFilter {
+    constructor(signal, type = DEFAULT_GESTURE_FILTERS[signal], latencyCompensation = true) {
+        this.signal = signal;
+        this.latencyCompensation = latencyCompensation;
+        this.setType(type);
+    }
+    
+    setType(type) {
+        const FilterClass = FILTER_TYPES[type];
+        if (!FilterClass) {
+            throw new Error(`Unknown filter type: ${type}`);
+        }
+        this.type = type;
+        this.filterImpl = new FilterClass(GESTURE_FILTER_PRESETS[this.signal][type]);
+        this.filterImpl.reset();
+        this.lastTimestamp = null;
+    }
+    
+    reset() {
+        this.filterImpl.reset();
+        this.lastTimestamp = null;
+    }
+    
+    // timestamp in milliseconds
+    filter(point, timestamp) {
+        const dt = this.lastTimestamp === null ? 0 : Math.max(0, (timestamp - this.lastTimestamp) / 1000);
+        this.lastTimestamp = timestamp;
+        const filtered = this.filterImpl.filter(point, dt);
+        if (!this.latencyCompensation) return filtered;
+        
+        const { ms, minSpeed } = GESTURE_FILTER_PRESETS[this.signal].prediction;
+        const velocity = this.filterImpl.velocity;
+        const speed = Math.hypot(velocity.x, velocity.y);
+        const ramp = Utils.clamp((speed - minSpeed) / minSpeed, 0, 1);
+        return {
+            x: filtered.x + velocity.x * (ms / 1000) * ramp,
+            y: filtered.y + velocity.y * (ms / 1000) * ramp
+        };
+    }
+}
+
+// Gesture control schemes: the hand (MediaPipe handedness label) that moves and the one
+// that aims. MediaPipe labels hands as if the image were mirrored and the camera feed is
+// not, so 'Right' is the player's left hand. 'either' moves with whichever hand is visible;
+// autoAim lets the game pick targets when no hand aims.
+export const GESTURE_CONTROL_SCHEMES = {
+    standard: { move: 'Right', aim: 'Left', autoAim: false },   // left hand moves, right hand aims
+    leftHanded: { move: 'Left', aim: 'Right', autoAim: false }, // right hand moves, left hand aims
+    oneHanded: { move: 'either', aim: null, autoAim: true }
+};
+
+// MediaPipe hand landmark pairs forming the skeleton (wrist 0, thumb 1-4, fingers 5-20)
+const HAND_CONNECTIONS = [
+    [0, 1], [1, 2], [2, 3], [3, 4],
+    [0, 5], [5, 6], [6, 7], [7, 8],
+    [5, 9], [9, 10], [10, 11], [11, 12],
+    [9, 13], [13, 14], [14, 15], [15, 16],
+    [13, 17], [17, 18], [18, 19], [19, 20], [0, 17]
+];
+const HAND_ROLE_COLORS = { move: '0, 255, 0', aim: '0, 191, 255' }; // rgb, other hands grey
+
+// Uncalibrated gesture tuning; calibration profiles override these per user
+export const DEFAULT_GESTURE_PROFILE = {
+    center: { x: 0.8, y: 0.6 },
+    rightPinch: { on: 0.04, off: 0.055 },
+    leftPinch: { on: 0.04, off: 0.06 },
+    aimRect: null
+};
+
 // GestureInputManager: Controls player movement using left-hand index finger gestures.
 // Works with Mediapipe Hands and supports mirrored webcam input.
 export class GestureInputManager {
-    constructor() {
+    constructor(eventBus = new EventBus()) {
+        // Emits 'gestureFrame' with { results, timestamp, pinchThresholds } for every MediaPipe
+        // result; pinchThresholds holds the active { on, off } per hand label
+        this.eventBus = eventBus;
         this.moveVector = { x: 0, y: 0 };
         this.initialized = false;
         this.videoElement = null;
         this.hands = null;
+        this.camera = null;
+        this.status = 'idle';
+        this.statusMessage = '';
 
         // Normalized screen center (used as reference point)
-        this.center = { x: 0.8, y: 0.6 };
+        this.center = { ...DEFAULT_GESTURE_PROFILE.center };
+        // Calibrated aim region in normalized camera coordinates ({ x, y, w, h });
+        // null uses the default 15%-area region
+        this.aimRect = null;
+        this.aimRegionScale = 1;
         
         // Overlay for drawing movement vector
         this.overlayCanvas = null;
         this.overlayCtx = null;
         
-        // Track left hand presence independently
-        this.leftHandPresent = false;
+        // Which hand (MediaPipe label) moves and which aims, from the control scheme
+        this.controlScheme = 'standard';
+        this.roles = { move: null, aim: null };
+        this.aimHandPresent = false;
+        
+        // Emits 'trackingState' with { state, previous, missing } when this changes:
+        // 'acquired' (every hand the scheme needs is tracked well), 'degraded' (some
+        // are missing or uncertain) or 'lost' (no hands)
+        this.trackingState = 'lost';
         this.arenaWidth = null;
         this.arenaHeight = null;
         
-        // Gesture aiming smooth parameters
-        this.aimSmoothingAlpha = 0.4;
-        this.aimDeadzonePx = 6;
-        this.aimMaxStepPx = 10000;
-        this.gestureAimSmoothed = null;
+        // Proportional movement: no motion inside the dead zone, full speed at the max radius
+        this.moveDeadZone = GESTURE_MOVE_DEADZONE;
+        this.moveMaxRadius = GESTURE_MOVE_MAX_RADIUS;
+        this.moveResponseCurve = DEFAULT_GESTURE_MOVEMENT.responseCurve;
+        this.showJoystickRing = DEFAULT_GESTURE_MOVEMENT.joystickRing;
+        
+        // Smoothing pipelines (see SignalFilter); selectable in the Controls screen
+        this.aimFilter = new SignalFilter('aim');
+        this.moveFilter = new SignalFilter('move');
         
         // Right hand pinch judgment (index finger and thumb)
         this.rightPinchActive = false;
-        this.rightPinchOnThreshold = 0.04;   // Enter the Molding Threshold (Normalized Distance)
-        this.rightPinchOffThreshold = 0.055;  // Exit the Molding Threshold (Normalized Distance), forming hysteresis
+        this.rightPinchOnThreshold = DEFAULT_GESTURE_PROFILE.rightPinch.on;   // Enter the Molding Threshold (Normalized Distance)
+        this.rightPinchOffThreshold = DEFAULT_GESTURE_PROFILE.rightPinch.off;  // Exit the Molding Threshold (Normalized Distance), forming hysteresis
         // Left hand pinch judgment (index finger and thumb)
         this.leftPinchActive = false;
-        this.leftPinchOnThreshold = 0.04;   // Enter the Molding Threshold (Normalized Distance)
-        this.leftPinchOffThreshold = 0.06;  // Exit the Molding Threshold (Normalized Distance), forming hysteresis
+        this.leftPinchOnThreshold = DEFAULT_GESTURE_PROFILE.leftPinch.on;   // Enter the Molding Threshold (Normalized Distance)
+        this.leftPinchOffThreshold = DEFAULT_GESTURE_PROFILE.leftPinch.off;  // Exit the Molding Threshold (Normalized Distance), forming hysteresis
+        
+        // Poses and swipes over all 21 landmarks
+        this.classifier = new GestureClassifier();
     }
 
-    async init() {
+    // Load MediaPipe (from options.assetBaseUrl, default the jsDelivr CDN) and start the camera.
+    // Never throws: on failure status becomes 'failed' and gestures stay disabled until retried.
+    async init(options = {}) {
         console.log('Initializing GestureInputManager...');
+        const assetBaseUrl = GestureInputManager.normalizeBaseUrl(options.assetBaseUrl || MEDIAPIPE_CDN_BASE_URL);
+        const loadTimeoutMs = options.loadTimeoutMs ?? MEDIAPIPE_LOAD_TIMEOUT_MS;
+        
+        this.teardown();
+        this.setStatus('loading', 'Loading hand tracking…');
+        
+        try {
+            this.videoElement = document.getElementById('gesture-cam');
+            if (!this.videoElement) {
+                throw new Error('gesture-cam element not found');
+            }
+            
+            await GestureInputManager.withTimeout(
+                Promise.all([
+                    GestureInputManager.loadScript(`${assetBaseUrl}hands/hands.js`, () => typeof Hands !== 'undefined'),
+                    GestureInputManager.loadScript(`${assetBaseUrl}camera_utils/camera_utils.js`, () => typeof Camera !== 'undefined')
+                ]),
+                loadTimeoutMs,
+                'Timed out loading MediaPipe scripts'
+            );
 
-        this.videoElement = document.getElementById('gesture-cam');
-        if (!this.videoElement) {
-            console.error('gesture-cam element not found!');
-            return;
-        }
+            // Initialize Mediapipe Hands
+            this.hands = new Hands({
+                locateFile: (file) => `${assetBaseUrl}hands/${file}`,
+            });
 
-        // Initialize Mediapipe Hands
-        this.hands = new Hands({
-            locateFile: (file) => `https://cdn.jsdelivr.net/npm/@mediapipe/hands/${file}`,
-        });
+            this.hands.setOptions({
+                maxNumHands: 2,             // detect both hands independently
+                modelComplexity: 0,         // lightweight model
+                minDetectionConfidence: 0.7,
+                minTrackingConfidence: 0.7,
+            });
 
-        this.hands.setOptions({
-            maxNumHands: 2,             // detect both hands independently
-            modelComplexity: 0,         // lightweight model
-            minDetectionConfidence: 0.7,
-            minTrackingConfidence: 0.7,
-        });
+            // Callback when results are available
+            this.hands.onResults((results) => this.onResults(results));
+            
+            // Fetch the model up front so a missing file fails here instead of per frame
+            await GestureInputManager.withTimeout(this.hands.initialize(), loadTimeoutMs, 'Timed out loading the hand model');
+
+            // Initialize camera
+            this.camera = new Camera(this.videoElement, {
+                onFrame: async () => {
+                    if (this.hands) {
+                        await this.hands.send({ image: this.videoElement });
+                    }
+                },
+                width: GESTURE_CAMERA_WIDTH,
+                height: GESTURE_CAMERA_HEIGHT,
+            });
 
-        // Callback when results are available
-        this.hands.onResults((results) => this.onResults(results));
+            await GestureInputManager.withTimeout(this.camera.start(), loadTimeoutMs, 'Timed out waiting for the camera');
+        } catch (error) {
+            console.error('GestureInputManager failed to initialize:', error);
+            this.teardown();
+            this.setStatus('failed', GestureInputManager.describeInitError(error));
+            return false;
+        }
 
-        // Initialize camera
-        const camera = new Camera(this.videoElement, {
-            onFrame: async () => {
-                await this.hands.send({ image: this.videoElement });
-            },
-            width: 640,
-            height: 480,
+        this.setupOverlay();
+        this.initialized = true;
+        this.setStatus('ready', 'Hand tracking ready');
+        console.log('GestureInputManager initialized');
+        return true;
+    }
+    
+    // Emits 'gestureStatus' with { status, message }; status is 'idle', 'loading', 'ready' or 'failed'
+    setStatus(status, message = '') {
+        this.status = status;
+        this.statusMessage = message;
+        this.eventBus.emit('gestureStatus', { status, message });
+    }
+    
+    // Stop the camera and release MediaPipe so init() can run again
+    teardown() {
+        this.initialized = false;
+        if (this.camera) {
+            this.camera.stop?.();
+            this.camera = null;
+        }
+        if (this.hands) {
+            this.hands.close?.();
+            this.hands = null;
+        }
+        this.moveVector = { x: 0, y: 0 };
+        this.gestureShootingActive = false;
+        this.gestureAimTargetGame = null;
+        this.rightPinchActive = false;
+        this.leftPinchActive = false;
+        this.classifier.reset();
+        this.aimFilter.reset();
+        this.moveFilter.reset();
+        this.setTrackingState('lost');
+        this.clearOverlay();
+    }
+    
+    static describeInitError(error) {
+        const name = error?.name || '';
+        if (name === 'NotAllowedError' || name === 'SecurityError') return 'Camera permission denied';
+        if (name === 'NotFoundError' || name === 'OverconstrainedError') return 'No camera found';
+        if (name === 'NotReadableError') return 'Camera is in use by another application';
+        return error?.message || 'Hand tracking failed to load';
+    }
+    
+    static normalizeBaseUrl(url) {
+        return url.endsWith('/') ? url : `${url}/`;
+    }
+    
+    // Resolves once the script has run; skipped when isLoaded() already holds (e.g. a
+    // <script> tag in the page). A failed tag is removed so a retry can fetch it again.
+    static loadScript(src, isLoaded = () => false) {
+        if (isLoaded()) return Promise.resolve();
+        return new Promise((resolve, reject) => {
+            const existing = document.querySelector(`script[src="${src}"]`);
+            if (existing) existing.remove();
+            
+            const script = document.createElement('script');
+            script.src = src;
+            script.async = true;
+            script.crossOrigin = 'anonymous';
+            script.onload = () => resolve();
+            script.onerror = () => {
+                script.remove();
+                reject(new Error(`Failed to load ${src}`));
+            };
+            document.head.appendChild(script);
+        });
+    }
+    
+    static withTimeout(promise, timeoutMs, message) {
+        let timer = null;
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error(message)), timeoutMs);
         });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
 
-        camera.start();
+    // Initialize without camera or MediaPipe; results arrive from a GestureReplaySource
+    initPlayback() {
+        this.teardown();
+        this.videoElement = document.getElementById('gesture-cam');
+        this.setupOverlay();
+        this.initialized = true;
+        this.setStatus('ready', 'Replaying recorded gestures');
+        console.log('GestureInputManager initialized for replay');
+    }
 
-        // Setup overlay canvas
+    setupOverlay() {
         this.overlayCanvas = document.getElementById('gesture-overlay');
         if (this.overlayCanvas) {
             this.overlayCtx = this.overlayCanvas.getContext('2d');
@@ -581,35 +2519,61 @@ export class GestureInputManager {
         } else {
             console.warn('gesture-overlay canvas not found; arrow overlay disabled');
         }
-
-        this.initialized = true;
-        console.log('GestureInputManager initialized');
     }
 
-    onResults(results) {
-        // Iterate all detected hands; keep right-hand logic independent
-        let rightFingerTip = null;
-        let rightThumbTip = null; // Right hand index finger tip and thumb tip
-        let leftFingerTip = null;
-        let leftThumbTip = null; // Left hand index finger tip and thumb tip
-        this.leftHandPresent = false;
-        this.gestureShootingActive = false;
-        
+    // Fingertip offset → move vector with magnitude 0..1: dead zone, then the response
+    // curve up to maxRadius, clamped beyond it
+    static mapMoveOffset(dx, dy, deadZone, maxRadius, exponent) {
+        const magnitude = Math.hypot(dx, dy);
+        if (magnitude <= deadZone) return { x: 0, y: 0 };
+        const t = Utils.clamp((magnitude - deadZone) / Math.max(maxRadius - deadZone, 1e-6), 0, 1);
+        const speed = Math.pow(t, exponent);
+        return { x: (dx / magnitude) * speed, y: (dy / magnitude) * speed };
+    }
+    
+    // Split MediaPipe results into { Left, Right } landmark arrays by handedness label
+    static extractHands(results) {
+        const hands = { Left: null, Right: null };
         if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
             const handsCount = Math.min(results.multiHandLandmarks.length, results.multiHandedness?.length || 0);
             for (let i = 0; i < handsCount; i++) {
                 const handedness = results.multiHandedness?.[i]?.label; // "Left" or "Right"
-                const landmarks = results.multiHandLandmarks[i];
-                if (handedness === 'Left') {
-                    this.leftHandPresent = true;
-                    leftFingerTip = landmarks[8];
-                    leftThumbTip = landmarks[4];
-                } else if (handedness === 'Right') {
-                    rightFingerTip = landmarks[8];
-                    rightThumbTip = landmarks[4];
+                if (handedness === 'Left' || handedness === 'Right') {
+                    hands[handedness] = results.multiHandLandmarks[i];
                 }
             }
         }
+        return hands;
+    }
+    
+    // Normalized thumb tip (4) to index tip (8) distance
+    static pinchDistance(landmarks) {
+        return Math.hypot(landmarks[4].x - landmarks[8].x, landmarks[4].y - landmarks[8].y);
+    }
+    
+    onResults(results, timestamp = performance.now()) {
+        this.eventBus.emit('gestureFrame', {
+            results,
+            timestamp,
+            pinchThresholds: { Left: this.getPinchThresholds('Left'), Right: this.getPinchThresholds('Right') }
+        });
+        
+        // Iterate all detected hands; pinches are tracked per hand, movement and aim per role
+        const hands = GestureInputManager.extractHands(results);
+        this.classifier.update(hands, timestamp);
+        const rightFingerTip = hands.Right ? hands.Right[8] : null;
+        const rightThumbTip = hands.Right ? hands.Right[4] : null; // Right hand index finger tip and thumb tip
+        const leftFingerTip = hands.Left ? hands.Left[8] : null;
+        const leftThumbTip = hands.Left ? hands.Left[4] : null; // Left hand index finger tip and thumb tip
+        this.gestureShootingActive = false;
+        
+        const roles = this.resolveRoles(hands);
+        if (roles.move !== this.roles.move) this.moveFilter.reset();
+        this.roles = roles;
+        const moveHand = roles.move ? hands[roles.move] : null;
+        const aimHand = roles.aim ? hands[roles.aim] : null;
+        this.aimHandPresent = !!aimHand;
+        this.updateTrackingState(results, roles, hands);
         
         // Right hand pinch judgment (index finger and thumb)
         if (rightFingerTip && rightThumbTip) {
@@ -648,121 +2612,339 @@ export class GestureInputManager {
             this.leftPinchActive = false;
         }
         
-        // Update movement only based on right hand
-        if (rightFingerTip) {
-            // Mirror correction (Mediapipe camera is mirrored horizontally)
-            const centerX = this.center.x;
-            const centerY = this.center.y;
-            let dx = -(rightFingerTip.x - centerX);  // invert X axis
-            let dy = -(rightFingerTip.y - centerY);  // invert Y axis here; final output will flip Y
-
-            const magnitude = Math.sqrt(dx * dx + dy * dy);
-            if (magnitude > 0.05) {
-                this.moveVector.x = dx / magnitude;
-                this.moveVector.y = dy / magnitude;
-            } else {
-                this.moveVector.x = 0;
-                this.moveVector.y = 0;
-            }
-        } else {
-            // No right hand → stop movement
-            this.moveVector.x = 0;
-            this.moveVector.y = 0;
-        }
-
-        // Render overlay: clear once, then draw left-hand region and right-hand arrow
-        if (this.overlayCtx && this.overlayCanvas) {
-            this.syncOverlaySize();
-            const w = this.overlayCanvas.width;
-            const h = this.overlayCanvas.height;
-            const ctx = this.overlayCtx;
-
-            ctx.clearRect(0, 0, w, h);
-            ctx.save();
-            ctx.imageSmoothingEnabled = true;
-
-            // Draw blue region in bottom-left if left hand present
-            if (this.leftHandPresent) {
-                const totalArea = w * h;
-                const targetArea = totalArea * 0.15; // Keep existing ratio setting
-                const mapRatio = (this.arenaWidth && this.arenaHeight)
-                    ? (this.arenaWidth / this.arenaHeight)
-                    : (w / h);
-                const rectW = Math.sqrt(targetArea * mapRatio);
-                const rectH = Math.sqrt(targetArea / mapRatio);
-                // Keep existing center position setting
-                const desiredCenterX = 0.25 * w;
-                const leftX = Math.round(desiredCenterX - rectW / 2);
-                const dx = Math.max(0, Math.min(leftX, Math.round(w - rectW)));
-                const desiredCenterY = 0.6 * h;
-                const topY = Math.round(desiredCenterY - rectH / 2);
-                const dy = Math.max(0, Math.min(topY, Math.round(h - rectH)));
-                ctx.fillStyle = 'rgba(0, 122, 255, 0.35)';
-                ctx.fillRect(dx, dy, Math.round(rectW), Math.round(rectH));
-                // Compute gesture aim mapping only if fingertip within region
-                if (leftFingerTip) {
-                    const fx = leftFingerTip.x * w;
-                    const fy = leftFingerTip.y * h;
-                    const withinRegion = (fx >= dx && fx <= dx + rectW && fy >= dy && fy <= dy + rectH);
-                    if (withinRegion) {
-                        const localX = rectW - (fx - dx);
-                        const localY = fy - dy;
-                        const rawX = (localX / rectW) * (this.arenaWidth || w);
-                        const rawY = (localY / rectH) * (this.arenaHeight || h);
-
-                        // Smooth/Denoise processing
-                        const prev = this.gestureAimSmoothed || { x: rawX, y: rawY };
-                        const dxAim = rawX - prev.x;
-                        const dyAim = rawY - prev.y;
-                        const dist = Math.hypot(dxAim, dyAim);
-                        if (dist < this.aimDeadzonePx) {
-                            // Small motion → ignore, keep previous smoothed value
-                            this.gestureAimSmoothed = prev;
-                        } else {
-                            // Limit single step to avoid abrupt changes
-                            const cappedDx = Utils.clamp(dxAim, -this.aimMaxStepPx, this.aimMaxStepPx);
-                            const cappedDy = Utils.clamp(dyAim, -this.aimMaxStepPx, this.aimMaxStepPx);
-                            const cappedRawX = prev.x + cappedDx;
-                            const cappedRawY = prev.y + cappedDy;
-                            const a = this.aimSmoothingAlpha;
-                            this.gestureAimSmoothed = {
-                                x: prev.x * (1 - a) + cappedRawX * a,
-                                y: prev.y * (1 - a) + cappedRawY * a
-                            };
-                        }
-
-                        // Output smoothed target for game use (round to integer)
-                        this.gestureAimTargetGame = {
-                            x: Math.round(this.gestureAimSmoothed.x),
-                            y: Math.round(this.gestureAimSmoothed.y)
-                        };
-                        this.gestureShootingActive = true;
-                    } else {
-                        this.gestureShootingActive = false;
-                        this.gestureAimTargetGame = null;
-                        // Keep gestureAimSmoothed for next time
-                    }
-                } else {
-                    this.gestureShootingActive = false;
-                    this.gestureAimTargetGame = null;
-                    // Do not clear gestureAimSmoothed, avoid sudden jump when re-enter
-                }
-            }
-
-            // Draw right-hand arrow if we have a right finger tip
-            if (rightFingerTip) {
-                this.drawOverlayVector(this.center, rightFingerTip);
-            }
-
-            ctx.restore();
+        // Update movement only based on the movement hand (smoothed fingertip)
+        const moveCenter = this.getMoveCenter(roles.move);
+        const moveTip = moveHand ? this.moveFilter.filter(moveHand[8], timestamp) : null;
+        if (moveTip) {
+            // Mirror correction (Mediapipe camera is mirrored horizontally)
+            const centerX = moveCenter.x;
+            const centerY = moveCenter.y;
+            let dx = -(moveTip.x - centerX);  // invert X axis
+            let dy = -(moveTip.y - centerY);  // invert Y axis here; final output will flip Y
+
+            this.moveVector = GestureInputManager.mapMoveOffset(
+                dx, dy, this.moveDeadZone, this.moveMaxRadius, GESTURE_RESPONSE_CURVES[this.moveResponseCurve] ?? 1
+            );
+        } else {
+            // No movement hand → stop movement
+            this.moveVector.x = 0;
+            this.moveVector.y = 0;
+            this.moveFilter.reset();
+        }
+
+        // Aim mapping runs whether or not the overlay is visible (e.g. replays in headless tests)
+        const frameSize = this.getFrameSize();
+        if (this.aimHandPresent) {
+            this.updateAim(aimHand[8], frameSize.width, frameSize.height, timestamp);
+        }
+
+        // Render overlay: clear once, then draw aim region, hands and movement arrow
+        if (this.overlayCtx && this.overlayCanvas) {
+            const w = this.overlayCanvas.width;
+            const h = this.overlayCanvas.height;
+            const ctx = this.overlayCtx;
+
+            ctx.clearRect(0, 0, w, h);
+            ctx.save();
+            ctx.imageSmoothingEnabled = true;
+
+            // Draw blue aim region if the aim hand is present, outlined while shooting
+            if (this.aimHandPresent) {
+                const aimRect = this.getAimRectPx(w, h, roles.aim);
+                const shooting = this.gestureShootingActive;
+                ctx.fillStyle = shooting ? 'rgba(0, 122, 255, 0.5)' : 'rgba(0, 122, 255, 0.25)';
+                ctx.fillRect(aimRect.x, aimRect.y, Math.round(aimRect.w), Math.round(aimRect.h));
+                if (shooting) {
+                    ctx.strokeStyle = 'rgba(0, 191, 255, 0.9)';
+                    ctx.lineWidth = 2;
+                    ctx.strokeRect(aimRect.x, aimRect.y, Math.round(aimRect.w), Math.round(aimRect.h));
+                }
+            }
+
+            // Skeleton and pinch state for every tracked hand
+            ['Left', 'Right'].forEach(label => {
+                if (!hands[label]) return;
+                const role = Object.keys(roles).find(key => roles[key] === label);
+                const pinched = label === 'Left' ? this.leftPinchActive : this.rightPinchActive;
+                this.drawHandSkeleton(hands[label], HAND_ROLE_COLORS[role] || '200, 200, 200');
+                this.drawPinchState(hands[label], pinched);
+            });
+
+            // Draw movement arrow if we have a movement finger tip
+            if (moveTip) {
+                if (this.showJoystickRing) this.drawJoystickRing(moveCenter);
+                this.drawOverlayVector(moveCenter, moveTip);
+            }
+
+            ctx.restore();
+        } else {
+            // If overlay not available and no movement hand, ensure cleared state
+            if (!moveTip) {
+                this.clearOverlay();
+            }
+        }
+    }
+
+    // Pixel size the aim region is laid out in: the overlay when shown, else the camera frame
+    getFrameSize() {
+        if (this.overlayCanvas) {
+            this.syncOverlaySize();
+            if (this.overlayCanvas.width > 0 && this.overlayCanvas.height > 0) {
+                return { width: this.overlayCanvas.width, height: this.overlayCanvas.height };
+            }
+        }
+        return { width: GESTURE_CAMERA_WIDTH, height: GESTURE_CAMERA_HEIGHT };
+    }
+
+    updateTrackingState(results, roles, hands) {
+        const scheme = GESTURE_CONTROL_SCHEMES[this.controlScheme] || GESTURE_CONTROL_SCHEMES.standard;
+        const required = scheme.aim ? ['move', 'aim'] : ['move'];
+        const missing = required.filter(role => !roles[role] || !hands[roles[role]]);
+        const scores = (results.multiHandedness || []).map(handedness => handedness?.score ?? 1);
+        const uncertain = scores.some(score => score < TRACKING_MIN_HANDEDNESS_SCORE);
+        
+        let state = 'acquired';
+        if (!hands.Left && !hands.Right) {
+            state = 'lost';
+        } else if (missing.length > 0 || uncertain) {
+            state = 'degraded';
+        }
+        this.setTrackingState(state, missing);
+    }
+    
+    setTrackingState(state, missing = []) {
+        if (state === this.trackingState) return;
+        const previous = this.trackingState;
+        this.trackingState = state;
+        this.eventBus.emit('trackingState', { state, previous, missing });
+    }
+    
+    // Movement/aim hand labels for the current scheme; a one-handed scheme moves with
+    // whichever hand is visible
+    resolveRoles(hands) {
+        const scheme = GESTURE_CONTROL_SCHEMES[this.controlScheme] || GESTURE_CONTROL_SCHEMES.standard;
+        if (scheme.move === 'either') {
+            return { move: hands.Right ? 'Right' : (hands.Left ? 'Left' : null), aim: null };
+        }
+        return { move: scheme.move, aim: scheme.aim };
+    }
+    
+    // Movement center for a hand. Profiles store it for the 'Right'-labelled hand (the
+    // player's left); the other hand uses the horizontal mirror image.
+    getMoveCenter(label) {
+        return label === 'Left' ? { x: 1 - this.center.x, y: this.center.y } : { ...this.center };
+    }
+    
+    setControlScheme(name) {
+        if (!(name in GESTURE_CONTROL_SCHEMES) || name === this.controlScheme) return;
+        this.controlScheme = name;
+        this.roles = { move: null, aim: null };
+        this.moveFilter.reset();
+        this.aimFilter.reset();
+        this.gestureShootingActive = false;
+        this.gestureAimTargetGame = null;
+    }
+    
+    // Hands to calibrate with; one-handed play calibrates like the standard scheme
+    getCalibrationRoles() {
+        const scheme = GESTURE_CONTROL_SCHEMES[this.controlScheme];
+        return scheme && scheme.aim ? { move: scheme.move, aim: scheme.aim } : { move: 'Right', aim: 'Left' };
+    }
+    
+    isAutoAimEnabled() {
+        return !!GESTURE_CONTROL_SCHEMES[this.controlScheme]?.autoAim;
+    }
+
+    // Map the aim fingertip inside the aim region to smoothed arena coordinates
+    updateAim(aimFingerTip, w, h, timestamp) {
+        if (!aimFingerTip) {
+            this.gestureShootingActive = false;
+            this.gestureAimTargetGame = null;
+            // Keep the aim filter state, avoid sudden jump when re-enter
+            return;
+        }
+        
+        const aimRect = this.getAimRectPx(w, h, this.roles.aim);
+        const rectW = aimRect.w;
+        const rectH = aimRect.h;
+        const dx = aimRect.x;
+        const dy = aimRect.y;
+        const fx = aimFingerTip.x * w;
+        const fy = aimFingerTip.y * h;
+        const withinRegion = (fx >= dx && fx <= dx + rectW && fy >= dy && fy <= dy + rectH);
+        if (!withinRegion) {
+            this.gestureShootingActive = false;
+            this.gestureAimTargetGame = null;
+            // Keep the aim filter state for next time
+            return;
+        }
+        
+        const localX = rectW - (fx - dx);
+        const localY = fy - dy;
+        const rawX = (localX / rectW) * (this.arenaWidth || w);
+        const rawY = (localY / rectH) * (this.arenaHeight || h);
+
+        // Smooth/Denoise processing; prediction may overshoot, so keep it in the arena
+        const smoothed = this.aimFilter.filter({ x: rawX, y: rawY }, timestamp);
+        const maxX = this.arenaWidth || w;
+        const maxY = this.arenaHeight || h;
+
+        // Output smoothed target for game use (round to integer)
+        this.gestureAimTargetGame = {
+            x: Math.round(Utils.clamp(smoothed.x, 0, maxX)),
+            y: Math.round(Utils.clamp(smoothed.y, 0, maxY))
+        };
+        this.gestureShootingActive = true;
+    }
+
+    // Aim region in overlay pixels for the aim hand, mirrored for the 'Right'-labelled hand
+    // (profiles store it for the 'Left'-labelled one), grown by aimRegionScale
+    getAimRectPx(w, h, aimLabel = 'Left') {
+        let rect = this.getStandardAimRectPx(w, h);
+        if (this.aimRegionScale !== 1) {
+            const rectW = Math.min(w, rect.w * this.aimRegionScale);
+            const rectH = Math.min(h, rect.h * this.aimRegionScale);
+            rect = {
+                x: Math.round(Utils.clamp(rect.x + rect.w / 2 - rectW / 2, 0, w - rectW)),
+                y: Math.round(Utils.clamp(rect.y + rect.h / 2 - rectH / 2, 0, h - rectH)),
+                w: rectW,
+                h: rectH
+            };
+        }
+        return aimLabel === 'Right' ? { ...rect, x: Math.round(w - rect.x - rect.w) } : rect;
+    }
+    
+    // Grow the aim region around its center (1 = as calibrated), e.g. when the player tires
+    setAimRegionScale(scale) {
+        this.aimRegionScale = Math.max(1, scale);
+    }
+    
+    // The calibrated rectangle, or the default region covering 15% of the view with the
+    // arena's aspect ratio
+    getStandardAimRectPx(w, h) {
+        if (this.aimRect) {
+            return {
+                x: Math.round(this.aimRect.x * w),
+                y: Math.round(this.aimRect.y * h),
+                w: this.aimRect.w * w,
+                h: this.aimRect.h * h
+            };
+        }
+        const totalArea = w * h;
+        const targetArea = totalArea * 0.15; // Keep existing ratio setting
+        const mapRatio = (this.arenaWidth && this.arenaHeight)
+            ? (this.arenaWidth / this.arenaHeight)
+            : (w / h);
+        const rectW = Math.sqrt(targetArea * mapRatio);
+        const rectH = Math.sqrt(targetArea / mapRatio);
+        // Keep existing center position setting
+        const desiredCenterX = 0.25 * w;
+        const leftX = Math.round(desiredCenterX - rectW / 2);
+        const x = Math.max(0, Math.min(leftX, Math.round(w - rectW)));
+        const desiredCenterY = 0.6 * h;
+        const topY = Math.round(desiredCenterY - rectH / 2);
+        const y = Math.max(0, Math.min(topY, Math.round(h - rectH)));
+        return { x, y, w: rectW, h: rectH };
+    }
+    
+    // Apply a calibration profile (see GestureCalibration); missing fields keep current values
+    applyProfile(profile) {
+        if (!profile) return;
+        if (profile.center) this.center = { ...profile.center };
+        if (profile.rightPinch) {
+            this.rightPinchOnThreshold = profile.rightPinch.on;
+            this.rightPinchOffThreshold = profile.rightPinch.off;
+        }
+        if (profile.leftPinch) {
+            this.leftPinchOnThreshold = profile.leftPinch.on;
+            this.leftPinchOffThreshold = profile.leftPinch.off;
+        }
+        if (profile.aimRect !== undefined) this.aimRect = profile.aimRect ? { ...profile.aimRect } : null;
+    }
+    
+    resetProfile() {
+        this.applyProfile(DEFAULT_GESTURE_PROFILE);
+    }
+    
+    // Dead zone and full-speed rings around the movement center, filled by current speed
+    drawJoystickRing(center) {
+        const ctx = this.overlayCtx;
+        const w = this.overlayCanvas.width;
+        const h = this.overlayCanvas.height;
+        const cx = center.x * w;
+        const cy = center.y * h;
+        const speed = Math.min(1, Math.hypot(this.moveVector.x, this.moveVector.y));
+        
+        ctx.save();
+        // Offsets are normalized per axis, so the rings are ellipses in overlay pixels
+        ctx.fillStyle = `rgba(0, 255, 0, ${0.08 + speed * 0.2})`;
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.ellipse(cx, cy, this.moveMaxRadius * w, this.moveMaxRadius * h, 0, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+        
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+        ctx.setLineDash([3, 3]);
+        ctx.beginPath();
+        ctx.ellipse(cx, cy, this.moveDeadZone * w, this.moveDeadZone * h, 0, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.restore();
+    }
+    
+    drawHandSkeleton(landmarks, rgb) {
+        const ctx = this.overlayCtx;
+        const w = this.overlayCanvas.width;
+        const h = this.overlayCanvas.height;
+        
+        ctx.save();
+        ctx.strokeStyle = `rgba(${rgb}, 0.8)`;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        HAND_CONNECTIONS.forEach(([from, to]) => {
+            ctx.moveTo(landmarks[from].x * w, landmarks[from].y * h);
+            ctx.lineTo(landmarks[to].x * w, landmarks[to].y * h);
+        });
+        ctx.stroke();
+        
+        ctx.fillStyle = `rgba(${rgb}, 1)`;
+        landmarks.forEach(point => {
+            ctx.beginPath();
+            ctx.arc(point.x * w, point.y * h, 2, 0, Math.PI * 2);
+            ctx.fill();
+        });
+        ctx.restore();
+    }
+    
+    // Thumb-index link, with a filled dot between the tips while pinching
+    drawPinchState(landmarks, pinched) {
+        const ctx = this.overlayCtx;
+        const w = this.overlayCanvas.width;
+        const h = this.overlayCanvas.height;
+        const thumb = landmarks[4];
+        const index = landmarks[8];
+        const mx = (thumb.x + index.x) / 2 * w;
+        const my = (thumb.y + index.y) / 2 * h;
+        
+        ctx.save();
+        ctx.strokeStyle = pinched ? 'rgba(255, 215, 0, 1)' : 'rgba(255, 255, 255, 0.5)';
+        ctx.lineWidth = pinched ? 3 : 1;
+        ctx.beginPath();
+        ctx.moveTo(thumb.x * w, thumb.y * h);
+        ctx.lineTo(index.x * w, index.y * h);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.arc(mx, my, pinched ? 6 : 4, 0, Math.PI * 2);
+        if (pinched) {
+            ctx.fillStyle = 'rgba(255, 215, 0, 0.9)';
+            ctx.fill();
         } else {
-            // If overlay not available and no right hand, ensure cleared state
-            if (!rightFingerTip) {
-                this.clearOverlay();
-            }
+            ctx.stroke();
         }
+        ctx.restore();
     }
-
+    
     drawOverlayVector(centerNorm, fingerNorm) {
         if (!this.overlayCtx || !this.overlayCanvas) return;
         // this.syncOverlaySize(); // removed to avoid clearing mid-frame
@@ -836,6 +3018,34 @@ export class GestureInputManager {
     isLeftPinchActive() {
         return !!this.leftPinchActive;
     }
+    
+    // Active pinch hysteresis thresholds for a hand label, after calibration
+    getPinchThresholds(label) {
+        return label === 'Left'
+            ? { on: this.leftPinchOnThreshold, off: this.leftPinchOffThreshold }
+            : { on: this.rightPinchOnThreshold, off: this.rightPinchOffThreshold };
+    }
+    
+    // Pinch state of the hand currently playing a role ('move' or 'aim')
+    isRolePinchActive(role) {
+        const label = this.roles[role];
+        if (label === 'Right') return this.isRightPinchActive();
+        if (label === 'Left') return this.isLeftPinchActive();
+        return false;
+    }
+
+    setMovementOptions({ responseCurve, joystickRing }) {
+        if (responseCurve in GESTURE_RESPONSE_CURVES) this.moveResponseCurve = responseCurve;
+        if (joystickRing !== undefined) this.showJoystickRing = !!joystickRing;
+    }
+    
+    // Select the smoothing filter for 'aim' or 'move' (see FILTER_TYPES)
+    setFilters({ aim, move, latencyCompensation }) {
+        [[this.aimFilter, aim], [this.moveFilter, move]].forEach(([pipeline, type]) => {
+            if (type && type !== pipeline.type) pipeline.setType(type);
+            if (latencyCompensation !== undefined) pipeline.latencyCompensation = latencyCompensation;
+        });
+    }
 
     // Set game canvas size to map gestures uniformly to game coordinates
     setArenaSize(width, height) {
@@ -869,3 +3079,759 @@ export class GestureInputManager {
     }
 }
 
+// Static hand poses and directional swipes recognized by GestureClassifier
+export const GESTURE_POSES = ['fist', 'openPalm', 'point', 'vSign'];
+export const GESTURE_SWIPES = ['swipeLeft', 'swipeRight', 'swipeUp', 'swipeDown'];
+
+// Finger states per pose, ordered thumb, index, middle, ring, pinky:
+// 1 extended, 0 curled, null ignored
+const POSE_TEMPLATES = {
+    fist: [null, 0, 0, 0, 0],
+    openPalm: [1, 1, 1, 1, 1],
+    point: [null, 1, 0, 0, 0],
+    vSign: [null, 1, 1, 0, 0]
+};
+
+// Poses that trigger disruptive actions need a longer hold, with the palm kept still:
+// moving the hand or swiping restarts it
+const POSE_HOLD_MS = {
+    openPalm: 500
+};
+
+// Classifies each hand's 21 landmarks into a pose with a confidence score, debounced
+// over time, and detects open-hand swipes from palm travel. Fed by GestureInputManager.
+export class GestureClassifier {
+    constructor() {
+        this.reset();
+    }
+    
+    reset() {
+        // Per hand: { candidate, candidateSince, active, confidence, missingSince, trail, lastSwipeAt }
+        this.hands = { Left: GestureClassifier.createHandState(), Right: GestureClassifier.createHandState() };
+        this.pendingSwipes = [];
+    }
+    
+    static createHandState() {
+        return {
+            candidate: null,
+            candidateSince: 0,
+            active: null,
+            confidence: 0,
+            missingSince: null,
+            trail: [],
+            lastSwipeAt: -Infinity
+        };
+    }
+    
+    // 0 (curled) .. 1 (extended) for thumb, index, middle, ring, pinky
+    static fingerExtensions(landmarks) {
+        const distance = (a, b) => Math.hypot(landmarks[a].x - landmarks[b].x, landmarks[a].y - landmarks[b].y);
+        const palmSize = distance(0, 9) || 1e-6;
+        // Thumb: tip distance from the index knuckle relative to the palm
+        const thumb = Utils.clamp((distance(4, 5) / palmSize - 0.3) / 0.4, 0, 1);
+        // Fingers: tip vs middle joint distance from the wrist (straight ≈ 1.3+, curled < 1)
+        const fingers = [[8, 6], [12, 10], [16, 14], [20, 18]].map(([tip, pip]) => {
+            const ratio = distance(0, tip) / (distance(0, pip) || 1e-6);
+            return Utils.clamp((ratio - 0.9) / 0.4, 0, 1);
+        });
+        return [thumb, ...fingers];
+    }
+    
+    // Best matching pose as { pose, confidence }, or null below GESTURE_MIN_CONFIDENCE
+    static classifyPose(landmarks) {
+        const extensions = GestureClassifier.fingerExtensions(landmarks);
+        let best = null;
+        Object.entries(POSE_TEMPLATES).forEach(([pose, template]) => {
+            let confidence = 1;
+            template.forEach((expected, finger) => {
+                if (expected === null) return;
+                const score = expected ? extensions[finger] : 1 - extensions[finger];
+                confidence = Math.min(confidence, score);
+            });
+            if (!best || confidence > best.confidence) {
+                best = { pose, confidence };
+            }
+        });
+        return best && best.confidence >= GESTURE_MIN_CONFIDENCE ? best : null;
+    }
+    
+    static palmCenter(landmarks) {
+        const ids = [0, 5, 9, 13, 17];
+        return {
+            x: ids.reduce((sum, id) => sum + landmarks[id].x, 0) / ids.length,
+            y: ids.reduce((sum, id) => sum + landmarks[id].y, 0) / ids.length
+        };
+    }
+    
+    // hands: { Left, Right } landmark arrays (see GestureInputManager.extractHands); timestamp in ms
+    update(hands, timestamp) {
+        ['Left', 'Right'].forEach(label => {
+            const state = this.hands[label];
+            const landmarks = hands[label];
+            if (!landmarks) {
+                // Lost hands release immediately; nothing to debounce against
+                this.hands[label] = { ...GestureClassifier.createHandState(), lastSwipeAt: state.lastSwipeAt };
+                return;
+            }
+            const result = GestureClassifier.classifyPose(landmarks);
+            if (this.updateSwipe(state, landmarks, result, timestamp)) {
+                // A swipe is not a held pose; restart debouncing
+                state.candidate = null;
+                state.active = null;
+                return;
+            }
+            const moving = GestureClassifier.trailTravel(state.trail) > STILL_POSE_MAX_TRAVEL ||
+                timestamp - state.lastSwipeAt < SWIPE_COOLDOWN_MS;
+            this.updatePose(state, result, timestamp, moving);
+        });
+    }
+    
+    // Palm displacement across the swipe window
+    static trailTravel(trail) {
+        if (trail.length < 2) return 0;
+        const first = trail[0];
+        const last = trail[trail.length - 1];
+        return Math.hypot(last.x - first.x, last.y - first.y);
+    }
+    
+    updatePose(state, result, timestamp, moving = false) {
+        const pose = result ? result.pose : null;
+        if (pose !== state.candidate || (moving && pose in POSE_HOLD_MS)) {
+            state.candidate = pose;
+            state.candidateSince = timestamp;
+        }
+        if (result) state.confidence = result.confidence;
+        
+        const heldFor = timestamp - state.candidateSince;
+        if (pose === state.active) return;
+        if (pose === null) {
+            if (heldFor >= GESTURE_RELEASE_MS) state.active = null;
+        } else if (heldFor >= (POSE_HOLD_MS[pose] ?? GESTURE_HOLD_MS)) {
+            state.active = pose;
+        }
+    }
+    
+    // Swipes are made with an open hand so moving the pointing finger never triggers one
+    updateSwipe(state, landmarks, result, timestamp) {
+        const center = GestureClassifier.palmCenter(landmarks);
+        state.trail.push({ t: timestamp, x: center.x, y: center.y });
+        while (state.trail.length > 0 && timestamp - state.trail[0].t > SWIPE_WINDOW_MS) {
+            state.trail.shift();
+        }
+        if (result?.pose !== 'openPalm' || timestamp - state.lastSwipeAt < SWIPE_COOLDOWN_MS) return false;
+        
+        const start = state.trail[0];
+        const dx = center.x - start.x;
+        const dy = center.y - start.y;
+        let swipe = null;
+        if (Math.abs(dx) >= SWIPE_MIN_DISTANCE && Math.abs(dx) > Math.abs(dy) * 2) {
+            // Camera x runs opposite to the player's view (the preview is mirrored)
+            swipe = dx < 0 ? 'swipeRight' : 'swipeLeft';
+        } else if (Math.abs(dy) >= SWIPE_MIN_DISTANCE && Math.abs(dy) > Math.abs(dx) * 2) {
+            swipe = dy < 0 ? 'swipeUp' : 'swipeDown';
+        }
+        if (!swipe) return false;
+        
+        state.lastSwipeAt = timestamp;
+        state.trail = [];
+        state.confidence = Math.min(1, Math.hypot(dx, dy) / (SWIPE_MIN_DISTANCE * 2) + 0.5);
+        this.pendingSwipes.push(swipe);
+        return true;
+    }
+    
+    isPoseActive(pose) {
+        return this.hands.Left.active === pose || this.hands.Right.active === pose;
+    }
+    
+    // Active pose and its confidence for one hand ('Left' or 'Right')
+    getHandPose(label) {
+        const state = this.hands[label];
+        return state.active ? { pose: state.active, confidence: state.confidence } : null;
+    }
+    
+    // Swipes detected since the last call (camera frames and game frames run at different rates)
+    consumeSwipes() {
+        const swipes = this.pendingSwipes;
+        this.pendingSwipes = [];
+        return swipes;
+    }
+}
+
+// Fatigue levels by minimum fatigue score
+export const FATIGUE_LEVELS = [
+    { level: 'fresh', min: 0 },
+    { level: 'tiring', min: 0.45 },
+    { level: 'fatigued', min: 0.7 }
+];
+
+// How much each signal contributes to the fatigue score
+const FATIGUE_WEIGHTS = { time: 0.35, droop: 0.25, tremor: 0.2, pinch: 0.2 };
+const FATIGUE_SESSIONS_STORAGE_KEY = 'gestureShooter.fatigueSessions';
+
+// Estimates "gorilla arm" fatigue from 'gestureFrame' landmarks and play time: raised-arm
+// time, wrists drooping below the player's fresh baseline, fingertip tremor and slowing
+// pinches. Emits 'fatigueLevel' with { level, previous, fatigue } when the level changes
+// and keeps a per-session curve that endSession() stores for later review.
+export class FatigueMonitor {
+    constructor(eventBus, storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+        this.eventBus = eventBus;
+        this.storage = storage;
+        this.handleFrame = this.handleFrame.bind(this);
+        this.handleTrackingState = this.handleTrackingState.bind(this);
+        this.running = false;
+        this.reset();
+    }
+    
+    reset() {
+        this.startedAt = Date.now();
+        this.activeTime = 0; // seconds of play with hands in view
+        this.loadTime = 0; // activeTime weighted by arm elevation
+        this.handsInView = false;
+        this.lastFrameAt = null;
+        
+        // Running landmark statistics
+        this.height = null; // mean wrist y (0 top .. 1 bottom), smoothed
+        this.tremor = null; // fingertip jitter around its smoothed path, smoothed
+        this.smoothedTips = {};
+        this.pinchStates = {};
+        this.pinchSpeeds = []; // peak closing speed of each completed pinch
+        
+        // Fresh baseline, learned during the first FATIGUE_BASELINE_SECONDS of play
+        this.baseline = { heightSum: 0, tremorSum: 0, samples: 0, height: null, tremor: null, pinchSpeed: null };
+        
+        this.components = { time: 0, droop: 0, tremor: 0, pinch: 0 };
+        this.fatigue = 0;
+        this.level = FATIGUE_LEVELS[0].level;
+        this.curve = [];
+        this.sampleTimer = 0;
+    }
+    
+    start() {
+        if (this.running) return;
+        this.running = true;
+        this.eventBus.on('gestureFrame', this.handleFrame);
+        this.eventBus.on('trackingState', this.handleTrackingState);
+    }
+    
+    stop() {
+        if (!this.running) return;
+        this.running = false;
+        this.handsInView = false;
+        this.eventBus.off('gestureFrame', this.handleFrame);
+        this.eventBus.off('trackingState', this.handleTrackingState);
+    }
+    
+    // Frames stop arriving when tracking shuts down; do not keep counting load
+    handleTrackingState({ state }) {
+        if (state === 'lost') this.handsInView = false;
+    }
+    
+    handleFrame({ results, timestamp, pinchThresholds = {} }) {
+        const hands = GestureInputManager.extractHands(results);
+        const dt = this.lastFrameAt === null ? 0 : Math.min(0.1, (timestamp - this.lastFrameAt) / 1000);
+        this.lastFrameAt = timestamp;
+        const visible = ['Left', 'Right'].filter(label => hands[label]);
+        this.handsInView = visible.length > 0;
+        if (!this.handsInView) return;
+        
+        const wristY = visible.reduce((sum, label) => sum + hands[label][0].y, 0) / visible.length;
+        this.height = this.height === null ? wristY : this.height + 0.05 * (wristY - this.height);
+        
+        visible.forEach(label => {
+            const landmarks = hands[label];
+            this.updateTremor(label, landmarks[8]);
+            const thresholds = pinchThresholds[label]
+                || (label === 'Left' ? DEFAULT_GESTURE_PROFILE.leftPinch : DEFAULT_GESTURE_PROFILE.rightPinch);
+            this.updatePinch(label, GestureInputManager.pinchDistance(landmarks), dt, thresholds);
+        });
+    }
+    
+    updateTremor(label, tip) {
+        const smoothed = this.smoothedTips[label];
+        if (!smoothed) {
+            this.smoothedTips[label] = { x: tip.x, y: tip.y };
+            return;
+        }
+        smoothed.x += 0.3 * (tip.x - smoothed.x);
+        smoothed.y += 0.3 * (tip.y - smoothed.y);
+        const jitter = Math.hypot(tip.x - smoothed.x, tip.y - smoothed.y);
+        this.tremor = this.tremor === null ? jitter : this.tremor + 0.02 * (jitter - this.tremor);
+    }
+    
+    // Track the fastest closing speed of each pinch; tired fingers pinch more slowly. Uses
+    // the hand's own on/off thresholds so pinches count exactly when the game sees them
+    updatePinch(label, distance, dt, thresholds) {
+        const state = this.pinchStates[label] || (this.pinchStates[label] = { distance, peakSpeed: 0, pinched: false });
+        if (dt > 0) {
+            const closingSpeed = (state.distance - distance) / dt;
+            if (closingSpeed > state.peakSpeed) state.peakSpeed = closingSpeed;
+        }
+        state.distance = distance;
+        
+        const pinched = state.pinched ? distance <= thresholds.off : distance < thresholds.on;
+        if (pinched && !state.pinched && state.peakSpeed > 0) {
+            this.pinchSpeeds.push(state.peakSpeed);
+            if (this.pinchSpeeds.length > 50) this.pinchSpeeds.shift();
+        }
+        if (!pinched && state.pinched) state.peakSpeed = 0;
+        state.pinched = pinched;
+    }
+    
+    // Advance with game time while playing; only time with hands in view adds load
+    update(deltaTime) {
+        if (this.handsInView) {
+            this.activeTime += deltaTime;
+            // Arms raised above mid-frame load the shoulders fully, lowered arms half as much
+            const elevation = this.height !== null && this.height < 0.6 ? 1 : 0.5;
+            this.loadTime += deltaTime * elevation;
+            this.updateBaseline();
+        }
+        
+        this.components = this.computeComponents();
+        const score = Object.entries(FATIGUE_WEIGHTS)
+            .reduce((sum, [name, weight]) => sum + weight * this.components[name], 0);
+        const blend = 1 - Math.exp(-deltaTime / FATIGUE_SMOOTHING_SECONDS);
+        this.fatigue += (score - this.fatigue) * blend;
+        this.updateLevel();
+        
+        this.sampleTimer += deltaTime;
+        if (this.sampleTimer >= FATIGUE_SAMPLE_INTERVAL) {
+            this.sampleTimer = 0;
+            this.curve.push({
+                t: Math.round(this.activeTime),
+                fatigue: Number(this.fatigue.toFixed(3)),
+                ...Object.fromEntries(Object.entries(this.components).map(([name, value]) => [name, Number(value.toFixed(3))]))
+            });
+        }
+    }
+    
+    updateBaseline() {
+        const baseline = this.baseline;
+        if (this.activeTime <= FATIGUE_BASELINE_SECONDS) {
+            if (this.height !== null && this.tremor !== null) {
+                baseline.heightSum += this.height;
+                baseline.tremorSum += this.tremor;
+                baseline.samples++;
+            }
+            return;
+        }
+        if (baseline.height === null && baseline.samples > 0) {
+            baseline.height = baseline.heightSum / baseline.samples;
+            baseline.tremor = Math.max(baseline.tremorSum / baseline.samples, 1e-4);
+        }
+        if (baseline.pinchSpeed === null && this.pinchSpeeds.length >= 5) {
+            baseline.pinchSpeed = this.pinchSpeeds.slice(0, 5).reduce((sum, speed) => sum + speed, 0) / 5;
+        }
+    }
+    
+    // Each signal as 0 (fresh) .. 1 (exhausted)
+    computeComponents() {
+        const baseline = this.baseline;
+        const components = {
+            time: Utils.clamp(this.loadTime / (FATIGUE_FULL_SESSION_MINUTES * 60), 0, 1),
+            droop: 0,
+            tremor: 0,
+            pinch: 0
+        };
+        if (baseline.height !== null && this.height !== null) {
+            // Wrists sinking by 15% of the frame counts as fully drooped
+            components.droop = Utils.clamp((this.height - baseline.height) / 0.15, 0, 1);
+        }
+        if (baseline.tremor !== null && this.tremor !== null) {
+            // 2.5× the fresh jitter counts as full tremor
+            components.tremor = Utils.clamp((this.tremor / baseline.tremor - 1) / 1.5, 0, 1);
+        }
+        if (baseline.pinchSpeed !== null && this.pinchSpeeds.length >= 10) {
+            // Recent pinches at half the fresh speed count as fully slowed
+            const recent = this.pinchSpeeds.slice(-5).reduce((sum, speed) => sum + speed, 0) / 5;
+            components.pinch = Utils.clamp((1 - recent / baseline.pinchSpeed) / 0.5, 0, 1);
+        }
+        return components;
+    }
+    
+    updateLevel() {
+        const level = [...FATIGUE_LEVELS].reverse().find(entry => this.fatigue >= entry.min).level;
+        if (level === this.level) return;
+        const previous = this.level;
+        this.level = level;
+        this.eventBus.emit('fatigueLevel', { level, previous, fatigue: this.fatigue });
+    }
+    
+    getFatigue() {
+        return this.fatigue;
+    }
+    
+    getLevel() {
+        return this.level;
+    }
+    
+    // 0..1 amount of extra help to give: none while fresh, full when fatigued
+    getAssistLevel() {
+        return Utils.clamp((this.fatigue - 0.3) / 0.5, 0, 1);
+    }
+    
+    // Store this session's curve (if any play happened) and start a new session
+    endSession() {
+        if (this.curve.length > 0 && this.storage) {
+            const sessions = FatigueMonitor.loadSessions(this.storage);
+            sessions.push({
+                startedAt: this.startedAt,
+                activeSeconds: Math.round(this.activeTime),
+                peakFatigue: Math.max(...this.curve.map(point => point.fatigue)),
+                curve: this.curve
+            });
+            try {
+                this.storage.setItem(FATIGUE_SESSIONS_STORAGE_KEY, JSON.stringify(sessions.slice(-FATIGUE_SESSION_LOG_LIMIT)));
+            } catch (error) {
+                console.warn('Failed to save fatigue log:', error);
+            }
+        }
+        this.reset();
+    }
+    
+    static loadSessions(storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+        if (!storage) return [];
+        try {
+            const sessions = JSON.parse(storage.getItem(FATIGUE_SESSIONS_STORAGE_KEY) || '[]');
+            return Array.isArray(sessions) ? sessions : [];
+        } catch (error) {
+            console.warn('Failed to load fatigue log:', error);
+            return [];
+        }
+    }
+}
+
+// Records every 'gestureFrame' as compact JSON: handedness plus 21 [x, y, z] landmarks per
+// hand, with timestamps relative to the start of the recording
+export class GestureRecorder {
+    constructor(eventBus) {
+        this.eventBus = eventBus;
+        this.frames = [];
+        this.recording = false;
+        this.startTimestamp = null;
+        this.recordedAt = null;
+        this.handleFrame = this.handleFrame.bind(this);
+    }
+    
+    start() {
+        if (this.recording) return;
+        this.frames = [];
+        this.startTimestamp = null;
+        this.recordedAt = Date.now();
+        this.recording = true;
+        this.eventBus.on('gestureFrame', this.handleFrame);
+    }
+    
+    stop() {
+        if (!this.recording) return;
+        this.recording = false;
+        this.eventBus.off('gestureFrame', this.handleFrame);
+    }
+    
+    handleFrame({ results, timestamp }) {
+        if (this.startTimestamp === null) this.startTimestamp = timestamp;
+        this.frames.push({
+            t: Math.round((timestamp - this.startTimestamp) * 10) / 10,
+            hands: GestureRecorder.serializeResults(results)
+        });
+    }
+    
+    static serializeResults(results) {
+        const landmarksList = results.multiHandLandmarks || [];
+        const handedness = results.multiHandedness || [];
+        const round = (value) => Number(value.toFixed(RECORDING_PRECISION));
+        return landmarksList.map((landmarks, i) => ({
+            label: handedness[i]?.label ?? null,
+            score: handedness[i]?.score ?? null,
+            landmarks: landmarks.map(point => [round(point.x), round(point.y), round(point.z ?? 0)])
+        }));
+    }
+    
+    toJSON() {
+        return { version: 1, recordedAt: this.recordedAt, frames: this.frames };
+    }
+    
+    // Browser only: save the recording as a .json download
+    download(filename = `gesture-recording-${this.recordedAt || Date.now()}.json`) {
+        const blob = new Blob([JSON.stringify(this.toJSON())], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+}
+
+// Replays a GestureRecorder recording into GestureInputManager.onResults. Time-driven like
+// ScriptedSpeechRecognizer: call advance(deltaTime) from the game loop, or runAll() in tests.
+export class GestureReplaySource {
+    constructor(recording, gestureInput, { loop = false } = {}) {
+        if (!recording || !Array.isArray(recording.frames)) {
+            throw new Error('Invalid gesture recording: missing frames');
+        }
+        this.frames = recording.frames;
+        this.gestureInput = gestureInput;
+        this.loop = loop;
+        this.playing = false;
+        this.reset();
+    }
+    
+    static async load(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load gesture recording ${url}: ${response.status}`);
+        }
+        return response.json();
+    }
+    
+    static deserializeFrame(frame) {
+        return {
+            multiHandLandmarks: frame.hands.map(hand => hand.landmarks.map(([x, y, z]) => ({ x, y, z }))),
+            multiHandedness: frame.hands.map((hand, index) => ({ index, label: hand.label, score: hand.score }))
+        };
+    }
+    
+    reset() {
+        this.elapsed = 0; // ms
+        this.nextIndex = 0;
+        this.loopOffset = 0; // ms added to timestamps after each loop
+    }
+    
+    start() {
+        this.playing = true;
+    }
+    
+    stop() {
+        this.playing = false;
+    }
+    
+    isFinished() {
+        return !this.loop && this.nextIndex >= this.frames.length;
+    }
+    
+    get duration() {
+        return this.frames.length > 0 ? this.frames[this.frames.length - 1].t : 0;
+    }
+    
+    // Feed every frame due within the next deltaTime seconds
+    advance(deltaTime) {
+        if (!this.playing || this.frames.length === 0) return;
+        this.elapsed += deltaTime * 1000;
+        while (this.nextIndex < this.frames.length && this.frames[this.nextIndex].t <= this.elapsed) {
+            this.emit(this.frames[this.nextIndex++]);
+            if (this.loop && this.nextIndex >= this.frames.length) {
+                // Restart one frame interval after the last frame
+                const gap = this.frames.length > 1 ? this.duration / (this.frames.length - 1) : 0;
+                const loopLength = this.duration + gap;
+                if (loopLength <= 0) break;
+                this.elapsed -= loopLength;
+                this.loopOffset += loopLength;
+                this.nextIndex = 0;
+            }
+        }
+    }
+    
+    // Feed all remaining frames immediately (headless tests); returns the number fed
+    runAll() {
+        let count = 0;
+        while (this.nextIndex < this.frames.length) {
+            this.emit(this.frames[this.nextIndex++]);
+            count++;
+        }
+        return count;
+    }
+    
+    emit(frame) {
+        this.gestureInput.onResults(GestureReplaySource.deserializeFrame(frame), frame.t + this.loopOffset);
+    }
+}
+
+// Calibration steps by hand role ('move', 'aim'); GestureCalibration maps roles to labels
+export const GESTURE_CALIBRATION_STEPS = [
+    { id: 'rest', prompt: 'Hold your movement hand relaxed where you want "stand still" to be', hands: ['move'], duration: 2.0 },
+    { id: 'open', prompt: 'Show both hands with thumb and index finger apart', hands: ['aim', 'move'], duration: 1.5 },
+    { id: 'pinch', prompt: 'Pinch thumb and index finger together on both hands', hands: ['aim', 'move'], duration: 1.5 },
+    { id: 'cornerTopLeft', prompt: 'Aim hand: point to the top-left corner of your comfortable reach', hands: ['aim'], duration: 1.2 },
+    { id: 'cornerTopRight', prompt: 'Aim hand: point to the top-right corner of your comfortable reach', hands: ['aim'], duration: 1.2 },
+    { id: 'cornerBottomRight', prompt: 'Aim hand: point to the bottom-right corner of your comfortable reach', hands: ['aim'], duration: 1.2 },
+    { id: 'cornerBottomLeft', prompt: 'Aim hand: point to the bottom-left corner of your comfortable reach', hands: ['aim'], duration: 1.2 }
+];
+
+const GESTURE_PROFILE_STORAGE_KEY = 'gestureShooter.gestureProfile';
+const CALIBRATION_MIN_PINCH_GAP = 0.02; // open vs pinched distance needed to trust a hand
+const CALIBRATION_MIN_AIM_SIZE = 0.05; // normalized aim rectangle side
+
+// Guided gesture calibration. Feed it MediaPipe results (feed()) and it walks through
+// GESTURE_CALIBRATION_STEPS, sampling only while the step's hands are visible, then
+// derives a per-user profile for GestureInputManager.applyProfile().
+export class GestureCalibration {
+    // roles: hand label per role, e.g. the current control scheme's { move, aim }
+    constructor(steps = GESTURE_CALIBRATION_STEPS, roles = { move: 'Right', aim: 'Left' }) {
+        this.steps = steps;
+        this.roles = roles;
+        this.reset();
+    }
+    
+    reset() {
+        this.stepIndex = 0;
+        this.stepElapsed = 0;
+        this.lastTimestamp = null;
+        this.samples = {}; // stepId → { Left: [...], Right: [...] }
+        this.profile = null;
+    }
+    
+    isComplete() {
+        return this.stepIndex >= this.steps.length;
+    }
+    
+    getCurrentStep() {
+        return this.steps[this.stepIndex] || null;
+    }
+    
+    // Progress of the current step, 0..1
+    getStepProgress() {
+        const step = this.getCurrentStep();
+        return step ? Math.min(1, this.stepElapsed / step.duration) : 1;
+    }
+    
+    // timestamp in milliseconds; returns true when this frame finished the calibration
+    feed(results, timestamp) {
+        if (this.isComplete()) return false;
+        const step = this.getCurrentStep();
+        const hands = GestureInputManager.extractHands(results);
+        const deltaTime = this.lastTimestamp === null ? 0 : (timestamp - this.lastTimestamp) / 1000;
+        this.lastTimestamp = timestamp;
+        
+        // Hold the step until every required hand is in view
+        const labels = step.hands.map(role => this.roles[role]);
+        if (!labels.every(label => hands[label])) return false;
+        
+        const stepSamples = this.samples[step.id] || (this.samples[step.id] = { Left: [], Right: [] });
+        labels.forEach(label => {
+            const landmarks = hands[label];
+            stepSamples[label].push({
+                tip: { x: landmarks[8].x, y: landmarks[8].y },
+                pinch: GestureInputManager.pinchDistance(landmarks)
+            });
+        });
+        
+        this.stepElapsed += Math.min(deltaTime, 0.1);
+        if (this.stepElapsed >= step.duration) {
+            this.stepIndex++;
+            this.stepElapsed = 0;
+            if (this.isComplete()) {
+                this.profile = this.computeProfile();
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    static median(values) {
+        if (values.length === 0) return null;
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+    
+    static meanPoint(samples) {
+        if (samples.length === 0) return null;
+        const sum = samples.reduce((acc, sample) => ({ x: acc.x + sample.tip.x, y: acc.y + sample.tip.y }), { x: 0, y: 0 });
+        return { x: sum.x / samples.length, y: sum.y / samples.length };
+    }
+    
+    // Thresholds between the pinched and open distances; off > on keeps the hysteresis
+    pinchThresholds(label) {
+        const open = GestureCalibration.median((this.samples.open?.[label] || []).map(sample => sample.pinch));
+        const pinched = GestureCalibration.median((this.samples.pinch?.[label] || []).map(sample => sample.pinch));
+        if (open === null || pinched === null || open - pinched < CALIBRATION_MIN_PINCH_GAP) return null;
+        const gap = open - pinched;
+        return { on: pinched + gap * 0.35, off: pinched + gap * 0.55 };
+    }
+    
+    computeProfile() {
+        const profile = { version: 1, createdAt: Date.now() };
+        
+        // Profiles are stored for the standard scheme; mirror what other hands measured
+        const center = GestureCalibration.meanPoint(this.samples.rest?.[this.roles.move] || []);
+        if (center) profile.center = this.roles.move === 'Left' ? { x: 1 - center.x, y: center.y } : center;
+        
+        const rightPinch = this.pinchThresholds('Right');
+        const leftPinch = this.pinchThresholds('Left');
+        if (rightPinch) profile.rightPinch = rightPinch;
+        if (leftPinch) profile.leftPinch = leftPinch;
+        
+        const corners = ['cornerTopLeft', 'cornerTopRight', 'cornerBottomRight', 'cornerBottomLeft']
+            .map(id => GestureCalibration.meanPoint(this.samples[id]?.[this.roles.aim] || []))
+            .filter(Boolean);
+        if (corners.length === 4) {
+            const xs = corners.map(point => point.x);
+            const ys = corners.map(point => point.y);
+            const rect = {
+                x: Math.min(...xs),
+                y: Math.min(...ys),
+                w: Math.max(...xs) - Math.min(...xs),
+                h: Math.max(...ys) - Math.min(...ys)
+            };
+            if (this.roles.aim === 'Right') rect.x = 1 - rect.x - rect.w;
+            if (rect.w >= CALIBRATION_MIN_AIM_SIZE && rect.h >= CALIBRATION_MIN_AIM_SIZE) {
+                profile.aimRect = rect;
+            }
+        }
+        return profile;
+    }
+    
+    static loadProfile(storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+        if (!storage) return null;
+        try {
+            return GestureCalibration.validateProfile(JSON.parse(storage.getItem(GESTURE_PROFILE_STORAGE_KEY) || 'null'));
+        } catch (error) {
+            console.warn('Failed to load gesture profile:', error);
+            return null;
+        }
+    }
+    
+    // Check a stored profile with the same limits computeProfile() applies. Fields that
+    // fail fall back to DEFAULT_GESTURE_PROFILE so a stale or hand-edited save cannot
+    // break pinch detection or aim mapping.
+    static validateProfile(profile) {
+        if (!profile || typeof profile !== 'object') return null;
+        const isUnit = (value) => Number.isFinite(value) && value >= 0 && value <= 1;
+        const validated = { ...profile };
+        const reject = (field) => {
+            console.warn(`Gesture profile: invalid ${field}, using the default`);
+            validated[field] = DEFAULT_GESTURE_PROFILE[field];
+        };
+        
+        if ('center' in profile && !(isUnit(profile.center?.x) && isUnit(profile.center?.y))) {
+            reject('center');
+        }
+        ['rightPinch', 'leftPinch'].forEach(field => {
+            if (!(field in profile)) return;
+            const { on, off } = profile[field] || {};
+            if (!(Number.isFinite(on) && Number.isFinite(off) && on > 0 && on < off)) reject(field);
+        });
+        if ('aimRect' in profile && profile.aimRect !== null) {
+            const { x, y, w, h } = profile.aimRect || {};
+            const valid = [x, y, w, h].every(isUnit) &&
+                w >= CALIBRATION_MIN_AIM_SIZE && h >= CALIBRATION_MIN_AIM_SIZE &&
+                x + w <= 1 && y + h <= 1;
+            if (!valid) reject('aimRect');
+        }
+        return validated;
+    }
+    
+    static saveProfile(profile, storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+        if (!storage) return;
+        try {
+            storage.setItem(GESTURE_PROFILE_STORAGE_KEY, JSON.stringify(profile));
+        } catch (error) {
+            console.warn('Failed to save gesture profile:', error);
+        }
+    }
+    
+    static clearProfile(storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+        storage?.removeItem(GESTURE_PROFILE_STORAGE_KEY);
+    }
+}
@@ -3,38 +3,12 @@ const PLAYER_SPEED = 220; // pt/s
 const PLAYER_RADIUS = 16; // pt
 const PLAYER_MAX_HP = 3;
 const PLAYER_IFRAME_DURATION = 0.8; // seconds
-const ASSASSIN_SPEED = 150; // pt/s
-const ASSASSIN_RADIUS = 15; // pt
-const SHOOTER_SPEED = 120; // pt/s
-const SHOOTER_RADIUS = 20; // pt
-const SHOOTER_MOVE_DURATION = 2.0; // seconds
-const SHOOTER_FIRE_RATE = 2.0; // seconds between shots
-const SHOOTER_SPREAD_ANGLE = 4; // degrees
-const SHOOTER_BULLET_SPEED = 400; // pt/s
-const SHOOTER_BULLET_RADIUS = 4; // pt
+const PLAYER_RELATIVE_AIM_DISTANCE = 200; // pt ahead of the player for stick aim
 const SHOOTER_BULLET_LIFETIME = 2.5; // seconds
-const TANK_SPEED = 50; // pt/s
-const TANK_RADIUS = 25; // pt
-const TANK_HP = 3;
-const TANK_CONTACT_COOLDOWN = 0.7; // seconds
-const TANK_KNOCKBACK = 8; // pt
-const TANK_FLASH_DURATION = 0.1; // seconds
-const BULLET_SPEED = 600; // pt/s
-const BULLET_RADIUS = 3; // pt
-const PISTOL_FIRE_RATE = 1.0; // seconds between shots
-const MACHINE_GUN_FIRE_RATE = 0.3; // seconds between shots
-const MACHINE_GUN_AMMO = 100;
-// Knife weapon constants
-const KNIFE_ARC_DEG = 120;
-const KNIFE_RANGE_PT = 120;
-const KNIFE_COOLDOWN_S = 0.4;
-// Grenade weapon constants
-const GRENADE_SPEED_PT_S = 350; // Reduced from 420 for better collision detection
-const GRENADE_FUSE_S = 0.7; // seconds before explosion
-const GRENADE_RADIUS_PT = 6; // Increased from 6 for better collision detection
-const GRENADE_EXPLOSION_RADIUS_PT = 120;
-const GRENADE_COOLDOWN_S = 0.5;
-const GRENADE_AMMO_INITIAL = 10;
+const ENEMY_FLASH_DURATION = 0.1; // seconds
+const ENEMY_BURN_RING_WIDTH = 3; // pt
+const FLAME_DRAG = 3.0; // fraction of speed lost per second
+const FLAME_GROWTH = 1.5; // extra radius, as a multiple of the start radius, by the end of its life
 
 import { Utils, CollisionSystem } from './core.js';
 
@@ -111,9 +85,12 @@ export class Player extends Entity {
     
     update(deltaTime, inputManager, bounds) {
         // Handle movement
+        // Analog input keeps its magnitude (slow walking), capped at full speed
         const moveVector = inputManager.getMoveVector();
-        this.vx = moveVector.x * this.speed;
-        this.vy = moveVector.y * this.speed;
+        const magnitude = Math.sqrt(moveVector.x * moveVector.x + moveVector.y * moveVector.y);
+        const scale = magnitude > 1 ? 1 / magnitude : 1;
+        this.vx = moveVector.x * scale * this.speed;
+        this.vy = moveVector.y * scale * this.speed;
         
         // Update position with bounds checking
         let newX = this.x + this.vx * deltaTime;
@@ -159,7 +136,20 @@ export class Player extends Entity {
         this._prevY = this.y;
     }
     
-    render(ctx, imageLoader = null, mouseX = 0, mouseY = 0) {
+    // Turn an InputManager aim into an arena point; relative aim is a direction around the player
+    resolveAimTarget(aim) {
+        if (!aim) return { x: this.x, y: this.y };
+        if (aim.relative) {
+            return {
+                x: this.x + aim.x * PLAYER_RELATIVE_AIM_DISTANCE,
+                y: this.y + aim.y * PLAYER_RELATIVE_AIM_DISTANCE
+            };
+        }
+        return { x: aim.x, y: aim.y };
+    }
+    
+    render(ctx, imageLoader = null, aim = null) {
+        const target = this.resolveAimTarget(aim);
         ctx.save();
 
         const playerSprite = imageLoader?.getImage('player');
@@ -173,8 +163,8 @@ export class Player extends Entity {
             return;
         }
 
-        // Calculate rotation angle towards mouse
-        const angle = Math.atan2(mouseY - this.y, mouseX - this.x);
+        // Calculate rotation angle towards the aim target
+        const angle = Math.atan2(target.y - this.y, target.x - this.x);
         ctx.translate(this.x, this.y);
         ctx.rotate(angle);
 
@@ -203,11 +193,6 @@ export class Player extends Entity {
         );
 
         ctx.restore();
-        
-        // Render weapon effects (like knife slash animation)
-        if (this.weapon && this.weapon.render) {
-            this.weapon.render(ctx, imageLoader, this.x, this.y, mouseX, mouseY);
-        }
     }
 
     
@@ -243,53 +228,214 @@ export class Player extends Entity {
         }
     }
     
-    fire(targetX, targetY, projectiles, enemies = []) {
-        if (this.weapon) {
-            // For knife weapon, pass additional parameters for damage detection
-            if (this.weapon.constructor.name === 'Knife') {
-                return this.weapon.fire(this.x, this.y, targetX, targetY, projectiles, enemies, this);
-            } else {
-                return this.weapon.fire(this.x, this.y, targetX, targetY, projectiles);
-            }
-        }
-        return false;
+    fire(aim, projectiles, enemies = [], weapon = this.weapon) {
+        if (!weapon) return false;
+        const { x: targetX, y: targetY } = this.resolveAimTarget(aim);
+        return weapon.fire({ x: this.x, y: this.y, targetX, targetY, projectiles, enemies, owner: this });
     }
 }
 
-// Base Enemy class
-export class Enemy extends Entity {
-    constructor(x, y, radius, hp = 1) {
-        super(x, y, radius);
-        this.hp = hp;
-        this.maxHp = hp;
-        this.damage = 1;
-        this.color = '#FF0000'; // Default red color
+// Built-in enemy definitions, also the fallback when assets/data/enemies.json cannot be
+// loaded. Each names a behavior from ENEMY_BEHAVIORS; `params` tune that behavior and
+// default to the built-in definition of the same name. Sprite sheets are horizontal
+// strips of `frames` frames: `image`, or `left`/`right` for enemies that face the player.
+// Without `scale` a sheet is fitted to the enemy's diameter. Types without a `sprite` are
+// drawn as shapes in their `color`.
+export const DEFAULT_ENEMY_DEFINITIONS = {
+    assassin: {
+        behavior: 'assassin',
+        stats: { hp: 1, radius: 15, speed: 150, damage: 1 },
+        color: '#FF0000',
+        sprite: { image: 'enemy2.png', frames: 4, frameDuration: 0.15, scale: 3, rotate: true },
+        death: { image: 'hittedenemy2.png', frames: 4, frameDuration: 0.08, scale: 3 },
+        sound: 'hurt_enemy2',
+        score: 10
+    },
+    shooter: {
+        behavior: 'shooter',
+        stats: { hp: 1, radius: 20, speed: 120, damage: 1 },
+        color: '#FF8800',
+        sprite: { left: 'enemy3left.png', right: 'enemy3right.png', frames: 5, frameDuration: 0.12, scale: 4 },
+        hit: { left: 'hittedenemy3left.png', right: 'hittedenemy3right.png', frames: 4, frameDuration: 0.06, scale: 4 },
+        sound: 'hurt_enemy3',
+        score: 15,
+        params: {
+            moveDuration: 2.0, // seconds walking toward the center
+            fireRate: 2.0, // seconds between shots
+            spreadAngle: 4, // degrees
+            bulletSpeed: 400, // pt/s
+            bulletRadius: 4 // pt
+        }
+    },
+    tank: {
+        behavior: 'tank',
+        stats: { hp: 3, radius: 25, speed: 50, damage: 1 },
+        color: '#880000',
+        sprite: { image: 'enemy1.png', frames: 6, frameDuration: 0.2, scale: 3.5, rotate: true },
+        death: { image: 'hittedenemy1.png', frames: 8, frameDuration: 0.08, scale: 3.5 },
+        sound: 'hurt_enemy1',
+        score: 25,
+        params: {
+            contactCooldown: 0.7, // seconds
+            knockback: 8 // pt
+        }
+    },
+    splitter: {
+        behavior: 'splitter',
+        stats: { hp: 2, radius: 22, speed: 95, damage: 1 },
+        color: '#8BC34A',
+        sound: 'hurt_enemy1',
+        score: 10,
+        params: {
+            children: 2,
+            maxGeneration: 2, // splits twice: 1 → 2 → 4
+            childHp: 1,
+            sizeScale: 0.7, // radius multiplier per generation
+            speedGrowth: 0.25 // extra speed per generation
+        }
+    },
+    bomber: {
+        behavior: 'bomber',
+        stats: { hp: 1, radius: 14, speed: 210, damage: 1 },
+        color: '#FF6F00',
+        death: { duration: 0.4 }, // blast animation
+        sound: 'hurt_enemy2',
+        score: 15,
+        params: {
+            triggerDistance: 40, // pt beyond touching that lights the fuse
+            fuse: 0.6, // seconds
+            blastRadius: 110, // pt
+            playerDamage: 1,
+            enemyDamage: 2
+        }
+    },
+    healer: {
+        behavior: 'healer',
+        stats: { hp: 2, radius: 18, speed: 90, damage: 1 },
+        color: '#26A69A',
+        sound: 'hurt_enemy3',
+        score: 30,
+        params: {
+            keepDistance: 320, // pt from the player
+            range: 180, // pt
+            interval: 2.5, // seconds between heals
+            amount: 1
+        }
+    },
+    sniper: {
+        behavior: 'sniper',
+        stats: { hp: 1, radius: 16, speed: 80, damage: 1 },
+        color: '#5C6BC0',
+        sound: 'hurt_enemy3',
+        score: 25,
+        params: {
+            range: 480, // pt from the player where it stops to aim
+            aimTime: 1.2, // seconds of laser telegraph before the shot
+            lockTime: 0.3, // last part of the telegraph, aim no longer tracks
+            cooldown: 2.5, // seconds between shots
+            bulletSpeed: 950, // pt/s
+            bulletRadius: 4 // pt
+        }
+    },
+    boss: {
+        behavior: 'boss',
+        name: 'Warlord',
+        stats: { hp: 120, radius: 55, speed: 60, damage: 1 },
+        color: '#6A1B9A',
+        death: { duration: 1.0 },
+        sound: 'hurt_enemy1',
+        score: 500,
+        params: {
+            arrivalDuration: 2.5, // seconds of telegraphed, invulnerable entry
+            arrivalInset: 160, // pt inside the arena edge where the boss settles
+            bulletSpeed: 240, // pt/s
+            bulletRadius: 6, // pt
+            bulletLifetime: 5, // seconds
+            radialCount: 18,
+            spiralDuration: 2.0, // seconds
+            spiralShotInterval: 0.08, // seconds
+            spiralTurn: 0.32, // rad per shot
+            volleyCount: 3,
+            volleyInterval: 0.3, // seconds
+            volleySpread: 30, // degrees across a fan of 5
+            chargeWindup: 0.8, // seconds
+            chargeSpeed: 520, // pt/s
+            chargeDuration: 1.0, // seconds
+            chargeKnockback: 48, // pt
+            contactCooldown: 0.7, // seconds
+            knockback: 8, // pt
+            // Entered as HP falls to each threshold: attack patterns used in turn and
+            // seconds between attacks
+            phases: [
+                { hpRatio: 1, patterns: ['aimed', 'radial'], attackInterval: 2.2 },
+                { hpRatio: 0.66, patterns: ['radial', 'charge', 'spiral', 'aimed'], attackInterval: 1.8 },
+                { hpRatio: 0.33, patterns: ['spiral', 'charge', 'aimed', 'radial'], attackInterval: 1.2 }
+            ]
+        }
+    }
+};
 
+// Base Enemy class. Stats, sprite sheets, death animation, sound and score come from a
+// normalized definition (see registerEnemyDefinitions)
+export class Enemy extends Entity {
+    constructor(x, y, definition) {
+        super(x, y, definition.stats.radius);
+        this.type = definition.type;
+        this.name = definition.name;
+        this.definition = definition;
+        this.params = definition.params;
+        this.hp = definition.stats.hp;
+        this.maxHp = definition.stats.hp;
+        this.speed = definition.stats.speed;
+        this.damage = definition.stats.damage;
+        this.color = definition.color;
+        this.scoreValue = definition.score;
+        this.facing = 1; // -1=left, +1=right, for left/right sprite sheets
+        this.flashTimer = 0;
+        
+        // Looping movement animation
+        this.anim = {
+            frame: 0,
+            timer: 0,
+            frameCount: definition.sprite?.frames || 1,
+            frameDuration: definition.sprite?.frameDuration || 0.15
+        };
+        
         // Initialize hit animation state
+        const hitSheet = definition.hit;
         this.hit = {
             active: false,
             timer: 0,
-            duration: 0.25,
+            duration: hitSheet ? hitSheet.frames * hitSheet.frameDuration : 0.25,
             frame: 0,
-            frameCount: 4,
-            frameDuration: 0.06
+            frameCount: hitSheet?.frames || 4,
+            frameDuration: hitSheet?.frameDuration || 0.06
         };
-
+        
         // Initialize dying state
         this.isDying = false;
         this.deathTimer = 0;
-        this.deathDuration = 0.3; // Match the duration of hit animation
+        this.deathDuration = definition.death.duration;
+        this.deathAnim = {
+            frame: 0,
+            frameCount: definition.death.frames,
+            frameDuration: definition.death.frameDuration
+        };
+        
+        // Damage over time, e.g. from flames: { damage, interval, remaining, tickTimer }
+        this.burn = null;
     }
     
     update(deltaTime, player, bounds) {
         // Call parent Entity update to apply velocity to position
         super.update(deltaTime);
         // Override in subclasses for specific behavior
-
+        this.flashTimer -= deltaTime;
+        
         // Update hit animation
         if (this.hit.active) {
             this.hit.timer += deltaTime;
-
+            
             // Update frame if within duration
             if (this.hit.timer < this.hit.duration) {
                 const frameIndex = Math.floor(this.hit.timer / this.hit.frameDuration);
@@ -298,95 +444,140 @@ export class Enemy extends Entity {
                 this.hit.active = false; // Reset animation
             }
         }
-
+        
+        if (this.burn && !this.isDying) {
+            this.burn.remaining -= deltaTime;
+            this.burn.tickTimer += deltaTime;
+            if (this.burn.tickTimer >= this.burn.interval) {
+                this.burn.tickTimer -= this.burn.interval;
+                this.takeDamage(this.burn.damage);
+            }
+            if (this.burn.remaining <= 0) {
+                this.burn = null;
+            }
+        }
+        
         if (this.isDying) {
             this.deathTimer += deltaTime;
+            const frameIndex = Math.floor(this.deathTimer / this.deathAnim.frameDuration);
+            this.deathAnim.frame = Math.min(frameIndex, this.deathAnim.frameCount - 1);
             if (this.deathTimer >= this.deathDuration) {
                 this.alive = false;
             }
         }
+        
+        // Update animation frame
+        this.anim.timer += deltaTime;
+        if (this.anim.timer >= this.anim.frameDuration) {
+            this.anim.timer = 0;
+            this.anim.frame = (this.anim.frame + 1) % this.anim.frameCount;
+        }
     }
-
+    
     takeDamage(damage) {
-        const wasAlive = this.alive;
-        const prevHp = this.hp;
         this.hp -= damage;
-
+        this.flashTimer = ENEMY_FLASH_DURATION;
+        
         if (this.hit) {
             this.hit.active = true;
             this.hit.timer = 0;
             this.hit.frame = 0;
         }
-
+        
         // Enemy dead
         if (this.hp <= 0 && !this.isDying) {
             this.hp = 0;
             this.isDying = true;
             this.deathTimer = 0;
-
+            
             // Play death sound
             if (window.game && window.game.soundManager) {
-                let soundKey = 'hurt_enemy1';
-                if (this.constructor.name === 'Tank') soundKey = 'hurt_enemy1';
-                else if (this.constructor.name === 'Assassin') soundKey = 'hurt_enemy2';
-                else if (this.constructor.name === 'Shooter') soundKey = 'hurt_enemy3';
-                window.game.soundManager.play(soundKey);
+                window.game.soundManager.play(this.definition.sound);
             }
         }
     }
     
+    isFlashing() {
+        return this.flashTimer > 0;
+    }
+    
+    // Set the enemy burning; another hit refreshes the burn rather than stacking it
+    applyBurn({ damage, duration, interval }) {
+        if (this.isDying) return;
+        if (this.burn) {
+            this.burn.remaining = Math.max(this.burn.remaining, duration);
+            this.burn.damage = Math.max(this.burn.damage, damage);
+            return;
+        }
+        this.burn = { damage, interval, remaining: duration, tickTimer: 0 };
+    }
+    
     render(ctx, imageLoader = null) {
         ctx.save();
+        if (!this.drawSprite(ctx, imageLoader)) this.renderShape(ctx);
+        if (this.burn) this.renderBurn(ctx);
+        ctx.restore();
+    }
+    
+    // Flickering ring while burning
+    renderBurn(ctx) {
+        ctx.strokeStyle = Math.random() < 0.5 ? '#FF7043' : '#FFB300';
+        ctx.lineWidth = ENEMY_BURN_RING_WIDTH;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.radius + ENEMY_BURN_RING_WIDTH, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+    
+    // Draw the current frame of the definition's sprite sheets: the death sheet while
+    // dying, the hit sheet while hit, otherwise the movement sheet. Returns false when
+    // the image is missing so the caller can fall back to geometry.
+    drawSprite(ctx, imageLoader) {
+        const { sprite, hit, death } = this.definition;
+        const dying = this.isDying && death.image;
+        const hitting = !this.isDying && this.hit.active && hit;
+        const sheet = dying ? death : (hitting ? hit : sprite);
+        if (!sheet) return false;
+        
+        const file = sheet.image || (this.facing < 0 ? sheet.left : sheet.right);
+        const image = imageLoader?.getImage(file);
+        if (!image) return false;
+        
+        const frameIndex = dying ? this.deathAnim.frame : (hitting ? this.hit.frame : this.anim.frame);
+        const fw = (image.width / sheet.frames) | 0;
+        const fh = image.height | 0;
+        const sx = (frameIndex % sheet.frames) * fw;
+        const scale = sheet.scale || (this.radius * 2) / Math.max(fw, fh);
+        const dw = fw * scale;
+        const dh = fh * scale;
         
-        // Calculate rotation angle based on velocity direction
-        const angle = Math.atan2(this.vy, this.vx);
-        
-        // Try to use sprite first
-        const assassinSprite = imageLoader?.getImage('assassin');
-        if (assassinSprite) {
-            // Translate to center and rotate
-            ctx.translate(this.x, this.y);
-            ctx.rotate(angle);
-            
-            // Draw sprite with size = 2 * radius
-            const size = this.radius * 2;
-            ctx.drawImage(assassinSprite, -size/2, -size/2, size, size);
-        } else {
-            // Fallback to geometry rendering
-            ctx.fillStyle = this.color || '#FF0000';
-            ctx.beginPath();
-            ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
-            ctx.fill();
+        ctx.save();
+        ctx.translate(Math.round(this.x), Math.round(this.y));
+        if (sheet.rotate && !dying) ctx.rotate(Math.atan2(this.vy, this.vx) + Math.PI / 2);
+        if (this.isDying && !dying) ctx.globalAlpha *= 0.5;
+        if (hitting) {
+            ctx.globalAlpha *= 0.95;
+            ctx.filter = 'brightness(1.2)';
+        } else if (this.isFlashing()) {
+            ctx.globalAlpha *= 0.6;
+            ctx.filter = 'brightness(1.8)';
         }
-        
+        ctx.drawImage(image, sx, 0, fw, fh, -dw / 2, -dh / 2, dw, dh);
         ctx.restore();
+        return true;
+    }
+    
+    // Geometry fallback when the sprite is missing
+    renderShape(ctx) {
+        if (this.isDying) ctx.globalAlpha *= 0.5;
+        ctx.fillStyle = this.isFlashing() ? '#FFFFFF' : this.color;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
+        ctx.fill();
     }
 }
 
 // Assassin enemy (implemented)
 export class Assassin extends Enemy {
-    constructor(x, y) {
-        super(x, y, ASSASSIN_RADIUS, 1);
-        this.speed = ASSASSIN_SPEED;
-
-        // Circular animation setup
-        this.anim = {
-            frame: 0,
-            timer: 0,
-            frameCount: 4,
-            frameDuration: 0.15
-        };
-
-        // Death animation setup
-        this.deathAnim = {
-            frame: 0,
-            frameCount: 4,
-            frameDuration: 0.08 // 4*0.08=0.32s
-        };
-        this.deathDuration = this.deathAnim.frameCount * this.deathAnim.frameDuration;
-
-    }
-    
     update(deltaTime, player, bounds) {
         if (!player.isAlive()) return;
         
@@ -403,105 +594,29 @@ export class Assassin extends Enemy {
         
         // Call parent update to apply velocity
         super.update(deltaTime, player, bounds);
-
+        
         if (this.isDying) {
             this.vx = 0; this.vy = 0;
-
-            const idx = Math.floor(this.deathTimer / this.deathAnim.frameDuration);
-            this.deathAnim.frame = Math.min(idx, this.deathAnim.frameCount - 1);
         }
         
         // Keep within bounds
         this.x = Utils.clamp(this.x, this.radius, bounds.width - this.radius);
         this.y = Utils.clamp(this.y, this.radius, bounds.height - this.radius);
-
-        // Update animation frame
-        this.anim.timer += deltaTime;
-        if (this.anim.timer >= this.anim.frameDuration) {
-            this.anim.timer = 0;
-            this.anim.frame = (this.anim.frame + 1) % this.anim.frameCount;
-        }
-    }
-    
-    render(ctx, imageLoader = null) {
-        ctx.save();
-
-        if (this.isDying) {
-            // Draw death animation
-            const sprite = imageLoader?.getImage('assassin_death');
-            if (sprite) {
-            const frames = this.deathAnim.frameCount;
-            const fw = (sprite.width / frames) | 0;
-            const fh = sprite.height | 0;
-            const sx = this.deathAnim.frame * fw;
-            const sy = 0;
-            const scale = 3; // Scale to match size before death
-            const dw = fw * scale;
-            const dh = fh * scale;
-            ctx.drawImage(sprite, sx, sy, fw, fh, Math.round(this.x - dw/2), Math.round(this.y - dh/2), dw, dh);
-        } else {
-            ctx.globalAlpha = 0.5;
-            ctx.fillStyle = '#FF0000';
-            ctx.beginPath(); ctx.arc(this.x, this.y, this.radius, 0, Math.PI*2); ctx.fill();
-        }
-            ctx.restore();
-            return;
-        }
-
-        const sprite = imageLoader?.getImage('assassin');
-        if (!sprite) {
-            ctx.fillStyle = '#FF0000';
-            ctx.beginPath(); ctx.arc(this.x, this.y, this.radius, 0, Math.PI*2); ctx.fill();
-            ctx.restore(); return;
-        }
-
-        const fw = sprite.width / this.anim.frameCount;
-        const fh = sprite.height;
-        const sx = fw * this.anim.frame;
-        const sy = 0;
-
-        const angle = Math.atan2(this.vy, this.vx);
-        ctx.translate(this.x, this.y);
-        ctx.rotate(angle + Math.PI / 2);
-
-        const scale = 3;
-        const dw = fw * scale;
-        const dh = fh * scale;
-        ctx.drawImage(sprite, sx, sy, fw, fh, -dw/2, -dh/2, dw, dh);
-
-        ctx.restore();
     }
 }
 
 // Shooter enemy
 export class Shooter extends Enemy {
-    constructor(x, y) {
-        super(x, y, SHOOTER_RADIUS, 1);
-        this.speed = SHOOTER_SPEED;
+    constructor(x, y, definition) {
+        super(x, y, definition);
         this.moveTimer = 0;
         this.fireTimer = 0;
         this.isMoving = true;
         this.centerX = 0; // Will be set when bounds are available
         this.centerY = 0;
-
-        this.anim = {
-            frame: 0,
-            timer: 0,
-            frameCount: 5,
-            frameDuration: 0.12
-        };
-
-        // Towards：-1=left, +1=right
-        this.facing = 1;
-
-        // hitted animation
-        this.hit.frameCount = 4;
-        this.hit.frameDuration = 0.06;
-        this.hit.duration = this.hit.frameCount * this.hit.frameDuration;
-
     }
     
-    update(deltaTime, player, bounds, projectiles) {
+    update(deltaTime, player, bounds, world) {
         if (!player.isAlive()) return;
         
         // Set center coordinates if not set
@@ -513,8 +628,8 @@ export class Shooter extends Enemy {
         this.moveTimer += deltaTime;
         this.fireTimer += deltaTime;
         
-        // Move toward center for first 2 seconds
-        if (this.isMoving && this.moveTimer < SHOOTER_MOVE_DURATION) {
+        // Move toward center for the first few seconds
+        if (this.isMoving && this.moveTimer < this.params.moveDuration) {
             const dx = this.centerX - this.x;
             const dy = this.centerY - this.y;
             const distance = Utils.distance(this.x, this.y, this.centerX, this.centerY);
@@ -529,15 +644,15 @@ export class Shooter extends Enemy {
                 this.isMoving = false;
             }
         } else {
-            // Stop moving after 2 seconds
+            // Stop moving afterwards
             this.isMoving = false;
             this.vx = 0;
             this.vy = 0;
         }
         
-        // Fire at player every 2 seconds
-        if (this.fireTimer >= SHOOTER_FIRE_RATE) {
-            this.fireAtPlayer(player, projectiles);
+        // Fire at player on the fire rate
+        if (this.fireTimer >= this.params.fireRate) {
+            this.fireAtPlayer(player, world.projectiles);
             this.fireTimer = 0;
         }
         
@@ -546,17 +661,9 @@ export class Shooter extends Enemy {
         // Keep in bounds
         this.x = Utils.clamp(this.x, this.radius, bounds.width - this.radius);
         this.y = Utils.clamp(this.y, this.radius, bounds.height - this.radius);
-
+        
         // Update facing direction
         this.facing = (player && player.x < this.x) ? -1 : 1;
-
-        // Update animation frame
-        this.anim.timer += deltaTime;
-        if (this.anim.timer >= this.anim.frameDuration) {
-            this.anim.timer = 0;
-            this.anim.frame = (this.anim.frame + 1) % this.anim.frameCount;
-        }
-
     }
     
     fireAtPlayer(player, projectiles) {
@@ -565,19 +672,19 @@ export class Shooter extends Enemy {
         const dy = player.y - this.y;
         const baseAngle = Math.atan2(dy, dx);
         
-        // Add random spread (±4 degrees)
-        const spreadRadians = (SHOOTER_SPREAD_ANGLE * Math.PI / 180);
+        // Add random spread
+        const spreadRadians = (this.params.spreadAngle * Math.PI / 180);
         const randomSpread = (Math.random() - 0.5) * 2 * spreadRadians;
         const finalAngle = baseAngle + randomSpread;
         
         // Create bullet
-        const bulletVx = Math.cos(finalAngle) * SHOOTER_BULLET_SPEED;
-        const bulletVy = Math.sin(finalAngle) * SHOOTER_BULLET_SPEED;
+        const bulletVx = Math.cos(finalAngle) * this.params.bulletSpeed;
+        const bulletVy = Math.sin(finalAngle) * this.params.bulletSpeed;
         
         const bullet = new ShooterBullet(
-            this.x, this.y, 
-            bulletVx, bulletVy, 
-            SHOOTER_BULLET_RADIUS, 
+            this.x, this.y,
+            bulletVx, bulletVy,
+            this.params.bulletRadius,
             1, // damage
             '#FF3B30', // red color
             this
@@ -585,93 +692,19 @@ export class Shooter extends Enemy {
         
         projectiles.push(bullet);
     }
-    
-    render(ctx, imageLoader = null, player = null) {
-        ctx.save();
-
-        const facingLeft = (this.facing < 0);
-
-        const useHit = this.hit.active;
-
-        let baseKey = facingLeft ? 'shooter_left' : 'shooter_right';
-        let hitKey  = facingLeft ? 'shooter_hit_left' : 'shooter_hit_right';
-        const sprite = imageLoader?.getImage(useHit ? hitKey : baseKey);
-
-        if (!sprite) {
-            ctx.fillStyle = '#FF8800';
-            ctx.beginPath();
-            ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
-            ctx.fill();
-            ctx.restore();
-            return;
-        }
-
-        const frames = useHit ? this.hit.frameCount : this.anim.frameCount;
-        const frameIndex = useHit ? this.hit.frame : this.anim.frame;
-
-        const fw = (sprite.width / frames) | 0;
-        const fh = sprite.height | 0;
-        const sx = frameIndex * fw;
-        const sy = 0;
-
-        const scale = 4; // Size
-        const dw = fw * scale;
-        const dh = fh * scale;
-        const dx = Math.round(this.x - dw / 2);
-        const dy = Math.round(this.y - dh / 2);
-
-        if (useHit) {
-            ctx.globalAlpha = 0.95;
-            ctx.filter = 'brightness(1.2)';
-        }
-
-        ctx.drawImage(sprite, sx, sy, fw, fh, dx, dy, dw, dh);
-
-        if (useHit) {
-            ctx.filter = 'none';
-            ctx.globalAlpha = 1.0;
-        }
-
-        ctx.restore();
-        }
-
 }
 
 // Tank enemy
 export class Tank extends Enemy {
-    constructor(x, y) {
-        super(x, y, TANK_RADIUS, TANK_HP);
-        this.speed = TANK_SPEED;
+    constructor(x, y, definition) {
+        super(x, y, definition);
         this.contactCooldown = 0;
-        this.flashTimer = 0;
-        this.isFlashing = false;
-        this.lastContactTime = 0;
-
-        this.anim = {
-            frame: 0,
-            timer: 0,
-            frameCount: 6,
-            frameDuration: 0.2
-        };
-
-        this.deathAnim = {
-            frame: 0,
-            frameCount: 8,
-            frameDuration: 0.08 // 8*0.08=0.64s
-        };
-        this.deathDuration = this.deathAnim.frameCount * this.deathAnim.frameDuration;
-
     }
     
     update(deltaTime, player, bounds) {
         if (!player.isAlive()) return;
         
         this.contactCooldown -= deltaTime;
-        this.flashTimer -= deltaTime;
-        
-        if (this.flashTimer <= 0) {
-            this.isFlashing = false;
-        }
         
         // Move towards player (slow pursuit)
         const dx = player.x - this.x;
@@ -688,24 +721,15 @@ export class Tank extends Enemy {
         }
         
         super.update(deltaTime, player, bounds);
-
+        
         if (this.isDying) {
             this.vx = 0; this.vy = 0;
-            const idx = Math.floor(this.deathTimer / this.deathAnim.frameDuration);
-            this.deathAnim.frame = Math.min(idx, this.deathAnim.frameCount - 1);
         }
         
         // Keep in bounds
         this.x = Utils.clamp(this.x, this.radius, bounds.width - this.radius);
         this.y = Utils.clamp(this.y, this.radius, bounds.height - this.radius);
         
-        // Update animation frame
-        this.anim.timer += deltaTime;
-        if (this.anim.timer >= this.anim.frameDuration) {
-            this.anim.timer = 0;
-            this.anim.frame = (this.anim.frame + 1) % this.anim.frameCount;
-        }
-        
         // Check for contact damage
         if (this.contactCooldown <= 0 && player.canTakeDamage()) {
             const playerDistance = Utils.distance(this.x, this.y, player.x, player.y);
@@ -716,492 +740,1036 @@ export class Tank extends Enemy {
     }
     
     dealContactDamage(player) {
-        player.takeDamage(1);
-        this.contactCooldown = TANK_CONTACT_COOLDOWN;
-        
-        // Apply knockback to player
-        const dx = player.x - this.x;
-        const dy = player.y - this.y;
-        const distance = Utils.distance(this.x, this.y, player.x, player.y);
-        
-        if (distance > 0) {
-            const normalized = Utils.normalize(dx, dy);
-            player.x += normalized.x * TANK_KNOCKBACK;
-            player.y += normalized.y * TANK_KNOCKBACK;
+        player.takeDamage(this.damage);
+        this.contactCooldown = this.params.contactCooldown;
+        Tank.knockBack(this, player, this.params.knockback);
+    }
+    
+    // Push the player directly away from a heavy enemy
+    static knockBack(source, player, distance) {
+        const dx = player.x - source.x;
+        const dy = player.y - source.y;
+        if (dx === 0 && dy === 0) return;
+        const normalized = Utils.normalize(dx, dy);
+        player.x += normalized.x * distance;
+        player.y += normalized.y * distance;
+    }
+}
+
+// Splitter enemy: splits into smaller, faster copies of its own type when it dies
+export class Splitter extends Enemy {
+    constructor(x, y, definition, generation = 0) {
+        super(x, y, definition);
+        this.generation = generation;
+        this.radius *= Math.pow(this.params.sizeScale, generation);
+        this.speed *= 1 + this.params.speedGrowth * generation;
+        if (generation > 0) {
+            this.hp = this.params.childHp;
+            this.maxHp = this.params.childHp;
         }
+        this.pendingSplit = false;
     }
     
     takeDamage(damage) {
+        const wasDying = this.isDying;
         super.takeDamage(damage);
+        if (this.isDying && !wasDying && this.generation < this.params.maxGeneration) {
+            this.pendingSplit = true;
+        }
+    }
+    
+    update(deltaTime, player, bounds, world) {
+        if (!player.isAlive()) return;
+        
+        if (this.pendingSplit) {
+            this.pendingSplit = false;
+            const children = this.params.children;
+            for (let i = 0; i < children; i++) {
+                const angle = (i / children) * Math.PI * 2 + Math.random();
+                world.spawn(this.type, this.x + Math.cos(angle) * this.radius,
+                    this.y + Math.sin(angle) * this.radius, this.generation + 1);
+            }
+        }
         
-        // Flash white when hit
-        this.isFlashing = true;
-        this.flashTimer = TANK_FLASH_DURATION;
+        if (this.isDying) {
+            this.vx = 0;
+            this.vy = 0;
+        } else {
+            const direction = Utils.normalize(player.x - this.x, player.y - this.y);
+            this.vx = direction.x * this.speed;
+            this.vy = direction.y * this.speed;
+        }
+        super.update(deltaTime, player, bounds);
+        
+        this.x = Utils.clamp(this.x, this.radius, bounds.width - this.radius);
+        this.y = Utils.clamp(this.y, this.radius, bounds.height - this.radius);
     }
     
-    render(ctx, imageLoader = null) {
-        ctx.save();
+    // Fallback: cell with a dividing line
+    renderShape(ctx) {
+        super.renderShape(ctx);
+        ctx.strokeStyle = '#33691E';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(this.x - this.radius * 0.7, this.y);
+        ctx.lineTo(this.x + this.radius * 0.7, this.y);
+        ctx.stroke();
+    }
+}
 
-        if (this.isDying) {
-            const sprite = imageLoader?.getImage('tank_death');
-            if (sprite) {
-                const frames = this.deathAnim.frameCount;
-                const fw = (sprite.width / frames) | 0;
-                const fh = sprite.height | 0;
-                const sx = this.deathAnim.frame * fw;
-                const sy = 0;
-                const scale = 3.5;
-                const dw = fw * scale;
-                const dh = fh * scale;
-                ctx.drawImage(sprite, sx, sy, fw, fh, Math.round(this.x - dw/2), Math.round(this.y - dh/2), dw, dh);
+// Bomber enemy: rushes the player, lights a short fuse when close and blows up,
+// hurting the player and other enemies within the blast
+export class Bomber extends Enemy {
+    constructor(x, y, definition) {
+        super(x, y, definition);
+        this.fuseTimer = null; // seconds left once lit
+        this.exploded = false;
+    }
+    
+    update(deltaTime, player, bounds, world) {
+        if (!player.isAlive()) return;
+        
+        if (!this.isDying) {
+            const distance = Utils.distance(this.x, this.y, player.x, player.y);
+            if (this.fuseTimer === null && distance < this.radius + player.radius + this.params.triggerDistance) {
+                this.fuseTimer = this.params.fuse;
+            }
+            
+            if (this.fuseTimer !== null) {
+                // Slows to a crawl while the fuse burns
+                this.fuseTimer -= deltaTime;
+                this.vx *= 0.9;
+                this.vy *= 0.9;
+                if (this.fuseTimer <= 0) this.explode(player, world.enemies);
             } else {
-                ctx.globalAlpha = 0.5;
-                ctx.fillStyle = '#880000';
-                ctx.beginPath(); ctx.arc(this.x, this.y, this.radius, 0, Math.PI*2); ctx.fill();
+                const direction = Utils.normalize(player.x - this.x, player.y - this.y);
+                this.vx = direction.x * this.speed;
+                this.vy = direction.y * this.speed;
             }
+        } else {
+            this.vx = 0;
+            this.vy = 0;
+        }
+        super.update(deltaTime, player, bounds);
+        
+        this.x = Utils.clamp(this.x, this.radius, bounds.width - this.radius);
+        this.y = Utils.clamp(this.y, this.radius, bounds.height - this.radius);
+    }
+    
+    explode(player, enemies) {
+        const blastRadius = this.params.blastRadius;
+        this.exploded = true;
+        this.hp = 0;
+        this.isDying = true;
+        this.deathTimer = 0;
+        
+        if (Utils.distance(this.x, this.y, player.x, player.y) < blastRadius + player.radius &&
+            player.canTakeDamage()) {
+            player.takeDamage(this.params.playerDamage);
+        }
+        enemies.forEach(enemy => {
+            if (enemy === this || enemy.isDying || !enemy.isAlive()) return;
+            if (Utils.distance(this.x, this.y, enemy.x, enemy.y) < blastRadius + enemy.radius) {
+                enemy.takeDamage(this.params.enemyDamage);
+            }
+        });
+    }
+    
+    // Flashes while the fuse burns
+    isFlashing() {
+        if (this.fuseTimer !== null && !this.isDying) return Math.floor(this.fuseTimer * 20) % 2 === 0;
+        return super.isFlashing();
+    }
+    
+    render(ctx, imageLoader = null) {
+        const blastRadius = this.params.blastRadius;
+        ctx.save();
+        
+        if (this.exploded) {
+            // Expanding blast ring
+            const t = Math.min(1, this.deathTimer / this.deathDuration);
+            ctx.globalAlpha = 1 - t;
+            ctx.fillStyle = 'rgba(255, 140, 0, 0.5)';
+            ctx.strokeStyle = '#FFD180';
+            ctx.lineWidth = 4;
+            ctx.beginPath();
+            ctx.arc(this.x, this.y, blastRadius * (0.4 + 0.6 * t), 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
             ctx.restore();
             return;
         }
-
-        const sprite = imageLoader?.getImage('tank');
-        if (!sprite) {
-            ctx.fillStyle = this.isFlashing ? '#FFFFFF' : '#880000';
-            ctx.beginPath(); ctx.arc(this.x, this.y, this.radius, 0, Math.PI*2); ctx.fill();
-            ctx.restore(); return;
-        }
-
-        const fw = sprite.width / this.anim.frameCount;
-        const fh = sprite.height;
-        const sx = this.anim.frame * fw;
-        const sy = 0;
-
-        const angle = Math.atan2(this.vy, this.vx);
-        ctx.translate(this.x, this.y);
-        ctx.rotate(angle + Math.PI / 2);
-
-        const scale = 3.5;
-        const dw = fw * scale;
-        const dh = fh * scale;
-
-        if (this.isFlashing) {
-            ctx.globalAlpha = 0.6;
-            ctx.filter = 'brightness(1.8)';
+        
+        if (!this.drawSprite(ctx, imageLoader)) this.renderShape(ctx);
+        if (this.fuseTimer !== null) {
+            // Blast radius warning
+            ctx.strokeStyle = 'rgba(255, 111, 0, 0.6)';
+            ctx.setLineDash([6, 6]);
+            ctx.beginPath(); ctx.arc(this.x, this.y, blastRadius, 0, Math.PI * 2); ctx.stroke();
         }
-
-        ctx.drawImage(sprite, sx, sy, fw, fh, -dw/2, -dh/2, dw, dh);
         ctx.restore();
-        }
-
+    }
+    
+    // Fallback: round bomb with a fuse spark
+    renderShape(ctx) {
+        super.renderShape(ctx);
+        ctx.fillStyle = this.fuseTimer !== null ? '#FFEB3B' : '#5D4037';
+        ctx.beginPath(); ctx.arc(this.x, this.y - this.radius, 4, 0, Math.PI * 2); ctx.fill();
+    }
 }
 
-// Base Weapon class
-export class Weapon {
-    constructor(fireRate, ammo = -1) {
-        this.fireRate = fireRate; // seconds between shots
-        this.ammo = ammo; // -1 for infinite
-        this.currentAmmo = ammo;
-        this.lastFireTime = 0;
-        this.owner = null;
+// Healer enemy: hangs back from the player and periodically restores HP to nearby
+// enemies (never itself)
+export class Healer extends Enemy {
+    constructor(x, y, definition) {
+        super(x, y, definition);
+        this.healTimer = 0;
+        this.pulseTimer = 0; // seconds left of the heal pulse effect
     }
     
-    update(deltaTime) {
-        // Override in subclasses if needed
+    update(deltaTime, player, bounds, world) {
+        if (!player.isAlive()) return;
+        this.pulseTimer -= deltaTime;
+        
+        if (this.isDying) {
+            this.vx = 0;
+            this.vy = 0;
+        } else {
+            // Hold a distance: approach when far, back off when close
+            const distance = Utils.distance(this.x, this.y, player.x, player.y);
+            const direction = Utils.normalize(player.x - this.x, player.y - this.y);
+            const approach = Utils.clamp((distance - this.params.keepDistance) / 60, -1, 1);
+            this.vx = direction.x * this.speed * approach;
+            this.vy = direction.y * this.speed * approach;
+            
+            this.healTimer += deltaTime;
+            if (this.healTimer >= this.params.interval) {
+                this.healTimer = 0;
+                this.heal(world.enemies);
+            }
+        }
+        super.update(deltaTime, player, bounds);
+        
+        this.x = Utils.clamp(this.x, this.radius, bounds.width - this.radius);
+        this.y = Utils.clamp(this.y, this.radius, bounds.height - this.radius);
     }
     
-    canFire() {
-        const now = Date.now() / 1000;
-        const timeSinceLastFire = now - this.lastFireTime;
-        return timeSinceLastFire >= this.fireRate && 
-               (this.ammo === -1 || this.currentAmmo > 0);
+    heal(enemies) {
+        let healed = 0;
+        enemies.forEach(enemy => {
+            if (enemy === this || enemy.isDying || !enemy.isAlive() || enemy.hp >= enemy.maxHp) return;
+            if (Utils.distance(this.x, this.y, enemy.x, enemy.y) < this.params.range + enemy.radius) {
+                enemy.hp = Math.min(enemy.maxHp, enemy.hp + this.params.amount);
+                healed++;
+            }
+        });
+        if (healed > 0) this.pulseTimer = 0.5;
     }
     
-    fire(fromX, fromY, targetX, targetY, projectiles) {
-        if (!this.canFire()) return false;
+    render(ctx, imageLoader = null) {
+        if (this.pulseTimer > 0) {
+            // Heal pulse reaching out to the healing range
+            const t = 1 - this.pulseTimer / 0.5;
+            ctx.save();
+            ctx.strokeStyle = `rgba(105, 240, 174, ${1 - t})`;
+            ctx.lineWidth = 3;
+            ctx.beginPath(); ctx.arc(this.x, this.y, this.params.range * t, 0, Math.PI * 2); ctx.stroke();
+            ctx.restore();
+        }
+        super.render(ctx, imageLoader);
+    }
+    
+    // Fallback: circle with a white cross
+    renderShape(ctx) {
+        super.renderShape(ctx);
+        ctx.fillStyle = '#FFFFFF';
+        const arm = this.radius * 0.6;
+        ctx.fillRect(this.x - arm, this.y - 3, arm * 2, 6);
+        ctx.fillRect(this.x - 3, this.y - arm, 6, arm * 2);
+    }
+}
+
+// Sniper enemy: keeps its range, shows a laser sight that tracks the player, locks it
+// briefly and then fires a fast bullet along the line
+export class Sniper extends Enemy {
+    constructor(x, y, definition) {
+        super(x, y, definition);
+        this.cooldown = this.params.cooldown;
+        this.aimTimer = null; // seconds of telegraph so far, null when not aiming
+        this.aimAngle = 0;
+    }
+    
+    update(deltaTime, player, bounds, world) {
+        if (!player.isAlive()) return;
+        const { range, aimTime, lockTime } = this.params;
         
-        const projectile = this.createProjectile(fromX, fromY, targetX, targetY);
-        if (projectile) {
-            projectiles.push(projectile);
-            this.lastFireTime = Date.now() / 1000;
+        if (this.isDying) {
+            this.vx = 0;
+            this.vy = 0;
+            this.aimTimer = null;
+        } else {
+            const distance = Utils.distance(this.x, this.y, player.x, player.y);
+            const direction = Utils.normalize(player.x - this.x, player.y - this.y);
+            const inRange = distance <= range;
             
-            if (this.ammo > 0) {
-                this.currentAmmo--;
-            }
+            // Walk into range, then stand still to shoot
+            this.vx = inRange ? 0 : direction.x * this.speed;
+            this.vy = inRange ? 0 : direction.y * this.speed;
             
-            return true;
+            if (this.aimTimer !== null) {
+                this.aimTimer += deltaTime;
+                if (this.aimTimer < aimTime - lockTime) {
+                    this.aimAngle = Math.atan2(player.y - this.y, player.x - this.x);
+                }
+                if (this.aimTimer >= aimTime) {
+                    this.fire(world.projectiles);
+                    this.aimTimer = null;
+                    this.cooldown = this.params.cooldown;
+                }
+            } else {
+                this.cooldown -= deltaTime;
+                if (this.cooldown <= 0 && inRange) {
+                    this.aimTimer = 0;
+                    this.aimAngle = Math.atan2(player.y - this.y, player.x - this.x);
+                }
+            }
         }
+        super.update(deltaTime, player, bounds);
         
-        return false;
+        this.x = Utils.clamp(this.x, this.radius, bounds.width - this.radius);
+        this.y = Utils.clamp(this.y, this.radius, bounds.height - this.radius);
     }
     
-    createProjectile(fromX, fromY, targetX, targetY) {
-        // Override in subclasses
-        return null;
+    isLocked() {
+        return this.aimTimer !== null && this.aimTimer >= this.params.aimTime - this.params.lockTime;
     }
     
-    getAmmoDisplay() {
-        return this.ammo === -1 ? '∞' : this.currentAmmo.toString();
+    fire(projectiles) {
+        const bullet = new ShooterBullet(
+            this.x + Math.cos(this.aimAngle) * this.radius,
+            this.y + Math.sin(this.aimAngle) * this.radius,
+            Math.cos(this.aimAngle) * this.params.bulletSpeed,
+            Math.sin(this.aimAngle) * this.params.bulletSpeed,
+            this.params.bulletRadius,
+            1, // damage
+            '#FF3B30',
+            this
+        );
+        projectiles.push(bullet);
     }
     
-    reload() {
-        if (this.ammo > 0) {
-            this.currentAmmo = this.ammo;
+    render(ctx, imageLoader = null) {
+        if (this.aimTimer !== null) {
+            // Laser sight: thin while tracking, bright once locked
+            const locked = this.isLocked();
+            const length = this.params.bulletSpeed * SHOOTER_BULLET_LIFETIME;
+            ctx.save();
+            ctx.strokeStyle = locked ? 'rgba(255, 23, 68, 0.95)' : 'rgba(255, 23, 68, 0.45)';
+            ctx.lineWidth = locked ? 3 : 1;
+            ctx.beginPath();
+            ctx.moveTo(this.x, this.y);
+            ctx.lineTo(this.x + Math.cos(this.aimAngle) * length, this.y + Math.sin(this.aimAngle) * length);
+            ctx.stroke();
+            ctx.restore();
         }
+        super.render(ctx, imageLoader);
+    }
+    
+    // Fallback: circle with a barrel toward the aim
+    renderShape(ctx) {
+        super.renderShape(ctx);
+        ctx.strokeStyle = '#1A237E';
+        ctx.lineWidth = 4;
+        ctx.beginPath();
+        ctx.moveTo(this.x, this.y);
+        ctx.lineTo(this.x + Math.cos(this.aimAngle) * (this.radius + 10), this.y + Math.sin(this.aimAngle) * (this.radius + 10));
+        ctx.stroke();
     }
 }
 
-// Pistol weapon (implemented)
-export class Pistol extends Weapon {
-    constructor() {
-        super(PISTOL_FIRE_RATE, -1); // 1 second fire rate, infinite ammo
+// Boss enemy: telegraphed arrival, then bullet patterns (radial bursts, spirals, aimed
+// volleys of ShooterBullets) and wind-up charges with Tank knockback. Each phase
+// (params.phases) opens with a radial burst and attacks more often.
+export class Boss extends Enemy {
+    constructor(x, y, definition) {
+        super(x, y, definition);
+        this.isBoss = true;
+        
+        this.phase = 0;
+        this.state = 'arriving';
+        this.stateTimer = 0;
+        this.arrivalTarget = null; // set from the arena bounds on the first update
+        this.attackTimer = 0;
+        this.patternIndex = 0;
+        this.volleysLeft = 0;
+        this.spiralAngle = 0;
+        this.spiralElapsed = 0;
+        this.chargeDirection = { x: 0, y: 0 };
+        this.contactCooldown = 0;
+    }
+    
+    isArriving() {
+        return this.state === 'arriving';
+    }
+    
+    // Phase for the current HP: the last one whose threshold has been reached
+    getPhaseForHp() {
+        const ratio = this.hp / this.maxHp;
+        let phase = 0;
+        this.params.phases.forEach((entry, index) => {
+            if (ratio <= entry.hpRatio) phase = index;
+        });
+        return phase;
+    }
+    
+    takeDamage(damage) {
+        // Invulnerable while the arrival is telegraphed
+        if (this.isArriving() || this.isDying) return;
+        super.takeDamage(damage);
     }
     
-    createProjectile(fromX, fromY, targetX, targetY) {
-        const dx = targetX - fromX;
-        const dy = targetY - fromY;
-        const distance = Math.sqrt(dx * dx + dy * dy);
+    update(deltaTime, player, bounds, world) {
+        if (!player.isAlive()) return;
+        const projectiles = world.projectiles;
+        this.stateTimer += deltaTime;
+        this.contactCooldown -= deltaTime;
         
-        if (distance === 0) return null;
+        if (!this.isDying) {
+            const phase = this.getPhaseForHp();
+            if (phase > this.phase) {
+                this.phase = phase;
+                this.fireRadial(projectiles, Math.random() * Math.PI * 2);
+                this.setState('idle');
+            }
+            this.updateState(deltaTime, player, bounds, projectiles);
+        } else {
+            this.vx = 0;
+            this.vy = 0;
+        }
         
-        const normalized = Utils.normalize(dx, dy);
+        super.update(deltaTime, player, bounds);
+        if (!this.isArriving()) {
+            this.x = Utils.clamp(this.x, this.radius, bounds.width - this.radius);
+            this.y = Utils.clamp(this.y, this.radius, bounds.height - this.radius);
+        }
         
-        return new Projectile(
-            fromX, fromY,
-            normalized.x * BULLET_SPEED,
-            normalized.y * BULLET_SPEED,
-            BULLET_RADIUS,
+        // Contact damage; charges hit much harder
+        if (!this.isDying && this.contactCooldown <= 0 && player.canTakeDamage() &&
+            Utils.distance(this.x, this.y, player.x, player.y) < this.radius + player.radius) {
+            player.takeDamage(this.damage);
+            this.contactCooldown = this.params.contactCooldown;
+            Tank.knockBack(this, player, this.state === 'charging' ? this.params.chargeKnockback : this.params.knockback);
+        }
+    }
+    
+    setState(state) {
+        this.state = state;
+        this.stateTimer = 0;
+    }
+    
+    updateState(deltaTime, player, bounds, projectiles) {
+        const params = this.params;
+        switch (this.state) {
+            case 'arriving': {
+                if (!this.arrivalTarget) {
+                    this.arrivalTarget = {
+                        x: Utils.clamp(this.x, params.arrivalInset, bounds.width - params.arrivalInset),
+                        y: Utils.clamp(this.y, params.arrivalInset, bounds.height - params.arrivalInset)
+                    };
+                }
+                // Glide in so the boss is in place when the telegraph ends
+                const remaining = Math.max(params.arrivalDuration - this.stateTimer, deltaTime);
+                this.vx = (this.arrivalTarget.x - this.x) / remaining;
+                this.vy = (this.arrivalTarget.y - this.y) / remaining;
+                if (this.stateTimer >= params.arrivalDuration) this.setState('idle');
+                break;
+            }
+            case 'idle': {
+                // Slow pursuit between attacks
+                const direction = Utils.normalize(player.x - this.x, player.y - this.y);
+                this.vx = direction.x * this.speed;
+                this.vy = direction.y * this.speed;
+                this.attackTimer += deltaTime;
+                if (this.attackTimer >= params.phases[this.phase].attackInterval) {
+                    this.attackTimer = 0;
+                    this.startAttack(player, projectiles);
+                }
+                break;
+            }
+            case 'aimed':
+                this.vx = 0;
+                this.vy = 0;
+                if (this.stateTimer >= params.volleyInterval) {
+                    this.stateTimer = 0;
+                    this.fireVolley(player, projectiles);
+                    if (--this.volleysLeft <= 0) this.setState('idle');
+                }
+                break;
+            case 'spiral':
+                this.vx = 0;
+                this.vy = 0;
+                while (this.stateTimer >= params.spiralShotInterval && this.state === 'spiral') {
+                    this.stateTimer -= params.spiralShotInterval;
+                    this.spiralElapsed += params.spiralShotInterval;
+                    this.spiralAngle += params.spiralTurn;
+                    // Two opposite arms
+                    this.fireBullet(projectiles, this.spiralAngle);
+                    this.fireBullet(projectiles, this.spiralAngle + Math.PI);
+                    if (this.spiralElapsed >= params.spiralDuration) this.setState('idle');
+                }
+                break;
+            case 'windup':
+                // Stand still, tracking the player, then lock the direction
+                this.vx = 0;
+                this.vy = 0;
+                this.chargeDirection = Utils.normalize(player.x - this.x, player.y - this.y);
+                if (this.stateTimer >= params.chargeWindup) this.setState('charging');
+                break;
+            case 'charging': {
+                this.vx = this.chargeDirection.x * params.chargeSpeed;
+                this.vy = this.chargeDirection.y * params.chargeSpeed;
+                const atWall = this.x <= this.radius || this.x >= bounds.width - this.radius ||
+                    this.y <= this.radius || this.y >= bounds.height - this.radius;
+                if (this.stateTimer >= params.chargeDuration || (atWall && this.stateTimer > 0.1)) {
+                    this.setState('idle');
+                }
+                break;
+            }
+        }
+    }
+    
+    startAttack(player, projectiles) {
+        const patterns = this.params.phases[this.phase].patterns;
+        const pattern = patterns[this.patternIndex % patterns.length];
+        this.patternIndex++;
+        switch (pattern) {
+            case 'radial':
+                this.fireRadial(projectiles, Math.random() * Math.PI * 2);
+                break;
+            case 'aimed':
+                this.volleysLeft = this.params.volleyCount;
+                this.fireVolley(player, projectiles);
+                this.volleysLeft--;
+                this.setState('aimed');
+                break;
+            case 'spiral':
+                this.spiralElapsed = 0;
+                this.setState('spiral');
+                break;
+            case 'charge':
+                this.setState('windup');
+                break;
+        }
+    }
+    
+    fireBullet(projectiles, angle) {
+        const bullet = new ShooterBullet(
+            this.x + Math.cos(angle) * this.radius,
+            this.y + Math.sin(angle) * this.radius,
+            Math.cos(angle) * this.params.bulletSpeed,
+            Math.sin(angle) * this.params.bulletSpeed,
+            this.params.bulletRadius,
             1, // damage
-            '#FFFF00', // color
-            'player'
+            '#FF3B30',
+            this
         );
+        bullet.lifetime = this.params.bulletLifetime;
+        projectiles.push(bullet);
     }
-}
-
-// Machine Gun weapon
-export class MachineGun extends Weapon {
-    constructor() {
-        super(MACHINE_GUN_FIRE_RATE, MACHINE_GUN_AMMO);
+    
+    fireRadial(projectiles, offset) {
+        const count = this.params.radialCount;
+        for (let i = 0; i < count; i++) {
+            this.fireBullet(projectiles, offset + (i / count) * Math.PI * 2);
+        }
     }
     
-    canFire() {
-        const now = Date.now() / 1000;
-        const canFireByTime = (now - this.lastFireTime) >= this.fireRate;
-        const hasAmmo = this.currentAmmo > 0;
-        return canFireByTime && hasAmmo;
+    // Fan of five bullets centered on the player
+    fireVolley(player, projectiles) {
+        const baseAngle = Math.atan2(player.y - this.y, player.x - this.x);
+        const spread = this.params.volleySpread * Math.PI / 180;
+        for (let i = -2; i <= 2; i++) {
+            this.fireBullet(projectiles, baseAngle + (i / 4) * spread);
+        }
     }
     
-    createProjectile(fromX, fromY, targetX, targetY) {
-        // Calculate direction
-        const dx = targetX - fromX;
-        const dy = targetY - fromY;
-        const distance = Math.sqrt(dx * dx + dy * dy);
+    render(ctx, imageLoader = null) {
+        const params = this.params;
+        ctx.save();
+        const pulse = 0.5 + 0.5 * Math.sin(this.stateTimer * 10);
+        
+        if (this.isArriving()) {
+            // Telegraph: pulsing warning rings where the boss will settle
+            const target = this.arrivalTarget || { x: this.x, y: this.y };
+            ctx.strokeStyle = `rgba(255, 59, 48, ${0.4 + 0.5 * pulse})`;
+            ctx.lineWidth = 4;
+            ctx.setLineDash([12, 8]);
+            ctx.beginPath();
+            ctx.arc(target.x, target.y, this.radius + 20 + pulse * 10, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.globalAlpha = Math.min(1, this.stateTimer / params.arrivalDuration);
+        }
         
-        if (distance === 0) return null;
+        if (this.state === 'windup') {
+            // Charge telegraph: lane toward the locked direction
+            ctx.strokeStyle = `rgba(255, 59, 48, ${0.25 + 0.35 * pulse})`;
+            ctx.lineWidth = this.radius * 2;
+            ctx.beginPath();
+            ctx.moveTo(this.x, this.y);
+            ctx.lineTo(this.x + this.chargeDirection.x * params.chargeSpeed * params.chargeDuration,
+                this.y + this.chargeDirection.y * params.chargeSpeed * params.chargeDuration);
+            ctx.stroke();
+        }
         
-        // Normalize and apply speed
-        const vx = (dx / distance) * BULLET_SPEED;
-        const vy = (dy / distance) * BULLET_SPEED;
+        if (this.isDying) {
+            ctx.globalAlpha = Math.max(0, 1 - this.deathTimer / this.deathDuration);
+        }
         
-        return new Projectile(
-            fromX, fromY,
-            vx, vy,
-            BULLET_RADIUS,
-            1, // damage
-            '#4A90E2', // blue color to distinguish from pistol
-            'player'
-        );
+        if (!this.drawSprite(ctx, imageLoader)) this.renderShape(ctx, pulse);
+        ctx.restore();
     }
     
-    getAmmoDisplay() {
-        return this.currentAmmo.toString();
+    // Fallback: body with a core that glows hotter each phase
+    renderShape(ctx, pulse = 1) {
+        ctx.fillStyle = this.isFlashing() ? '#FFFFFF' : this.color;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
+        ctx.fill();
+        
+        const coreColors = ['#FFD54F', '#FF9800', '#FF3B30'];
+        ctx.fillStyle = coreColors[this.phase] || '#FF3B30';
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.radius * (0.35 + 0.05 * pulse), 0, Math.PI * 2);
+        ctx.fill();
+        
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+}
+
+// Built-in weapon list, also the fallback when assets/data/weapons.json cannot be
+// loaded. Order is the switching and HUD slot order. Each block beside the basics
+// (`projectile`, `melee`, `area`, `heat`) adds the matching WEAPON_COMPONENTS behavior.
+// With a `magazine`, `ammo` is split into a loaded magazine and reserve rounds.
+export const DEFAULT_WEAPON_DEFINITIONS = {
+    pistol: {
+        name: 'Pistol',
+        fireRate: 1.0, // seconds between shots
+        ammo: -1, // -1 for infinite
+        magazine: 12,
+        reloadTime: 1.2, // seconds
+        projectile: { speed: 600, radius: 3, damage: 1, color: '#FFFF00' }
+    },
+    machine_gun: {
+        name: 'Machine Gun',
+        fireRate: 0.3,
+        ammo: -1,
+        projectile: { speed: 600, radius: 3, damage: 1, color: '#4A90E2' }, // blue to tell it from the pistol
+        heat: { perShot: 0.1, coolRate: 0.2, resumeAt: 0.4 } // overheats after ~7 s of fire
+    },
+    knife: {
+        name: 'Knife',
+        fireRate: 0.4,
+        ammo: -1,
+        melee: { arc: 120, range: 120, damage: 1, effectDuration: 0.5 } // degrees, pt, seconds
+    },
+    grenade: {
+        name: 'Grenade',
+        fireRate: 0.5,
+        ammo: 10,
+        projectile: { type: 'grenade', speed: 350, radius: 6, damage: 0, color: '#4A4A4A', fuse: 0.7 },
+        area: { radius: 120, damage: 999, effectDuration: 0.3 } // instant kill within the blast
+    },
+    shotgun: {
+        name: 'Shotgun',
+        fireRate: 0.9,
+        ammo: 24,
+        magazine: 6,
+        reloadTime: 2.0,
+        projectile: { speed: 650, radius: 3, damage: 1, color: '#FFB74D', lifetime: 0.45, pellets: 7, spread: 35 }
+    },
+    rifle: {
+        name: 'Rifle',
+        fireRate: 1.2,
+        ammo: 15,
+        magazine: 5,
+        reloadTime: 1.8,
+        projectile: { speed: 1100, radius: 3, damage: 2, color: '#E0E0E0', pierce: 3 } // passes through 3 enemies
+    },
+    flamethrower: {
+        name: 'Flamethrower',
+        fireRate: 0.05,
+        ammo: 200,
+        projectile: {
+            type: 'flame', speed: 320, radius: 8, damage: 0, color: '#FF7043', lifetime: 0.4, spread: 20, pierce: -1,
+            burn: { damage: 1, duration: 1.5, interval: 0.5 } // seconds; the flames themselves do no damage
+        }
+    },
+    rockets: {
+        name: 'Rockets',
+        fireRate: 1.5,
+        ammo: 6,
+        magazine: 2,
+        reloadTime: 2.5,
+        projectile: { type: 'rocket', speed: 260, radius: 6, damage: 4, color: '#B0BEC5', lifetime: 4, turnRate: 3 } // rad/s
+    }
+};
+
+// Weapon behavior components. Each is built from its block of a weapon definition and
+// takes part in Weapon.fire(shot), where shot = { x, y, targetX, targetY, projectiles,
+// enemies, owner }. fire() returns true when the component did something. Optional
+// hooks: canFire() to hold the weapon back, onFired() after a shot, update(deltaTime),
+// render(ctx, imageLoader) and getProgress() for the HUD ring.
+
+// Launches projectiles toward the target: one, jittered within `spread` degrees, or
+// `pellets` of them fanned evenly across it
+class ProjectileLauncher {
+    constructor(config, weapon) {
+        this.config = config;
+        this.weapon = weapon;
+    }
+    
+    fire(shot) {
+        const dx = shot.targetX - shot.x;
+        const dy = shot.targetY - shot.y;
+        if (dx === 0 && dy === 0) return false;
+        
+        const { pellets, spread, speed } = this.config;
+        const baseAngle = Math.atan2(dy, dx);
+        const spreadRad = spread * Math.PI / 180;
+        for (let i = 0; i < pellets; i++) {
+            const offset = pellets > 1 ? (i / (pellets - 1) - 0.5) * spreadRad : (Math.random() - 0.5) * spreadRad;
+            const angle = baseAngle + offset;
+            shot.projectiles.push(this.createProjectile(shot.x, shot.y, Math.cos(angle) * speed, Math.sin(angle) * speed));
+        }
+        return true;
+    }
+    
+    createProjectile(x, y, vx, vy) {
+        const { type, radius, damage, color, lifetime, fuse, pierce, burn, turnRate } = this.config;
+        let projectile;
+        switch (type) {
+            case 'grenade':
+                return new GrenadeProjectile(x, y, vx, vy, radius, damage, color, 'player', Date.now() / 1000 + fuse, this.weapon);
+            case 'flame':
+                projectile = new FlameProjectile(x, y, vx, vy, radius, damage, color, 'player');
+                break;
+            case 'rocket':
+                projectile = new RocketProjectile(x, y, vx, vy, radius, damage, color, 'player', turnRate);
+                break;
+            default:
+                projectile = new Projectile(x, y, vx, vy, radius, damage, color, 'player');
+        }
+        projectile.lifetime = lifetime;
+        projectile.pierce = pierce;
+        projectile.burn = burn || null;
+        return projectile;
+    }
+}
+
+// Hits every enemy within `range` and an `arc` (degrees) centered on the aim, with a
+// fading slash effect
+class MeleeArc {
+    constructor(config) {
+        this.config = config;
+        this.slash = null; // { startTime, angle, owner } of the latest swing
+    }
+    
+    fire(shot) {
+        const { range, arc, damage } = this.config;
+        const facingAngle = Math.atan2(shot.targetY - shot.y, shot.targetX - shot.x);
+        const halfArcRad = (arc / 2) * (Math.PI / 180);
+        this.slash = { startTime: Date.now() / 1000, angle: facingAngle, owner: shot.owner };
+        
+        shot.enemies.forEach(enemy => {
+            if (!enemy.isAlive()) return;
+            const enemyDx = enemy.x - shot.x;
+            const enemyDy = enemy.y - shot.y;
+            if (Math.sqrt(enemyDx * enemyDx + enemyDy * enemyDy) > range + enemy.radius) return;
+            
+            let angleDiff = Math.abs(Math.atan2(enemyDy, enemyDx) - facingAngle);
+            if (angleDiff > Math.PI) {
+                angleDiff = 2 * Math.PI - angleDiff;
+            }
+            if (angleDiff <= halfArcRad) {
+                enemy.takeDamage(damage);
+            }
+        });
+        return true;
+    }
+    
+    render(ctx, imageLoader) {
+        if (!this.slash) return;
+        const { range, arc, effectDuration } = this.config;
+        const animationProgress = (Date.now() / 1000 - this.slash.startTime) / effectDuration;
+        if (animationProgress >= 1) return;
+        
+        const { angle, owner } = this.slash;
+        const halfArcRad = (arc / 2) * (Math.PI / 180);
+        ctx.save();
+        ctx.translate(owner.x, owner.y);
+        
+        // Attack area, fading out over time
+        ctx.beginPath();
+        ctx.moveTo(0, 0);
+        ctx.arc(0, 0, range, angle - halfArcRad, angle + halfArcRad);
+        ctx.closePath();
+        const alpha = (1 - animationProgress) * 0.3;
+        ctx.fillStyle = `rgba(255, 255, 0, ${alpha})`; // Yellow semi-transparent
+        ctx.fill();
+        ctx.strokeStyle = `rgba(255, 215, 0, ${alpha * 2})`; // Golden border
+        ctx.lineWidth = 2;
+        ctx.stroke();
+        
+        // Render slash effect if available
+        const slashImage = imageLoader?.getImage('slash');
+        if (slashImage) {
+            const scale = range / 40; // Scale to match range
+            ctx.rotate(angle);
+            ctx.globalAlpha = 1 - animationProgress;
+            ctx.drawImage(
+                slashImage,
+                -slashImage.width * scale / 2,
+                -slashImage.height * scale / 2,
+                slashImage.width * scale,
+                slashImage.height * scale
+            );
+        }
+        ctx.restore();
     }
 }
 
-// Knife weapon
-export class Knife extends Weapon {
-    constructor() {
-        super(KNIFE_COOLDOWN_S, -1); // Infinite ammo
-        this.slashStartTime = 0;
-        this.slashDuration = 0.5; // seconds to show slash effect - strictly 0.5s as required
+// Damages every enemy within `radius` when one of the weapon's grenades goes off
+class AreaBlast {
+    constructor(config) {
+        this.config = config;
+        this.explosions = []; // Track active explosions
     }
     
-    get name() {
-        return 'Knife';
+    explode(x, y, enemies) {
+        const { radius, damage, effectDuration } = this.config;
+        this.explosions.push({ x, y, startTime: Date.now() / 1000, duration: effectDuration });
+        
+        let enemiesHit = 0;
+        (enemies || []).forEach(enemy => {
+            if (!enemy.isAlive()) return;
+            if (Utils.distance(x, y, enemy.x, enemy.y) <= radius + enemy.radius) {
+                enemy.takeDamage(damage);
+                enemiesHit++;
+            }
+        });
+        console.log(`🎆 Explosion at (${x.toFixed(1)}, ${y.toFixed(1)}), enemies hit: ${enemiesHit}`);
     }
     
-    fire(fromX, fromY, targetX, targetY, projectiles, enemies = [], player = null) {
-        if (!this.canFire()) return false;
-        
+    update() {
+        // Clean up expired explosions
         const now = Date.now() / 1000;
-        this.lastFireTime = now;
-        this.slashStartTime = now;
-        
-        // Calculate player facing direction
-        const dx = targetX - fromX;
-        const dy = targetY - fromY;
-        const facingAngle = Math.atan2(dy, dx);
-        
-        // Kill all enemies in the sector
-        if (enemies && player) {
-            enemies.forEach(enemy => {
-                if (!enemy.isAlive()) return;
-                
-                // Calculate distance to enemy
-                const enemyDx = enemy.x - fromX;
-                const enemyDy = enemy.y - fromY;
-                const distance = Math.sqrt(enemyDx * enemyDx + enemyDy * enemyDy);
-                
-                // Check if enemy is within range
-                if (distance <= (KNIFE_RANGE_PT + enemy.radius)) {
-                    // Calculate angle to enemy
-                    const enemyAngle = Math.atan2(enemyDy, enemyDx);
-                    
-                    // Calculate angle difference
-                    let angleDiff = Math.abs(enemyAngle - facingAngle);
-                    if (angleDiff > Math.PI) {
-                        angleDiff = 2 * Math.PI - angleDiff;
-                    }
-                    
-                    // Check if enemy is within the arc
-                    const halfArcRad = (KNIFE_ARC_DEG / 2) * (Math.PI / 180);
-                    if (angleDiff <= halfArcRad) {
-                        enemy.takeDamage(1); // Same damage as bullets
-                    }
-                }
-            });
-        }
-        
-        return true;
+        this.explosions = this.explosions.filter(explosion =>
+            now - explosion.startTime < explosion.duration
+        );
     }
     
-    render(ctx, imageLoader, fromX, fromY, targetX, targetY) {
+    render(ctx, imageLoader) {
+        const radius = this.config.radius;
+        const explosionImage = imageLoader?.getImage('explosion');
         const now = Date.now() / 1000;
-        if (now - this.slashStartTime < this.slashDuration) {
-            // Calculate facing direction
-            const dx = targetX - fromX;
-            const dy = targetY - fromY;
-            const angle = Math.atan2(dy, dx);
-            
-            // Render 120-degree arc attack area for visual feedback
-            const halfArcRad = (KNIFE_ARC_DEG / 2) * (Math.PI / 180);
-            const animationProgress = (now - this.slashStartTime) / this.slashDuration;
+        
+        this.explosions.forEach(explosion => {
+            const progress = (now - explosion.startTime) / explosion.duration;
+            if (progress >= 1.0) return; // Skip expired explosions
             
             ctx.save();
-            ctx.translate(fromX, fromY);
-            
-            // Draw the 120-degree attack arc
-            ctx.beginPath();
-            ctx.moveTo(0, 0);
-            ctx.arc(0, 0, KNIFE_RANGE_PT, angle - halfArcRad, angle + halfArcRad);
-            ctx.closePath();
-            
-            // Visual effect that fades out over time
-            const alpha = (1 - animationProgress) * 0.3;
-            ctx.fillStyle = `rgba(255, 255, 0, ${alpha})`; // Yellow semi-transparent
-            ctx.fill();
-            ctx.strokeStyle = `rgba(255, 215, 0, ${alpha * 2})`; // Golden border
-            ctx.lineWidth = 2;
-            ctx.stroke();
-            
-            // Render slash effect if available
-            if (imageLoader && imageLoader.getImage('slash')) {
-                const slashImage = imageLoader.getImage('slash');
-                const scale = KNIFE_RANGE_PT / 40; // Scale to match range
-                
-                ctx.rotate(angle);
-                ctx.globalAlpha = 1 - animationProgress;
+            ctx.globalAlpha = 1 - progress;
+            if (explosionImage) {
+                const scale = (radius * 2) / explosionImage.width;
+                ctx.translate(explosion.x, explosion.y);
                 ctx.drawImage(
-                    slashImage,
-                    -slashImage.width * scale / 2,
-                    -slashImage.height * scale / 2,
-                    slashImage.width * scale,
-                    slashImage.height * scale
+                    explosionImage,
+                    -explosionImage.width * scale / 2,
+                    -explosionImage.height * scale / 2,
+                    explosionImage.width * scale,
+                    explosionImage.height * scale
                 );
+            } else {
+                // Fallback: growing circle
+                ctx.fillStyle = '#FF6600';
+                ctx.beginPath();
+                ctx.arc(explosion.x, explosion.y, radius * (0.5 + progress * 0.5), 0, Math.PI * 2);
+                ctx.fill();
             }
-            
             ctx.restore();
+        });
+    }
+}
+
+// Overheat meter in place of ammo: each shot adds `perShot` heat (1 is full), which
+// cools at `coolRate` per second. Full heat locks the weapon until it cools to `resumeAt`.
+class HeatSink {
+    constructor(config) {
+        this.config = config;
+        this.heat = 0;
+        this.overheated = false;
+    }
+    
+    canFire() {
+        return !this.overheated;
+    }
+    
+    onFired() {
+        this.heat = Math.min(1, this.heat + this.config.perShot);
+        if (this.heat >= 1) this.overheated = true;
+    }
+    
+    update(deltaTime) {
+        this.heat = Math.max(0, this.heat - this.config.coolRate * deltaTime);
+        if (this.overheated && this.heat <= this.config.resumeAt) {
+            this.overheated = false;
         }
     }
     
-    getAmmoDisplay() {
-        return '∞';
+    getProgress() {
+        if (this.heat <= 0) return null;
+        return { kind: this.overheated ? 'overheated' : 'heat', value: this.heat };
     }
 }
 
-// Grenade weapon
-export class Grenade extends Weapon {
-    constructor() {
-        super(GRENADE_COOLDOWN_S, GRENADE_AMMO_INITIAL);
-        this.explosions = []; // Track active explosions
+// Weapon behavior components by definition block
+export const WEAPON_COMPONENTS = {
+    'projectile': ProjectileLauncher,
+    'melee': MeleeArc,
+    'area': AreaBlast,
+    'heat': HeatSink
+};
+
+// Weapon: fire rate and ammo from its definition, behavior from its components
+export class Weapon {
+    constructor(key, definition) {
+        this.key = key;
+        this.name = definition.name;
+        this.definition = definition;
+        this.fireRate = definition.fireRate; // seconds between shots
+        this.ammo = definition.ammo; // -1 for infinite
+        this.currentAmmo = definition.ammo;
+        this.lastFireTime = 0;
+        
+        // Magazine: currentAmmo is what is loaded, reserveAmmo the rest (-1 for infinite)
+        this.magazine = definition.magazine; // 0 fires straight from ammo
+        this.reloadTime = definition.reloadTime; // seconds
+        this.reloading = null; // { elapsed } while a reload is under way
+        if (this.magazine > 0) {
+            this.currentAmmo = this.ammo === -1 ? this.magazine : Math.min(this.magazine, this.ammo);
+            this.reserveAmmo = this.ammo === -1 ? -1 : this.ammo - this.currentAmmo;
+        }
+        this.owner = null;
+        this.components = Object.entries(WEAPON_COMPONENTS)
+            .filter(([block]) => definition[block])
+            .map(([block, Component]) => new Component(definition[block], this));
+    }
+    
+    update(deltaTime) {
+        if (this.reloading) {
+            this.reloading.elapsed += deltaTime;
+            if (this.reloading.elapsed >= this.reloadTime) {
+                this.finishReload();
+            }
+        }
+        this.components.forEach(component => component.update?.(deltaTime));
     }
     
-    get name() {
-        return 'Grenade';
+    hasAmmo() {
+        if (this.magazine > 0) return this.currentAmmo > 0;
+        return this.ammo === -1 || this.currentAmmo > 0;
     }
     
     canFire() {
         const now = Date.now() / 1000;
-        const canFireByTime = (now - this.lastFireTime) >= this.fireRate;
-        const hasAmmo = this.currentAmmo > 0;
-        return canFireByTime && hasAmmo;
+        const timeSinceLastFire = now - this.lastFireTime;
+        return timeSinceLastFire >= this.fireRate && !this.reloading && this.hasAmmo() &&
+               this.components.every(component => component.canFire?.() ?? true);
     }
     
-    fire(fromX, fromY, targetX, targetY, projectiles) {
+    // shot: { x, y, targetX, targetY, projectiles, enemies, owner }
+    fire(shot) {
+        // An empty magazine reloads on the next pull of the trigger
+        if (this.magazine > 0 && this.currentAmmo === 0) this.reload();
         if (!this.canFire()) return false;
         
-        const now = Date.now() / 1000;
-        this.lastFireTime = now;
-        this.currentAmmo--;
-        
-        // Create grenade projectile
-        const dx = targetX - fromX;
-        const dy = targetY - fromY;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-        
-        if (distance === 0) return false;
-        
-        const vx = (dx / distance) * GRENADE_SPEED_PT_S;
-        const vy = (dy / distance) * GRENADE_SPEED_PT_S;
-        
-        const grenadeProjectile = new GrenadeProjectile(
-            fromX, fromY,
-            vx, vy,
-            GRENADE_RADIUS_PT,
-            0, // No direct damage
-            '#4A4A4A',
-            'player',
-            now + GRENADE_FUSE_S,
-            this
-        );
+        const results = this.components.map(component => component.fire ? component.fire(shot) : false);
+        if (!results.some(Boolean)) return false;
         
-        projectiles.push(grenadeProjectile);
+        this.lastFireTime = Date.now() / 1000;
+        if (this.magazine > 0 || this.ammo !== -1) {
+            this.currentAmmo--;
+        }
+        this.components.forEach(component => component.onFired?.());
+        if (this.magazine > 0 && this.currentAmmo === 0) this.reload();
         return true;
     }
     
-    explode(x, y, enemies) {
-        console.log('🔥 Explode function called at:', x, y, 'with enemies:', enemies ? enemies.length : 0);
-        
-        // Create explosion effect
-        const explosion = {
-            x: x,
-            y: y,
-            startTime: Date.now() / 1000,
-            duration: 0.3
-        };
-        this.explosions.push(explosion);
-        console.log('💥 Explosion effect created at:', x, y, 'Explosions count:', this.explosions.length);
-        
-        // Damage all enemies in explosion radius
-        if (enemies) {
-            let enemiesHit = 0;
-            enemies.forEach(enemy => {
-                if (!enemy.isAlive()) {
-                    console.log('⚰️ Enemy already dead, skipping');
-                    return;
-                }
-                
-                const dx = enemy.x - x;
-                const dy = enemy.y - y;
-                const distance = Math.sqrt(dx * dx + dy * dy);
-                const explosionRange = GRENADE_EXPLOSION_RADIUS_PT + enemy.radius;
-                
-                console.log(`🎯 Enemy at (${enemy.x.toFixed(1)}, ${enemy.y.toFixed(1)}): distance=${distance.toFixed(1)}, range=${explosionRange.toFixed(1)}`);
-                
-                if (distance <= explosionRange) {
-                    console.log('💀 Enemy in explosion range, dealing damage!');
-                    const prevHp = enemy.hp;
-                    enemy.takeDamage(999); // Instant kill
-                    console.log(`⚡ Enemy HP: ${prevHp} -> ${enemy.hp}, alive: ${enemy.isAlive()}`);
-                    enemiesHit++;
-                } else {
-                    console.log('🚫 Enemy outside explosion range');
-                }
-            });
-            console.log(`🎆 Explosion complete! Enemies hit: ${enemiesHit}`);
-        } else {
-            console.log('❌ No enemies array provided to explode function');
-        }
+    // Start refilling the magazine from reserve; false when there is nothing to reload
+    reload() {
+        if (this.magazine === 0 || this.reloading) return false;
+        if (this.currentAmmo >= this.magazine || this.reserveAmmo === 0) return false;
+        this.reloading = { elapsed: 0 };
+        return true;
     }
     
-    update(deltaTime) {
-        super.update(deltaTime);
-        
-        // Clean up expired explosions
-        const now = Date.now() / 1000;
-        this.explosions = this.explosions.filter(explosion => 
-            now - explosion.startTime < explosion.duration
-        );
+    // Interrupt a reload, e.g. when switching away; the magazine keeps what it had
+    cancelReload() {
+        if (!this.reloading) return;
+        this.reloading = null;
     }
     
-    render(ctx, imageLoader) {
-        // Render explosion effects
-        console.log('🎨 Rendering grenade explosions, count:', this.explosions.length);
-        
-        // Debug imageLoader status
-        if (!imageLoader) {
-            console.log('❌ ImageLoader is null/undefined');
-            return;
+    finishReload() {
+        const needed = this.magazine - this.currentAmmo;
+        const loaded = this.reserveAmmo === -1 ? needed : Math.min(needed, this.reserveAmmo);
+        this.currentAmmo += loaded;
+        if (this.reserveAmmo !== -1) {
+            this.reserveAmmo -= loaded;
         }
-        
-        console.log('🔍 ImageLoader available, checking explosion image...');
-        const explosionImage = imageLoader.getImage('explosion');
-        console.log('🔍 Explosion image:', explosionImage ? 'LOADED' : 'NOT FOUND');
-        
-        if (explosionImage) {
-            console.log('🔍 Explosion image dimensions:', explosionImage.width, 'x', explosionImage.height);
-            const now = Date.now() / 1000;
-            
-            this.explosions.forEach((explosion, index) => {
-                const elapsed = now - explosion.startTime;
-                const progress = elapsed / explosion.duration;
-                
-                if (progress >= 1.0) {
-                    console.log(`⏰ Explosion ${index} finished, removing...`);
-                    return; // Skip expired explosions
-                }
-                
-                const scale = (GRENADE_EXPLOSION_RADIUS_PT * 2) / explosionImage.width;
-                
-                console.log(`🎨 Rendering explosion ${index}: progress=${progress.toFixed(2)}, alpha=${(1 - progress).toFixed(2)}, scale=${scale.toFixed(2)}`);
-                
-                ctx.save();
-                ctx.translate(explosion.x, explosion.y);
-                ctx.globalAlpha = 1 - progress;
-                ctx.drawImage(
-                    explosionImage,
-                    -explosionImage.width * scale / 2,
-                    -explosionImage.height * scale / 2,
-                    explosionImage.width * scale,
-                    explosionImage.height * scale
-                );
-                ctx.restore();
-            });
-        } else {
-            console.log('❌ No explosion image available');
-            // Fallback rendering for debugging
-            if (this.explosions.length > 0) {
-                console.log('🎨 Using fallback circle rendering for explosions');
-                const now = Date.now() / 1000;
-                
-                this.explosions.forEach((explosion, index) => {
-                    const elapsed = now - explosion.startTime;
-                    const progress = elapsed / explosion.duration;
-                    
-                    if (progress < 1.0) {
-                        ctx.save();
-                        ctx.globalAlpha = 1 - progress;
-                        ctx.fillStyle = '#FF6600';
-                        ctx.beginPath();
-                        ctx.arc(explosion.x, explosion.y, GRENADE_EXPLOSION_RADIUS_PT * (0.5 + progress * 0.5), 0, Math.PI * 2);
-                        ctx.fill();
-                        ctx.restore();
-                    }
-                });
-            }
+        this.reloading = null;
+    }
+    
+    // Ammo from pickups goes to the reserve when the weapon has a magazine
+    addAmmo(amount) {
+        if (this.magazine > 0) {
+            if (this.reserveAmmo !== -1) this.reserveAmmo += amount;
+        } else if (this.ammo !== -1) {
+            this.currentAmmo += amount;
         }
     }
     
+    // Set off by the weapon's grenades
+    explode(x, y, enemies) {
+        this.components.forEach(component => component.explode?.(x, y, enemies));
+    }
+    
+    // Effects such as slashes and explosions
+    render(ctx, imageLoader) {
+        this.components.forEach(component => component.render?.(ctx, imageLoader));
+    }
+    
     getAmmoDisplay() {
-        return this.currentAmmo.toString();
+        if (this.magazine > 0) {
+            return `${this.currentAmmo}/${this.reserveAmmo === -1 ? '∞' : this.reserveAmmo}`;
+        }
+        return this.ammo === -1 ? '∞' : this.currentAmmo.toString();
+    }
+    
+    // HUD ring: { kind, value 0..1 } for a reload under way or a heat meter, else null
+    getProgress() {
+        if (this.reloading) {
+            return { kind: 'reload', value: Math.min(1, this.reloading.elapsed / this.reloadTime) };
+        }
+        for (const component of this.components) {
+            const progress = component.getProgress?.();
+            if (progress) return progress;
+        }
+        return null;
     }
 }
 
@@ -1216,6 +1784,9 @@ export class Projectile extends Entity {
         this.owner = owner;
         this.lifetime = 3.0; // seconds
         this.age = 0;
+        this.pierce = 0; // extra enemies it passes through, -1 for all
+        this.burn = null; // { damage, duration, interval } damage over time left on hit
+        this.hitEnemies = new Set();
     }
     
     update(deltaTime, bounds) {
@@ -1268,29 +1839,197 @@ export class Projectile extends Entity {
         ctx.fill();
         ctx.restore();
     }
+    
+    // Apply this projectile to an enemy it touches. Returns false for an enemy it has
+    // already hit; it is used up once it has hit `pierce` + 1 enemies.
+    hitEnemy(enemy) {
+        if (this.hitEnemies.has(enemy)) return false;
+        this.hitEnemies.add(enemy);
+        
+        if (this.damage > 0) enemy.takeDamage(this.damage);
+        if (this.burn) enemy.applyBurn(this.burn);
+        if (this.pierce !== -1 && this.hitEnemies.size > this.pierce) {
+            this.alive = false;
+        }
+        return true;
+    }
 }
 
-// Enemy Registry
-export const ENEMY_REGISTRY = {
+// Enemy behaviors, named by the `behavior` field of an enemy definition
+export const ENEMY_BEHAVIORS = {
     'assassin': Assassin,
     'shooter': Shooter,
-    'tank': Tank
+    'tank': Tank,
+    'splitter': Splitter,
+    'bomber': Bomber,
+    'healer': Healer,
+    'sniper': Sniper,
+    'boss': Boss
 };
 
-// Weapon Registry
-export const WEAPON_REGISTRY = {
-    'pistol': Pistol,
-    'machine_gun': MachineGun,
-    'knife': Knife,
-    'grenade': Grenade
+// Expected shape of an enemy definition; `fields` nests the rules for objects
+const SPRITE_SHEET_SCHEMA = {
+    image: { type: 'string' },
+    left: { type: 'string' },
+    right: { type: 'string' },
+    frames: { type: 'integer', min: 1 },
+    frameDuration: { type: 'number', min: 0.01 }, // seconds
+    scale: { type: 'number', min: 0.01 },
+    rotate: { type: 'boolean' }
 };
+const ENEMY_DEFINITION_SCHEMA = {
+    behavior: { type: 'string', required: true },
+    name: { type: 'string' },
+    stats: {
+        type: 'object',
+        required: true,
+        fields: {
+            hp: { type: 'number', min: 1, required: true },
+            radius: { type: 'number', min: 1, required: true },
+            speed: { type: 'number', min: 0, required: true }, // pt/s
+            damage: { type: 'number', min: 0 }
+        }
+    },
+    color: { type: 'string' },
+    sprite: { type: 'object', fields: SPRITE_SHEET_SCHEMA },
+    hit: { type: 'object', fields: SPRITE_SHEET_SCHEMA },
+    death: { type: 'object', fields: { ...SPRITE_SHEET_SCHEMA, duration: { type: 'number', min: 0 } } },
+    sound: { type: 'string' },
+    score: { type: 'number', min: 0 },
+    params: { type: 'object' }
+};
+
+function matchesSchemaType(value, type) {
+    switch (type) {
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'array': return Array.isArray(value);
+        case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+        default: return typeof value === type;
+    }
+}
+
+function checkSchema(value, schema, path, errors) {
+    Object.entries(schema).forEach(([field, rule]) => {
+        const fieldValue = value[field];
+        const fieldPath = `${path}.${field}`;
+        if (fieldValue === undefined) {
+            if (rule.required) errors.push(`${fieldPath} is required`);
+        } else if (!matchesSchemaType(fieldValue, rule.type)) {
+            errors.push(`${fieldPath} must be ${rule.type === 'integer' ? 'an' : 'a'} ${rule.type}`);
+        } else if (rule.min !== undefined && fieldValue < rule.min) {
+            errors.push(`${fieldPath} must be at least ${rule.min}`);
+        } else if (rule.fields) {
+            checkSchema(fieldValue, rule.fields, fieldPath, errors);
+        }
+    });
+    Object.keys(value).forEach(field => {
+        if (!(field in schema)) errors.push(`${path}.${field} is not a known field`);
+    });
+}
+
+// Schema errors for one enemy definition, as readable strings; empty when valid
+export function validateEnemyDefinition(type, definition) {
+    if (!matchesSchemaType(definition, 'object')) return [`${type} must be an object`];
+    const errors = [];
+    checkSchema(definition, ENEMY_DEFINITION_SCHEMA, type, errors);
+    
+    const behavior = definition.behavior;
+    if (typeof behavior === 'string' && !ENEMY_BEHAVIORS[behavior]) {
+        errors.push(`${type}.behavior "${behavior}" is not one of: ${Object.keys(ENEMY_BEHAVIORS).join(', ')}`);
+    }
+    ['sprite', 'hit'].forEach(sheetName => {
+        const sheet = definition[sheetName];
+        if (matchesSchemaType(sheet, 'object') && !sheet.image && !(sheet.left && sheet.right)) {
+            errors.push(`${type}.${sheetName} needs an image, or both left and right images`);
+        }
+    });
+    
+    // Params must be ones the behavior knows, of the same kind as the default value
+    const defaults = DEFAULT_ENEMY_DEFINITIONS[behavior]?.params;
+    if (defaults && matchesSchemaType(definition.params, 'object')) {
+        Object.entries(definition.params).forEach(([name, value]) => {
+            if (!(name in defaults)) {
+                errors.push(`${type}.params.${name} is not a ${behavior} param`);
+                return;
+            }
+            const expected = Array.isArray(defaults[name]) ? 'array' : typeof defaults[name];
+            if (!matchesSchemaType(value, expected)) {
+                errors.push(`${type}.params.${name} must be ${expected === 'array' ? 'an' : 'a'} ${expected}`);
+            }
+        });
+    }
+    return errors;
+}
+
+// Fill in optional fields so enemies can read a definition without checks
+function normalizeEnemyDefinition(type, definition) {
+    const sheet = layout => layout && { frames: 1, frameDuration: 0.15, rotate: false, ...layout };
+    const death = { frames: 1, frameDuration: 0.3, rotate: false, ...definition.death };
+    if (death.duration === undefined) death.duration = death.frames * death.frameDuration;
+    return {
+        ...definition,
+        type,
+        name: definition.name || type,
+        stats: { damage: 1, ...definition.stats },
+        color: definition.color || '#FF0000',
+        sprite: sheet(definition.sprite),
+        hit: sheet(definition.hit),
+        death,
+        sound: definition.sound || 'hurt_enemy1',
+        score: definition.score ?? 1,
+        params: { ...DEFAULT_ENEMY_DEFINITIONS[definition.behavior].params, ...definition.params }
+    };
+}
+
+// Enemy Registry: type → class, built from enemy definitions
+export const ENEMY_REGISTRY = {};
+
+// Add or replace ENEMY_REGISTRY entries from definitions keyed by enemy type. Invalid
+// definitions are skipped; returns their schema errors.
+export function registerEnemyDefinitions(definitions) {
+    if (!matchesSchemaType(definitions, 'object')) return ['enemies must be an object of definitions by type'];
+    const errors = [];
+    Object.entries(definitions).forEach(([type, definition]) => {
+        const definitionErrors = validateEnemyDefinition(type, definition);
+        if (definitionErrors.length > 0) {
+            errors.push(...definitionErrors);
+            return;
+        }
+        const normalized = normalizeEnemyDefinition(type, definition);
+        const Behavior = ENEMY_BEHAVIORS[normalized.behavior];
+        ENEMY_REGISTRY[type] = class extends Behavior {
+            constructor(x, y, ...args) {
+                super(x, y, normalized, ...args);
+            }
+        };
+        ENEMY_REGISTRY[type].definition = normalized;
+    });
+    return errors;
+}
+
+// Image files used by the registered enemies' sprite sheets, keyed by file name
+export function getEnemyImages() {
+    const images = {};
+    Object.values(ENEMY_REGISTRY).forEach(EnemyClass => {
+        const { sprite, hit, death } = EnemyClass.definition;
+        [sprite, hit, death].forEach(sheet => {
+            [sheet?.image, sheet?.left, sheet?.right].forEach(file => {
+                if (file) images[file] = file;
+            });
+        });
+    });
+    return images;
+}
+
+registerEnemyDefinitions(DEFAULT_ENEMY_DEFINITIONS);
 
 // Grenade projectile
 export class GrenadeProjectile extends Projectile {
-    constructor(x, y, vx, vy, radius, damage, color, owner, explodeTime, grenadeWeapon) {
+    constructor(x, y, vx, vy, radius, damage, color, owner, explodeTime, weapon) {
         super(x, y, vx, vy, radius, damage, color, owner);
         this.explodeTime = explodeTime;
-        this.grenadeWeapon = grenadeWeapon;
+        this.weapon = weapon; // its area component does the damage
         this.hasExploded = false;
     }
     
@@ -1304,7 +2043,7 @@ export class GrenadeProjectile extends Projectile {
         // Check collision with enemies first
         if (enemies) {
             for (let enemy of enemies) {
-                if (!enemy.isAlive()) continue;
+                if (enemy.isDying || !enemy.isAlive()) continue;
                 
                 const dx = this.x - enemy.x;
                 const dy = this.y - enemy.y;
@@ -1317,7 +2056,7 @@ export class GrenadeProjectile extends Projectile {
                 // If grenade hits an enemy, explode immediately
                 if (distance <= collisionThreshold) {
                     console.log('💥 Grenade hit enemy, exploding immediately!');
-                    this.grenadeWeapon.explode(this.x, this.y, enemies);
+                    this.weapon.explode(this.x, this.y, enemies);
                     this.hasExploded = true;
                     this.alive = false; // Mark for removal
                     return;
@@ -1328,7 +2067,7 @@ export class GrenadeProjectile extends Projectile {
         // Check if it's time to explode (original timer logic)
         if (now >= this.explodeTime) {
             console.log('⏰ Grenade timer expired, exploding!');
-            this.grenadeWeapon.explode(this.x, this.y, enemies);
+            this.weapon.explode(this.x, this.y, enemies);
             this.hasExploded = true;
             this.alive = false; // Mark for removal
             return;
@@ -1385,6 +2124,96 @@ export class GrenadeProjectile extends Projectile {
     }
 }
 
+// FlameProjectile - short-lived puff that swells, slows and fades as it ages
+export class FlameProjectile extends Projectile {
+    constructor(x, y, vx, vy, radius, damage, color, owner) {
+        super(x, y, vx, vy, radius, damage, color, owner);
+        this.baseRadius = radius;
+    }
+    
+    update(deltaTime, bounds) {
+        const drag = Math.max(0, 1 - FLAME_DRAG * deltaTime);
+        this.vx *= drag;
+        this.vy *= drag;
+        this.radius = this.baseRadius * (1 + Math.min(1, this.age / this.lifetime) * FLAME_GROWTH);
+        super.update(deltaTime, bounds);
+    }
+    
+    render(ctx, imageLoader = null) {
+        const progress = Math.min(1, this.age / this.lifetime);
+        ctx.save();
+        ctx.globalAlpha = 0.8 * (1 - progress);
+        ctx.fillStyle = progress < 0.5 ? this.color : '#D84315'; // cools to a darker red
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.restore();
+    }
+}
+
+// RocketProjectile - slow rocket that turns toward the nearest enemy
+export class RocketProjectile extends Projectile {
+    constructor(x, y, vx, vy, radius, damage, color, owner, turnRate) {
+        super(x, y, vx, vy, radius, damage, color, owner);
+        this.turnRate = turnRate; // rad/s
+    }
+    
+    update(deltaTime, bounds, enemies = null) {
+        const target = this.findTarget(enemies);
+        if (target) {
+            const heading = Math.atan2(this.vy, this.vx);
+            const wanted = Math.atan2(target.y - this.y, target.x - this.x);
+            const delta = Math.atan2(Math.sin(wanted - heading), Math.cos(wanted - heading));
+            const maxTurn = this.turnRate * deltaTime;
+            const newHeading = heading + Utils.clamp(delta, -maxTurn, maxTurn);
+            const speed = Math.sqrt(this.vx * this.vx + this.vy * this.vy);
+            this.vx = Math.cos(newHeading) * speed;
+            this.vy = Math.sin(newHeading) * speed;
+        }
+        super.update(deltaTime, bounds);
+    }
+    
+    findTarget(enemies) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+        (enemies || []).forEach(enemy => {
+            if (!enemy.isAlive() || enemy.isDying) return;
+            const distance = Utils.distance(this.x, this.y, enemy.x, enemy.y);
+            if (distance < nearestDistance) {
+                nearest = enemy;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+    
+    render(ctx, imageLoader = null) {
+        ctx.save();
+        ctx.translate(this.x, this.y);
+        ctx.rotate(Math.atan2(this.vy, this.vx));
+        
+        // Flickering exhaust behind the body
+        ctx.fillStyle = '#FF9800';
+        ctx.beginPath();
+        ctx.moveTo(-this.radius, -this.radius * 0.5);
+        ctx.lineTo(-this.radius * (2 + Math.random()), 0);
+        ctx.lineTo(-this.radius, this.radius * 0.5);
+        ctx.closePath();
+        ctx.fill();
+        
+        ctx.fillStyle = this.color;
+        ctx.fillRect(-this.radius, -this.radius * 0.5, this.radius * 2, this.radius);
+        ctx.fillStyle = '#E53935'; // warhead
+        ctx.beginPath();
+        ctx.moveTo(this.radius, -this.radius * 0.5);
+        ctx.lineTo(this.radius * 1.6, 0);
+        ctx.lineTo(this.radius, this.radius * 0.5);
+        ctx.closePath();
+        ctx.fill();
+        ctx.restore();
+    }
+}
+
 // ShooterBullet - enemy projectile with lifetime
 export class ShooterBullet extends Projectile {
     constructor(x, y, vx, vy, radius, damage, color, owner) {
@@ -1396,6 +2225,157 @@ export class ShooterBullet extends Projectile {
     // No need to override update - parent class handles lifetime properly
 }
 
+// Expected shape of a weapon definition, checked like enemy definitions
+const WEAPON_DEFINITION_SCHEMA = {
+    name: { type: 'string', required: true },
+    fireRate: { type: 'number', min: 0, required: true }, // seconds between shots
+    ammo: { type: 'integer', min: -1 }, // -1 for infinite
+    magazine: { type: 'integer', min: 1 }, // rounds per reload
+    reloadTime: { type: 'number', min: 0 }, // seconds
+    projectile: {
+        type: 'object',
+        fields: {
+            type: { type: 'string' }, // one of PROJECTILE_KINDS
+            speed: { type: 'number', min: 0, required: true }, // pt/s
+            radius: { type: 'number', min: 0.5, required: true }, // pt
+            damage: { type: 'number', min: 0 },
+            color: { type: 'string' },
+            lifetime: { type: 'number', min: 0 }, // seconds
+            pellets: { type: 'integer', min: 1 },
+            spread: { type: 'number', min: 0 }, // degrees
+            fuse: { type: 'number', min: 0 }, // seconds, grenades only
+            pierce: { type: 'integer', min: -1 }, // extra enemies passed through, -1 for all
+            burn: {
+                type: 'object',
+                fields: {
+                    damage: { type: 'number', min: 0, required: true }, // per tick
+                    duration: { type: 'number', min: 0, required: true }, // seconds
+                    interval: { type: 'number', min: 0.05 } // seconds between ticks
+                }
+            },
+            turnRate: { type: 'number', min: 0 } // rad/s, rockets only
+        }
+    },
+    melee: {
+        type: 'object',
+        fields: {
+            arc: { type: 'number', min: 1, required: true }, // degrees
+            range: { type: 'number', min: 1, required: true }, // pt
+            damage: { type: 'number', min: 0 },
+            effectDuration: { type: 'number', min: 0 } // seconds
+        }
+    },
+    area: {
+        type: 'object',
+        fields: {
+            radius: { type: 'number', min: 1, required: true }, // pt
+            damage: { type: 'number', min: 0 },
+            effectDuration: { type: 'number', min: 0 } // seconds
+        }
+    },
+    heat: {
+        type: 'object',
+        fields: {
+            perShot: { type: 'number', min: 0, required: true }, // of a full meter (1)
+            coolRate: { type: 'number', min: 0, required: true }, // per second
+            resumeAt: { type: 'number', min: 0 } // heat at which an overheated weapon fires again
+        }
+    }
+};
+
+// Projectile kinds a weapon definition can fire
+const PROJECTILE_KINDS = ['bullet', 'grenade', 'flame', 'rocket'];
+
+// Schema errors for one weapon definition, as readable strings; empty when valid
+export function validateWeaponDefinition(key, definition) {
+    if (!matchesSchemaType(definition, 'object')) return [`${key} must be an object`];
+    const errors = [];
+    checkSchema(definition, WEAPON_DEFINITION_SCHEMA, key, errors);
+    
+    if (!definition.projectile && !definition.melee) {
+        errors.push(`${key} needs a projectile or melee block to fire`);
+    }
+    const kind = definition.projectile?.type;
+    if (typeof kind === 'string' && !PROJECTILE_KINDS.includes(kind)) {
+        errors.push(`${key}.projectile.type "${kind}" is not one of: ${PROJECTILE_KINDS.join(', ')}`);
+    }
+    if (definition.area && kind !== 'grenade') {
+        errors.push(`${key}.area needs a grenade projectile to set it off`);
+    }
+    return errors;
+}
+
+// Fill in optional fields so weapon components can read a definition without checks
+function normalizeWeaponDefinition(definition) {
+    const normalized = { ammo: -1, magazine: 0, reloadTime: 1.5, ...definition };
+    if (definition.projectile) {
+        normalized.projectile = {
+            type: 'bullet', damage: 1, color: '#FFFF00', lifetime: 3.0, pellets: 1, spread: 0, fuse: 0.7,
+            pierce: 0, turnRate: 3,
+            ...definition.projectile
+        };
+        if (definition.projectile.burn) {
+            normalized.projectile.burn = { interval: 0.5, ...definition.projectile.burn };
+        }
+    }
+    if (definition.melee) normalized.melee = { damage: 1, effectDuration: 0.5, ...definition.melee };
+    if (definition.area) normalized.area = { damage: 1, effectDuration: 0.3, ...definition.area };
+    if (definition.heat) normalized.heat = { resumeAt: 0, ...definition.heat };
+    return normalized;
+}
+
+// Weapon Registry: key → class, built from the weapon list in order
+export const WEAPON_REGISTRY = {};
+
+// Replace WEAPON_REGISTRY with the valid weapons from a list keyed by weapon. Invalid
+// definitions are skipped; the registry is left alone if none is valid. Returns the
+// schema errors.
+export function registerWeaponDefinitions(definitions) {
+    if (!matchesSchemaType(definitions, 'object')) return ['weapons must be an object of definitions by key'];
+    const errors = [];
+    const weapons = {};
+    Object.entries(definitions).forEach(([key, definition]) => {
+        const definitionErrors = validateWeaponDefinition(key, definition);
+        if (definitionErrors.length > 0) {
+            errors.push(...definitionErrors);
+            return;
+        }
+        const normalized = normalizeWeaponDefinition(definition);
+        weapons[key] = class extends Weapon {
+            constructor() {
+                super(key, normalized);
+            }
+        };
+        weapons[key].definition = normalized;
+    });
+    
+    if (Object.keys(weapons).length === 0) {
+        errors.push('no valid weapons, keeping the current list');
+        return errors;
+    }
+    Object.keys(WEAPON_REGISTRY).forEach(key => delete WEAPON_REGISTRY[key]);
+    Object.assign(WEAPON_REGISTRY, weapons);
+    return errors;
+}
+
+registerWeaponDefinitions(DEFAULT_WEAPON_DEFINITIONS);
+
+// Weapons the controls ask for by role rather than by key: the fist gesture and voice
+// "knife" (melee), the swipe-up throw and voice "grenade" (grenade) and the haste pickup
+// (sidearm). A role is filled by the first weapon in list order whose blocks match.
+export const WEAPON_ROLES = {
+    melee: definition => !!definition.melee,
+    grenade: definition => definition.projectile?.type === 'grenade',
+    sidearm: definition => definition.projectile?.type === 'bullet' && definition.ammo === -1
+};
+
+// Key of the weapon filling a role, from weapons or weapon classes by key; null if none
+export function findWeaponKey(role, weapons = WEAPON_REGISTRY) {
+    const matches = WEAPON_ROLES[role];
+    if (!matches) return null;
+    return Object.keys(weapons).find(key => matches(weapons[key].definition)) ?? null;
+}
+
 // Pickup System
 const PICKUP_RADIUS = 28;
 
@@ -1403,7 +2383,21 @@ export const PICKUP_TYPES = {
     MG_AMMO: 'mg_ammo',
     GRENADE: 'grenade',
     HEAL: 'heal',
-    PISTOL_HASTE: 'pistol_haste'
+    PISTOL_HASTE: 'pistol_haste',
+    SHOTGUN_AMMO: 'shotgun_ammo',
+    RIFLE_AMMO: 'rifle_ammo',
+    FLAMETHROWER_FUEL: 'flamethrower_fuel',
+    ROCKET_AMMO: 'rocket_ammo'
+};
+
+// Ammo pickups: the weapon each one refills and by how much
+export const AMMO_PICKUPS = {
+    [PICKUP_TYPES.MG_AMMO]: { weapon: 'machine_gun', amount: 20 },
+    [PICKUP_TYPES.GRENADE]: { weapon: 'grenade', amount: 5 },
+    [PICKUP_TYPES.SHOTGUN_AMMO]: { weapon: 'shotgun', amount: 12 },
+    [PICKUP_TYPES.RIFLE_AMMO]: { weapon: 'rifle', amount: 8 },
+    [PICKUP_TYPES.FLAMETHROWER_FUEL]: { weapon: 'flamethrower', amount: 100 },
+    [PICKUP_TYPES.ROCKET_AMMO]: { weapon: 'rockets', amount: 3 }
 };
 
 export class Pickup extends Entity {
@@ -1422,6 +2416,10 @@ export class Pickup extends Entity {
             case PICKUP_TYPES.GRENADE: return 'pickup_grenade';
             case PICKUP_TYPES.HEAL: return 'pickup_heal';
             case PICKUP_TYPES.PISTOL_HASTE: return 'pickup_haste';
+            case PICKUP_TYPES.SHOTGUN_AMMO: return 'pickup_shotgun';
+            case PICKUP_TYPES.RIFLE_AMMO: return 'pickup_rifle';
+            case PICKUP_TYPES.FLAMETHROWER_FUEL: return 'pickup_fuel';
+            case PICKUP_TYPES.ROCKET_AMMO: return 'pickup_rockets';
             default: return null;
         }
     }
@@ -1504,6 +2502,48 @@ export class Pickup extends Entity {
                 ctx.stroke();
                 break;
             }
+            case PICKUP_TYPES.SHOTGUN_AMMO: {
+                // Two red shells with brass bases
+                const sw = 5 * scale, sh = 12 * scale;
+                for (const offset of [-4 * scale, 4 * scale]) {
+                    ctx.fillStyle = '#C62828';
+                    ctx.fillRect(this.x + offset - sw/2, this.y - sh/2, sw, sh);
+                    ctx.fillStyle = '#FFD54F';
+                    ctx.fillRect(this.x + offset - sw/2, this.y + sh/2 - 3 * scale, sw, 3 * scale);
+                }
+                break;
+            }
+            case PICKUP_TYPES.RIFLE_AMMO: {
+                // One long silver round
+                ctx.fillStyle = '#E0E0E0';
+                ctx.beginPath();
+                ctx.roundRect(this.x - 2.5 * scale, this.y - 8 * scale, 5 * scale, 16 * scale, 2.5 * scale);
+                ctx.fill();
+                break;
+            }
+            case PICKUP_TYPES.FLAMETHROWER_FUEL: {
+                // Orange flame
+                ctx.fillStyle = '#FF7043';
+                ctx.beginPath();
+                ctx.moveTo(this.x, this.y - 9 * scale);
+                ctx.quadraticCurveTo(this.x + 8 * scale, this.y, this.x, this.y + 8 * scale);
+                ctx.quadraticCurveTo(this.x - 8 * scale, this.y, this.x, this.y - 9 * scale);
+                ctx.fill();
+                break;
+            }
+            case PICKUP_TYPES.ROCKET_AMMO: {
+                // Grey rocket with a red tip
+                ctx.fillStyle = '#B0BEC5';
+                ctx.fillRect(this.x - 3 * scale, this.y - 4 * scale, 6 * scale, 11 * scale);
+                ctx.fillStyle = '#E53935';
+                ctx.beginPath();
+                ctx.moveTo(this.x - 3 * scale, this.y - 4 * scale);
+                ctx.lineTo(this.x, this.y - 9 * scale);
+                ctx.lineTo(this.x + 3 * scale, this.y - 4 * scale);
+                ctx.closePath();
+                ctx.fill();
+                break;
+            }
         }
         ctx.restore();
     }
@@ -3,15 +3,30 @@ const ARENA_WIDTH = 1200;
 const ARENA_HEIGHT = 800;
 const TARGET_FPS = 60;
 const MIN_FPS = 55;
-const ENEMY_SPAWN_INTERVAL = 2.0; // seconds
 const SPAWN_SAFETY_DISTANCE = 150; // ptd
 // Add pickup constants
 const PICKUP_SPAWN_INTERVAL = 8.0; // seconds
 const PICKUP_SAFE_DISTANCE = 50; // pt
 const PICKUP_RADIUS = 28; // pt
-import { EventBus, InputManager, KeyboardMouseProvider, GestureProvider, VoiceProvider, CollisionSystem, Utils, ImageLoader, SoundManager } from './core.js';
-import { Player, ENEMY_REGISTRY, WEAPON_REGISTRY, Projectile, Pickup, PICKUP_TYPES } from './gameplay.js';
-import { GestureInputManager } from './core.js';
+const GESTURE_AUTO_AIM_RANGE = 450; // pt, one-handed gesture scheme
+const FATIGUE_AIM_REGION_GROWTH = 0.5; // extra aim region size at full fatigue assistance
+const FATIGUE_AUTO_AIM_GROWTH = 0.5; // extra auto-aim range at full fatigue assistance
+const BREAK_REMINDER_INTERVAL = 180; // seconds between break reminders while fatigued
+// MediaPipe location; point at e.g. 'vendor/mediapipe/' to self-host (or pass ?mediapipeBase=)
+const MEDIAPIPE_BASE_URL = 'https://cdn.jsdelivr.net/npm/@mediapipe/';
+const MEDIAPIPE_LOAD_TIMEOUT = 15; // seconds
+const WAVE_BANNER_DURATION = 2500; // ms
+// How a weapon role reads in "No ..." messages when no weapon fills it
+const WEAPON_ROLE_LABELS = { melee: 'melee weapon', grenade: 'grenades', sidearm: 'sidearm' };
+// Camera widget layout
+const CAMERA_WIDGET_STORAGE_KEY = 'gestureShooter.cameraWidget';
+const CAMERA_WIDGET_SIZES = { small: 160, medium: 240, large: 360 }; // px wide
+const CAMERA_WIDGET_CORNERS = ['bottom-right', 'bottom-left', 'top-left', 'top-right'];
+const CAMERA_WIDGET_OPACITIES = [0.35, 0.7, 1];
+const DEFAULT_CAMERA_WIDGET = { visible: true, size: 'medium', corner: 'bottom-right', opacity: 0.7 };
+import { EventBus, InputManager, ControlBindings, GESTURE_ACTIONS, AimAssist, KeyboardMouseProvider, GamepadProvider, TouchProvider, GestureProvider, VoiceProvider, CollisionSystem, Utils, ImageLoader, DataLoader, SoundManager, DifficultyDirector, DEFAULT_DIFFICULTY_CURVE, WaveManager, DEFAULT_WAVES } from './core.js';
+import { Player, ENEMY_REGISTRY, registerEnemyDefinitions, getEnemyImages, WEAPON_REGISTRY, registerWeaponDefinitions, WEAPON_ROLES, findWeaponKey, Projectile, Pickup, PICKUP_TYPES, AMMO_PICKUPS } from './gameplay.js';
+import { GestureInputManager, GestureCalibration, GestureRecorder, GestureReplaySource, FatigueMonitor, FATIGUE_LEVELS } from './core.js';
 
 // Game States
 export const GAME_STATES = {
@@ -48,6 +63,512 @@ class GameStateMachine {
     }
 }
 
+// Game modes: endless trickle paced by the difficulty director, or authored waves
+const GAME_MODE_LABELS = {
+    endless: 'Endless',
+    waves: 'Waves'
+};
+
+// Labels for the controls screen
+const KEY_ACTION_LABELS = {
+    up: 'Move Up',
+    down: 'Move Down',
+    left: 'Move Left',
+    right: 'Move Right',
+    fire: 'Fire',
+    pickup: 'Pick Up',
+    switchWeapon: 'Switch Weapon',
+    reload: 'Reload',
+    pause: 'Pause',
+    creatorMode: 'Creator Mode'
+};
+const GESTURE_LABELS = {
+    movePinch: 'Movement-hand pinch',
+    aimPinch: 'Aim-hand pinch',
+    fist: 'Fist',
+    openPalm: 'Open palm (hold still)',
+    point: 'Point',
+    vSign: 'V-sign',
+    swipeLeft: 'Swipe left',
+    swipeRight: 'Swipe right',
+    swipeUp: 'Swipe up',
+    swipeDown: 'Swipe down'
+};
+const GESTURE_ACTION_LABELS = {
+    none: 'Nothing',
+    pickup: 'Pick Up',
+    switchWeapon: 'Switch Weapon',
+    fire: 'Fire',
+    pause: 'Pause',
+    reload: 'Reload',
+    throwGrenade: 'Throw Grenade',
+    selectKnife: 'Equip Knife',
+    selectGrenade: 'Equip Grenade'
+};
+
+const FILTER_LABELS = {
+    none: 'Off',
+    ema: 'EMA',
+    oneEuro: 'One Euro',
+    kalman: 'Kalman'
+};
+const FILTER_SIGNAL_LABELS = {
+    aim: 'Aim smoothing',
+    move: 'Movement smoothing'
+};
+const CONTROL_SCHEME_LABELS = {
+    standard: 'Standard (left hand moves)',
+    leftHanded: 'Left-handed (right hand moves)',
+    oneHanded: 'One hand + auto-aim'
+};
+const AUTO_PAUSE_LABELS = {
+    0: 'Off',
+    1: 'After 1 s',
+    2: 'After 2 s',
+    4: 'After 4 s'
+};
+const AIM_ASSIST_DEVICE_LABELS = {
+    gesture: 'Gestures',
+    gamepad: 'Gamepad',
+    touch: 'Touch',
+    'keyboard-mouse': 'Mouse'
+};
+const AIM_ASSIST_LEVEL_LABELS = {
+    off: 'Off',
+    low: 'Low',
+    medium: 'Medium',
+    high: 'High'
+};
+const CAMERA_SIZE_LABELS = {
+    small: 'Small',
+    medium: 'Medium',
+    large: 'Large'
+};
+const CAMERA_CORNER_LABELS = {
+    'bottom-right': 'Bottom right',
+    'bottom-left': 'Bottom left',
+    'top-left': 'Top left',
+    'top-right': 'Top right'
+};
+const CAMERA_OPACITY_LABELS = {
+    0.35: 'Faint',
+    0.7: 'Translucent',
+    1: 'Solid'
+};
+const RESPONSE_CURVE_LABELS = {
+    linear: 'Linear',
+    smooth: 'Smooth',
+    precise: 'Precise (slow near center)'
+};
+
+// Controls screen: rebinding keys/gestures, with conflict warnings and reset
+class ControlsScreen {
+    constructor(bindings, cameraWidget = null) {
+        this.bindings = bindings;
+        this.cameraWidget = cameraWidget;
+        this.modal = document.getElementById('controlsModal');
+        this.keyTable = document.getElementById('keyBindingsTable');
+        this.gestureTable = document.getElementById('gestureBindingsTable');
+        this.tuningTable = document.getElementById('gestureTuningTable');
+        this.aimAssistTable = document.getElementById('aimAssistTable');
+        this.cameraTable = document.getElementById('cameraWidgetTable');
+        this.message = document.getElementById('controlsMessage');
+        this.onClose = null;
+        this.capture = null; // { action, slot, button } while waiting for a key
+        
+        this.boundCapture = {
+            keydown: this.handleCaptureKey.bind(this),
+            mousedown: this.handleCaptureMouse.bind(this)
+        };
+        
+        document.getElementById('btnResetControls')?.addEventListener('click', () => {
+            this.cancelCapture();
+            this.bindings.resetToDefaults();
+            this.showMessage('Controls reset to defaults');
+            this.render();
+        });
+        document.getElementById('btnCloseControls')?.addEventListener('click', () => this.close());
+    }
+    
+    open(onClose = null) {
+        if (!this.modal) return;
+        this.onClose = onClose;
+        this.showMessage('');
+        this.render();
+        this.modal.classList.remove('hidden');
+    }
+    
+    close() {
+        this.cancelCapture();
+        this.modal?.classList.add('hidden');
+        this.onClose?.();
+        this.onClose = null;
+    }
+    
+    render() {
+        const conflictCodes = new Set();
+        const conflictGestures = new Set();
+        this.bindings.findConflicts().forEach(conflict => {
+            if (conflict.code) conflictCodes.add(conflict.code);
+            conflict.gestures?.forEach(gesture => conflictGestures.add(gesture));
+        });
+        
+        // Key bindings: two slots per action
+        this.keyTable.innerHTML = '';
+        Object.entries(KEY_ACTION_LABELS).forEach(([action, label]) => {
+            const row = this.keyTable.insertRow();
+            row.insertCell().textContent = label;
+            for (let slot = 0; slot < 2; slot++) {
+                const code = this.bindings.keys[action]?.[slot];
+                const button = document.createElement('button');
+                button.className = 'binding-btn';
+                button.textContent = code ? ControlBindings.describeCode(code) : '—';
+                if (code && conflictCodes.has(code)) button.classList.add('conflict');
+                button.addEventListener('click', (event) => {
+                    event.stopPropagation();
+                    this.startCapture(action, slot, button);
+                });
+                row.insertCell().appendChild(button);
+            }
+        });
+        
+        // Gesture bindings: one action per gesture
+        this.gestureTable.innerHTML = '';
+        Object.entries(GESTURE_LABELS).forEach(([gesture, label]) => {
+            const row = this.gestureTable.insertRow();
+            row.insertCell().textContent = label;
+            const select = document.createElement('select');
+            GESTURE_ACTIONS.forEach(action => {
+                const option = document.createElement('option');
+                option.value = action;
+                option.textContent = GESTURE_ACTION_LABELS[action] || action;
+                select.appendChild(option);
+            });
+            select.value = this.bindings.gestures[gesture];
+            if (conflictGestures.has(gesture)) select.style.borderColor = '#e53935';
+            select.addEventListener('change', () => {
+                this.bindings.setGestureBinding(gesture, select.value);
+                this.render();
+            });
+            row.insertCell().appendChild(select);
+        });
+        
+        this.renderGestureTuning();
+        this.renderAimAssist();
+        this.renderCameraWidget();
+    }
+    
+    // Gesture tuning: movement response, smoothing filter per signal, latency compensation
+    renderGestureTuning() {
+        if (!this.tuningTable) return;
+        this.tuningTable.innerHTML = '';
+        this.addSelectRow('Control scheme', CONTROL_SCHEME_LABELS, this.bindings.gestureScheme,
+            (value) => this.bindings.setGestureScheme(value));
+        this.addSelectRow('Movement response', RESPONSE_CURVE_LABELS, this.bindings.gestureMovement.responseCurve,
+            (value) => this.bindings.setResponseCurve(value));
+        this.addSelectRow('Pause when hands leave', AUTO_PAUSE_LABELS, this.bindings.autoPauseDelay,
+            (value) => this.bindings.setAutoPauseDelay(Number(value)));
+        this.addCheckboxRow('Ease aiming when tired', this.bindings.fatigueAssist,
+            (checked) => this.bindings.setFatigueAssist(checked));
+        this.addCheckboxRow('Joystick ring', this.bindings.gestureMovement.joystickRing,
+            (checked) => this.bindings.setJoystickRing(checked));
+        Object.entries(FILTER_SIGNAL_LABELS).forEach(([signal, label]) => {
+            this.addSelectRow(label, FILTER_LABELS, this.bindings.filters[signal],
+                (value) => this.bindings.setFilter(signal, value));
+        });
+        this.addCheckboxRow('Latency compensation', this.bindings.filters.latencyCompensation,
+            (checked) => this.bindings.setLatencyCompensation(checked));
+    }
+    
+    // Aim assist: one strength level per input device
+    renderAimAssist() {
+        if (!this.aimAssistTable) return;
+        this.aimAssistTable.innerHTML = '';
+        Object.entries(AIM_ASSIST_DEVICE_LABELS).forEach(([device, label]) => {
+            this.addSelectRow(label, AIM_ASSIST_LEVEL_LABELS, this.bindings.aimAssist[device],
+                (value) => this.bindings.setAimAssist(device, value), this.aimAssistTable);
+        });
+    }
+    
+    // Camera preview layout; also adjustable from the widget's own buttons
+    renderCameraWidget() {
+        if (!this.cameraTable || !this.cameraWidget) return;
+        this.cameraTable.innerHTML = '';
+        const widget = this.cameraWidget;
+        this.addCheckboxRow('Show camera', widget.settings.visible,
+            (checked) => widget.set('visible', checked), this.cameraTable);
+        this.addSelectRow('Size', CAMERA_SIZE_LABELS, widget.settings.size,
+            (value) => widget.set('size', value), this.cameraTable);
+        this.addSelectRow('Corner', CAMERA_CORNER_LABELS, widget.settings.corner,
+            (value) => widget.set('corner', value), this.cameraTable);
+        this.addSelectRow('Opacity', CAMERA_OPACITY_LABELS, widget.settings.opacity,
+            (value) => widget.set('opacity', Number(value)), this.cameraTable);
+    }
+    
+    addSelectRow(label, options, value, onChange, table = this.tuningTable) {
+        const row = table.insertRow();
+        row.insertCell().textContent = label;
+        const select = document.createElement('select');
+        Object.entries(options).forEach(([optionValue, optionLabel]) => {
+            const option = document.createElement('option');
+            option.value = optionValue;
+            option.textContent = optionLabel;
+            select.appendChild(option);
+        });
+        select.value = String(value);
+        select.addEventListener('change', () => onChange(select.value));
+        row.insertCell().appendChild(select);
+    }
+    
+    addCheckboxRow(label, checked, onChange, table = this.tuningTable) {
+        const row = table.insertRow();
+        row.insertCell().textContent = label;
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = checked;
+        checkbox.addEventListener('change', () => onChange(checkbox.checked));
+        row.insertCell().appendChild(checkbox);
+    }
+    
+    startCapture(action, slot, button) {
+        this.cancelCapture();
+        this.capture = { action, slot, button };
+        button.textContent = 'Press a key…';
+        button.classList.add('capturing');
+        // Capture phase so gameplay key handlers never see the key
+        window.addEventListener('keydown', this.boundCapture.keydown, true);
+        window.addEventListener('mousedown', this.boundCapture.mousedown, true);
+    }
+    
+    cancelCapture() {
+        if (!this.capture) return;
+        window.removeEventListener('keydown', this.boundCapture.keydown, true);
+        window.removeEventListener('mousedown', this.boundCapture.mousedown, true);
+        this.capture = null;
+        this.render();
+    }
+    
+    handleCaptureKey(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        const { action, slot } = this.capture;
+        if (event.code === 'Escape') {
+            this.cancelCapture();
+        } else if (event.code === 'Backspace') {
+            this.bindings.clearKeyBinding(action, slot);
+            this.cancelCapture();
+        } else {
+            this.applyCapture(action, slot, event.code);
+        }
+    }
+    
+    handleCaptureMouse(event) {
+        // Only clicks on the capturing button itself bind a mouse button
+        if (event.target !== this.capture.button) {
+            this.cancelCapture();
+            return;
+        }
+        event.preventDefault();
+        event.stopPropagation();
+        const { action, slot } = this.capture;
+        this.applyCapture(action, slot, `Mouse${event.button}`);
+    }
+    
+    applyCapture(action, slot, code) {
+        const stolenFrom = this.bindings.setKeyBinding(action, slot, code);
+        if (stolenFrom) {
+            this.showMessage(`${ControlBindings.describeCode(code)} was bound to ${KEY_ACTION_LABELS[stolenFrom]}; it now only does ${KEY_ACTION_LABELS[action]}`);
+        } else {
+            this.showMessage('');
+        }
+        this.cancelCapture();
+    }
+    
+    showMessage(text) {
+        if (this.message) this.message.textContent = text;
+    }
+}
+
+// Gesture calibration wizard: walks the player through GestureCalibration steps using
+// live camera frames, then applies and saves the resulting profile
+class CalibrationScreen {
+    constructor(gestureInput) {
+        this.gestureInput = gestureInput;
+        this.modal = document.getElementById('calibrationModal');
+        this.stepLabel = document.getElementById('calibrationStep');
+        this.prompt = document.getElementById('calibrationPrompt');
+        this.progress = document.getElementById('calibrationProgress');
+        this.startButton = document.getElementById('btnStartCalibration');
+        this.calibration = null;
+        this.onClose = null;
+        this.handleFrame = this.handleFrame.bind(this);
+        
+        this.startButton?.addEventListener('click', () => this.start());
+        document.getElementById('btnResetCalibration')?.addEventListener('click', () => this.resetToDefaults());
+        document.getElementById('btnCloseCalibration')?.addEventListener('click', () => this.close());
+    }
+    
+    open(onClose = null) {
+        if (!this.modal) return;
+        this.onClose = onClose;
+        this.setProgress(0);
+        this.stepLabel.textContent = '';
+        this.prompt.textContent = this.gestureInput.initialized
+            ? 'Stand where you normally play, then press Start. Each step records once your hands are in view.'
+            : 'The camera is not available, so gestures cannot be calibrated.';
+        this.startButton.disabled = !this.gestureInput.initialized;
+        this.modal.classList.remove('hidden');
+    }
+    
+    close() {
+        this.stop();
+        this.modal?.classList.add('hidden');
+        this.onClose?.();
+        this.onClose = null;
+    }
+    
+    start() {
+        this.stop();
+        this.calibration = new GestureCalibration(undefined, this.gestureInput.getCalibrationRoles());
+        this.gestureInput.eventBus.on('gestureFrame', this.handleFrame);
+        this.startButton.textContent = 'Restart';
+        this.renderStep();
+    }
+    
+    stop() {
+        this.gestureInput.eventBus.off('gestureFrame', this.handleFrame);
+        this.calibration = null;
+        this.startButton.textContent = 'Start';
+    }
+    
+    handleFrame({ results, timestamp }) {
+        if (!this.calibration) return;
+        const finished = this.calibration.feed(results, timestamp);
+        if (finished) {
+            this.finish(this.calibration.profile);
+        } else {
+            this.renderStep();
+        }
+    }
+    
+    renderStep() {
+        const step = this.calibration.getCurrentStep();
+        if (!step) return;
+        const index = this.calibration.stepIndex;
+        this.stepLabel.textContent = `Step ${index + 1} of ${this.calibration.steps.length}`;
+        this.prompt.textContent = step.prompt;
+        this.setProgress((index + this.calibration.getStepProgress()) / this.calibration.steps.length);
+    }
+    
+    finish(profile) {
+        this.stop();
+        this.gestureInput.applyProfile(profile);
+        GestureCalibration.saveProfile(profile);
+        
+        const calibrated = [];
+        if (profile.center) calibrated.push('movement center');
+        if (profile.leftPinch || profile.rightPinch) calibrated.push('pinch thresholds');
+        if (profile.aimRect) calibrated.push('aim region');
+        this.setProgress(1);
+        this.stepLabel.textContent = 'Done';
+        this.prompt.textContent = calibrated.length > 0
+            ? `Saved your ${calibrated.join(', ')}. Parts that could not be measured keep their defaults.`
+            : 'Nothing could be measured reliably; defaults are kept. Try again with better lighting.';
+    }
+    
+    resetToDefaults() {
+        this.stop();
+        GestureCalibration.clearProfile();
+        this.gestureInput.resetProfile();
+        this.setProgress(0);
+        this.stepLabel.textContent = '';
+        this.prompt.textContent = 'Calibration cleared; default gesture settings restored.';
+    }
+    
+    setProgress(fraction) {
+        if (this.progress) this.progress.style.width = `${Math.round(fraction * 100)}%`;
+    }
+}
+
+// In-game camera widget around the #gesture-cam preview and its #gesture-overlay: can be
+// hidden, resized, moved between screen corners and faded. Settings persist in localStorage.
+class CameraWidget {
+    constructor(storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+        this.storage = storage;
+        this.element = document.getElementById('gestureWidget');
+        this.showButton = document.getElementById('btnWidgetShow');
+        this.settings = { ...DEFAULT_CAMERA_WIDGET };
+        this.available = true; // false while hand tracking has failed
+        this.load();
+        
+        document.getElementById('btnWidgetSize')?.addEventListener('click', () => {
+            const sizes = Object.keys(CAMERA_WIDGET_SIZES);
+            this.set('size', sizes[(sizes.indexOf(this.settings.size) + 1) % sizes.length]);
+        });
+        document.getElementById('btnWidgetCorner')?.addEventListener('click', () => {
+            const corners = CAMERA_WIDGET_CORNERS;
+            this.set('corner', corners[(corners.indexOf(this.settings.corner) + 1) % corners.length]);
+        });
+        document.getElementById('btnWidgetOpacity')?.addEventListener('click', () => {
+            const opacities = CAMERA_WIDGET_OPACITIES;
+            this.set('opacity', opacities[(opacities.indexOf(this.settings.opacity) + 1) % opacities.length]);
+        });
+        document.getElementById('btnWidgetHide')?.addEventListener('click', () => this.set('visible', false));
+        this.showButton?.addEventListener('click', () => this.set('visible', true));
+        this.apply();
+    }
+    
+    load() {
+        if (!this.storage) return;
+        try {
+            const saved = JSON.parse(this.storage.getItem(CAMERA_WIDGET_STORAGE_KEY) || 'null');
+            if (!saved) return;
+            if (typeof saved.visible === 'boolean') this.settings.visible = saved.visible;
+            if (saved.size in CAMERA_WIDGET_SIZES) this.settings.size = saved.size;
+            if (CAMERA_WIDGET_CORNERS.includes(saved.corner)) this.settings.corner = saved.corner;
+            if (CAMERA_WIDGET_OPACITIES.includes(saved.opacity)) this.settings.opacity = saved.opacity;
+        } catch (error) {
+            console.warn('Failed to load camera widget settings, using defaults:', error);
+        }
+    }
+    
+    save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(CAMERA_WIDGET_STORAGE_KEY, JSON.stringify(this.settings));
+        } catch (error) {
+            console.warn('Failed to save camera widget settings:', error);
+        }
+    }
+    
+    set(key, value) {
+        this.settings[key] = value;
+        this.save();
+        this.apply();
+    }
+    
+    // Hide everything while there is no camera feed to show
+    setAvailable(available) {
+        this.available = available;
+        this.apply();
+    }
+    
+    apply() {
+        if (!this.element) return;
+        const { visible, size, corner, opacity } = this.settings;
+        const cornerClass = `corner-${corner}`;
+        [this.element, this.showButton].forEach(element => {
+            if (!element) return;
+            CAMERA_WIDGET_CORNERS.forEach(name => element.classList.remove(`corner-${name}`));
+            element.classList.add(cornerClass);
+        });
+        this.element.style.width = `${CAMERA_WIDGET_SIZES[size]}px`;
+        this.element.style.opacity = opacity;
+        this.element.classList.toggle('hidden', !this.available || !visible);
+        this.showButton?.classList.toggle('hidden', !this.available || visible);
+    }
+}
+
 // Main Game Class
 class Game {
     constructor() {
@@ -58,7 +579,28 @@ class Game {
         this.eventBus = new EventBus();
         this.imageLoader = new ImageLoader();
         this.soundManager = new SoundManager();
-        this.gestureInput = new GestureInputManager();
+        this.gestureInput = new GestureInputManager(this.eventBus);
+        this.gestureRecorder = new GestureRecorder(this.eventBus);
+        this.gestureReplay = null;
+        this.gestureRetrying = false;
+        // Auto-pause on lost hand tracking: armed once hands have been seen
+        this.gestureHandsSeen = false;
+        this.trackingLostTimer = 0;
+        this.pauseReason = null; // 'command', 'tracking' or 'hidden' while PAUSED
+        this.fatigueMonitor = new FatigueMonitor(this.eventBus);
+        this.breakReminderTimer = 0;
+        this.controlBindings = new ControlBindings();
+        this.aimAssist = new AimAssist(this.controlBindings.aimAssist);
+        this.dataLoader = new DataLoader();
+        this.difficultyDirector = new DifficultyDirector();
+        this.waveManager = new WaveManager(this.eventBus);
+        this.gameMode = 'endless';
+        this.waveBannerTimeout = null;
+        this.bossPhaseAnnounced = 0;
+        this.aim = null; // assisted aim for this frame
+        this.controlsScreen = null;
+        this.calibrationScreen = null;
+        this.cameraWidget = null;
         
         // Game objects
         this.player = null;
@@ -68,7 +610,7 @@ class Game {
         
         // Game state
         this.killCount = 0;
-        this.enemySpawnTimer = 0;
+        this.score = 0;
         this.pickupSpawnTimer = 0;
         this.creatorMode = false;
         
@@ -88,21 +630,18 @@ class Game {
         // HUD elements
         this.hudElements = {
             healthHearts: null,
-            pistolSlot: null,
-            machinegunSlot: null,
+            weaponSlots: {}, // weapon key → HUD slot
             gameOverScreen: null,
             restartButton: null,
             toast: null,
-            pistolHasteCountdown: null
+            pistolHasteCountdown: null,
+            inputSources: null
         };
         
         // track nearest pickup in range for prompt and interaction
         this.pickupCandidate = null;
         
         this.isRunning = false;
-        
-        // Track the last state of the left hand pinch, used for edge triggering.
-        this.prevLeftPinchActive = false;
     }
     
     async init() {
@@ -127,20 +666,39 @@ class Game {
         // Setup canvas
         this.setupCanvas();
         
-        // Load images
+        // Load data first: enemy definitions name the sprite sheets to load
+        await this.loadData();
         await this.loadImages();
+        
+        // ?mode=waves starts in wave mode
+        const mode = new URLSearchParams(window.location.search).get('mode');
+        if (mode in GAME_MODE_LABELS) this.gameMode = mode;
 
-        // Initialize gesture input
-        await this.gestureInput.init();
+        // Apply the player's saved gesture calibration, if any
+        this.gestureInput.applyProfile(GestureCalibration.loadProfile());
         // Map the unified coordinate space to the game canvas size
         this.gestureInput.setArenaSize(ARENA_WIDTH, ARENA_HEIGHT);
         
         // Get HUD elements
         this.setupHUD();
+        this.cameraWidget = new CameraWidget();
         
         // Setup input
         this.setupInput();
         
+        // Hand tracking loads in the background; keyboard and mouse work meanwhile
+        this.eventBus.on('gestureStatus', (status) => this.handleGestureStatus(status));
+        this.eventBus.on('trackingState', (event) => this.handleTrackingState(event));
+        this.eventBus.on('fatigueLevel', (event) => this.handleFatigueLevel(event));
+        this.eventBus.on('waveStarted', ({ wave, enemies }) => {
+            this.showWaveBanner(`Wave ${wave}`, `${enemies} enemies incoming`);
+        });
+        this.eventBus.on('waveCleared', ({ wave, nextIn }) => {
+            this.showWaveBanner(`Wave ${wave} cleared`, `Next wave in ${Math.round(nextIn)} s`);
+        });
+        this.fatigueMonitor.start();
+        this.initGestureInput();
+        
         // Initialize game objects
         this.initGameObjects();
         
@@ -170,19 +728,33 @@ class Game {
         this.resizeCanvas();
     }
     
+    async loadData() {
+        const enemies = await this.dataLoader.load('enemies.json', null);
+        if (enemies) {
+            const errors = registerEnemyDefinitions(enemies.enemies);
+            errors.forEach(error => console.error(`❌ Invalid enemy definition in enemies.json: ${error}`));
+        }
+        const weapons = await this.dataLoader.load('weapons.json', null);
+        if (weapons) {
+            const errors = registerWeaponDefinitions(weapons.weapons);
+            errors.forEach(error => console.error(`❌ Invalid weapon definition in weapons.json: ${error}`));
+            Object.keys(WEAPON_ROLES).filter(role => !findWeaponKey(role)).forEach(role => {
+                console.warn(`⚠️ No weapon in weapons.json is a ${WEAPON_ROLE_LABELS[role]}; its controls will do nothing`);
+            });
+        }
+        const difficulty = await this.dataLoader.load('difficulty.json', DEFAULT_DIFFICULTY_CURVE);
+        this.difficultyDirector.setCurve(difficulty);
+        const waves = await this.dataLoader.load('waves.json', DEFAULT_WAVES);
+        this.waveManager.setDefinition(waves);
+    }
+    
     async loadImages() {
         const imageMap = {
             'player': 'player.png',
             'bullet_player': 'bullet_player.svg',
             'bullet_shooter': 'bullet_shooter.svg',
-            'assassin': 'enemy2.png',
-            'assassin_death': 'hittedenemy2.png',
-            'shooter_left':  'enemy3left.png',
-            'shooter_right': 'enemy3right.png',
-            'shooter_hit_left':  'hittedenemy3left.png',
-            'shooter_hit_right': 'hittedenemy3right.png',
-            'tank': 'enemy1.png',
-            'tank_death':     'hittedenemy1.png',
+            // Enemy sprite sheets, keyed by file name, come from the enemy definitions
+            ...getEnemyImages(),
             'ui_weapon_pistol': 'ui_weapon_pistol.svg',
             'ui_weapon_mg': 'ui_weapon_mg.svg',
             'ui_weapon_knife': 'ui_weapon_knife.png',
@@ -196,7 +768,11 @@ class Game {
             'pickup_mg': 'pickup_mg.png',
             'pickup_grenade': 'pickup_grenade.png',
             'pickup_heal': 'pickup_heal.png',
-            'pickup_haste': 'pickup_haste.png'
+            'pickup_haste': 'pickup_haste.png',
+            'pickup_shotgun': 'pickup_shotgun.png',
+            'pickup_rifle': 'pickup_rifle.png',
+            'pickup_fuel': 'pickup_fuel.png',
+            'pickup_rockets': 'pickup_rockets.png'
         };
         
         try {
@@ -221,42 +797,154 @@ class Game {
     
     setupHUD() {
         this.hudElements.healthHearts = document.getElementById('healthHearts');
-        this.hudElements.pistolSlot = document.getElementById('pistol-slot');
-        this.hudElements.machinegunSlot = document.getElementById('machinegun-slot');
-        this.hudElements.knifeSlot = document.getElementById('knife-slot');
-        this.hudElements.grenadeSlot = document.getElementById('grenade-slot');
         this.hudElements.gameOverScreen = document.getElementById('gameOverScreen');
         this.hudElements.restartButton = document.getElementById('restartButton');
         this.hudElements.toast = document.getElementById('toast');
         this.hudElements.pistolHasteCountdown = document.getElementById('pistol-haste-countdown');
+        this.hudElements.inputSources = document.getElementById('inputSources');
+        this.hudElements.gestureStatus = document.getElementById('gestureStatus');
+        this.hudElements.retryGesturesButton = document.getElementById('btnRetryGestures');
+        this.hudElements.waveCounter = document.getElementById('waveCounter');
+        this.hudElements.waveBanner = document.getElementById('waveBanner');
+        this.hudElements.gameModeButton = document.getElementById('btnGameMode');
+        this.hudElements.bossBar = document.getElementById('bossBar');
+        this.buildWeaponBar();
+    }
+    
+    // One HUD slot per weapon, in weapon list order
+    buildWeaponBar() {
+        const bar = document.getElementById('weaponBar');
+        if (!bar) return;
+        bar.innerHTML = '';
+        this.hudElements.weaponSlots = {};
+        Object.entries(WEAPON_REGISTRY).forEach(([key, WeaponClass]) => {
+            const slot = document.createElement('div');
+            slot.className = 'weapon-slot';
+            const name = document.createElement('div');
+            name.textContent = WeaponClass.definition.name;
+            const ammo = document.createElement('div');
+            ammo.className = 'weapon-ammo';
+            // Reload progress or heat meter
+            const ring = document.createElement('div');
+            ring.className = 'weapon-ring hidden';
+            slot.append(name, ammo, ring);
+            bar.appendChild(slot);
+            this.hudElements.weaponSlots[key] = slot;
+        });
+        // Haste countdown shows under the sidearm
+        const countdown = this.hudElements.pistolHasteCountdown;
+        const sidearmSlot = this.hudElements.weaponSlots[findWeaponKey('sidearm')];
+        if (countdown && sidearmSlot) {
+            sidearmSlot.appendChild(countdown);
+        }
+    }
+    
+    async initGestureInput() {
+        const params = new URLSearchParams(window.location.search);
+        
+        // ?gestureReplay=<url> replays a recorded landmark stream instead of using the camera
+        const replayUrl = params.get('gestureReplay');
+        if (replayUrl) {
+            try {
+                const recording = await GestureReplaySource.load(replayUrl);
+                this.gestureReplay = new GestureReplaySource(recording, this.gestureInput, { loop: true });
+                this.gestureInput.initPlayback();
+                this.gestureReplay.start();
+                return true;
+            } catch (error) {
+                console.error('Failed to start gesture replay:', error);
+                this.gestureInput.setStatus('failed', error.message);
+                return false;
+            }
+        }
+        
+        return this.gestureInput.init({
+            assetBaseUrl: params.get('mediapipeBase') || MEDIAPIPE_BASE_URL,
+            loadTimeoutMs: MEDIAPIPE_LOAD_TIMEOUT * 1000
+        });
+    }
+    
+    // Menu → Retry Hand Tracking
+    retryGestureInput() {
+        if (this.gestureInput.status === 'loading') return;
+        this.gestureRetrying = true;
+        this.initGestureInput();
+    }
+    
+    // Show tracking status in the HUD and fall back to keyboard/mouse while gestures are unavailable
+    handleGestureStatus({ status, message }) {
+        const failed = status === 'failed';
+        if (status === 'ready') {
+            this.inputManager.enableProvider('gesture');
+        } else {
+            this.inputManager.disableProvider('gesture');
+        }
+        
+        const statusElement = this.hudElements.gestureStatus;
+        if (statusElement) {
+            statusElement.textContent = failed
+                ? `Hand tracking unavailable: ${message}. Using keyboard & mouse.`
+                : message;
+            statusElement.classList.toggle('error', failed);
+            statusElement.classList.toggle('hidden', status === 'ready' || status === 'idle');
+        }
+        this.hudElements.retryGesturesButton?.classList.toggle('hidden', !failed);
+        
+        // The camera preview is only useful while tracking works
+        this.cameraWidget?.setAvailable(!failed);
+        
+        if (failed) {
+            this.showToast('Hand tracking unavailable, using keyboard & mouse');
+        } else if (status === 'ready' && this.gestureRetrying) {
+            this.showToast('Hand tracking ready');
+        }
+        if (status !== 'loading') this.gestureRetrying = false;
     }
     
     setupInput() {
         // Register input providers
-        const keyboardMouse = new KeyboardMouseProvider(this.canvas);
-        const gesture = new GestureProvider();
+        const keyboardMouse = new KeyboardMouseProvider(this.canvas, this.controlBindings.keys);
+        const gamepad = new GamepadProvider();
+        const touch = new TouchProvider(this.canvas);
+        const gesture = new GestureProvider(this.gestureInput, this.controlBindings.gestures);
         const voice = new VoiceProvider();
         
+        // All registered providers are polled every frame and merged per action
         this.inputManager.registerProvider('keyboard-mouse', keyboardMouse, true); // fallback
+        this.inputManager.registerProvider('gamepad', gamepad);
+        this.inputManager.registerProvider('touch', touch);
         this.inputManager.registerProvider('gesture', gesture);
         this.inputManager.registerProvider('voice', voice);
         
-        // Set keyboard-mouse as active
-        this.inputManager.setActiveProvider('keyboard-mouse');
+        // Rebinding applies live
+        this.gestureInput.setFilters(this.controlBindings.filters);
+        this.gestureInput.setMovementOptions(this.controlBindings.gestureMovement);
+        this.gestureInput.setControlScheme(this.controlBindings.gestureScheme);
+        gesture.setAutoAimTargetProvider(() => this.findAutoAimTarget());
+        this.controlBindings.onChange((bindings) => {
+            keyboardMouse.setKeyBindings(bindings.keys);
+            gesture.setGestureBindings(bindings.gestures);
+            this.gestureInput.setFilters(bindings.filters);
+            this.gestureInput.setMovementOptions(bindings.gestureMovement);
+            this.gestureInput.setControlScheme(bindings.gestureScheme);
+            this.aimAssist.setLevels(bindings.aimAssist);
+        });
+        this.controlsScreen = new ControlsScreen(this.controlBindings, this.cameraWidget);
+        this.calibrationScreen = new CalibrationScreen(this.gestureInput);
     }
     
     initGameObjects() {
         // Create player at center
         this.player = new Player(ARENA_WIDTH / 2, ARENA_HEIGHT / 2);
         
-        // Initialize weapons
-        this.weapons = {
-            pistol: new WEAPON_REGISTRY.pistol(),
-            machine_gun: new WEAPON_REGISTRY.machine_gun(),
-            knife: new WEAPON_REGISTRY.knife(),
-            grenade: new WEAPON_REGISTRY.grenade()
-        };
-        this.currentWeaponKey = 'pistol';
+        // Initialize weapons from the weapon list; the first one is equipped
+        this.weapons = {};
+        Object.entries(WEAPON_REGISTRY).forEach(([key, WeaponClass]) => {
+            this.weapons[key] = new WeaponClass();
+        });
+        this.currentWeaponKey = Object.keys(this.weapons)[0];
+        // Pistol haste speeds up the sidearm, whatever the list calls it
+        this.sidearm = this.weapons[findWeaponKey('sidearm', this.weapons)] || null;
         
         // Give player the current weapon
         this.player.setWeapon(this.weapons[this.currentWeaponKey]);
@@ -265,12 +953,16 @@ class Game {
         this.enemies = [];
         this.projectiles = [];
         this.pickups = [];
+        this.aimAssist.reset();
+        this.aim = null;
         this.killCount = 0;
-        this.enemySpawnTimer = 0;
+        this.score = 0;
+        this.difficultyDirector.reset();
+        this.waveManager.reset();
         this.pickupSpawnTimer = 0;
         
         // Initialize pistol fire rate baseline and haste state
-        this.originalPistolFireRate = this.weapons.pistol.fireRate;
+        this.originalPistolFireRate = this.sidearm?.fireRate;
         this.pistolBaseFireRate = this.originalPistolFireRate;
         this.pistolHasteActive = false;
         this.pistolHasteRemaining = 0;
@@ -287,6 +979,20 @@ class Game {
                 this.restart();
             }
         });
+        
+        // Pause when the tab is hidden
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) this.pause('hidden');
+        });
+        
+        // Arms do not rest between rounds, so a fatigue session spans the page visit
+        window.addEventListener('beforeunload', () => this.fatigueMonitor.endSession());
+        
+        // A pause reason only lasts while paused (the menu pauses without one)
+        this.stateMachine.eventBus.on('stateChanged', ({ to }) => {
+            if (to !== GAME_STATES.PAUSED) this.pauseReason = null;
+            this.trackingLostTimer = 0;
+        });
     }
     
     start() {
@@ -307,6 +1013,7 @@ class Game {
     restart() {
         console.log('Restarting game...');
         this.initGameObjects();
+        this.hideWaveBanner();
         this.stateMachine.setState(GAME_STATES.PLAYING);
         this.hudElements.gameOverScreen?.classList.add('hidden');
 
@@ -331,9 +1038,24 @@ class Game {
     }
     
     update(deltaTime) {
+        // Feed replayed gesture frames before input is polled
+        this.gestureReplay?.advance(deltaTime);
+        
         // Update input
         this.inputManager.update(deltaTime);
         
+        // Pause/resume requested by a command: a toggle (key, gesture) or a named state (voice)
+        if (this.inputManager.isPauseToggled()) {
+            this.togglePause();
+        }
+        const pauseCommand = this.inputManager.getPauseCommand();
+        if (pauseCommand === 'pause') {
+            this.pause('command');
+        } else if (pauseCommand === 'resume') {
+            this.resume();
+        }
+        this.updateTrackingPause(deltaTime);
+        
         // Update based on current state
         switch (this.stateMachine.getState()) {
             case GAME_STATES.PLAYING:
@@ -345,8 +1067,10 @@ class Game {
             // Other states would have their own update methods
         }
         
-        // Handle collisions
-        this.handleCollisions();
+        // Handle collisions (nothing should hurt the player while paused)
+        if (!this.stateMachine.isState(GAME_STATES.PAUSED)) {
+            this.handleCollisions();
+        }
         
         // Update HUD
         this.updateHUD();
@@ -361,60 +1085,21 @@ class Game {
     updatePlaying(deltaTime) {
         const bounds = { width: ARENA_WIDTH, height: ARENA_HEIGHT };
         
+        this.updateFatigue(deltaTime);
+        const hpBefore = this.player.hp;
+        
         // Update player with creator mode state
         this.player.creatorMode = this.creatorMode;
-        // this.player.update(deltaTime, this.inputManager, bounds);
-        const keyboardVector = this.inputManager.getMoveVector();
-        const gestureVector = (this.gestureInput && this.gestureInput.initialized)
-            ? this.gestureInput.getMoveVector()
-            : { x: 0, y: 0 };
-
-        const keyboardActive = Math.abs(keyboardVector.x) > 0.01 || Math.abs(keyboardVector.y) > 0.01;
-
-        const finalVector = keyboardActive ? keyboardVector : gestureVector;
-
-        const hybridInput = {
-            getMoveVector: () => finalVector,
-            isFiring: () => this.inputManager.isFiring(),
-            getWeaponSwitch: () => this.inputManager.getWeaponSwitch(),
-            clearWeaponSwitch: () => this.inputManager.clearWeaponSwitch(),
-            getCreatorModeToggle: () => this.inputManager.getCreatorModeToggle(),
-            clearCreatorModeToggle: () => this.inputManager.clearCreatorModeToggle(),
-            getMousePosition: () => this.inputManager.getMousePosition()
-        };
-
-        this.player.creatorMode = this.creatorMode;
-        this.player.update(deltaTime, hybridInput, bounds);
-
-
+        this.player.update(deltaTime, this.inputManager, bounds);
         
-        // Handle player firing
-        const gestureActive = this.gestureInput && this.gestureInput.isGestureShootingActive();
-        const aim = gestureActive ? this.gestureInput.getGestureAimTargetGame() : null;
-        console.log(`[GestureShoot] active=${gestureActive}, aim=(${aim ? Math.round(aim.x) : 'null'}, ${aim ? Math.round(aim.y) : 'null'})`);
-        if (gestureActive) {
-            if (aim) {
-                // Override mouse coords for aim/render while in gesture mode
-                this.inputManager.mouseX = aim.x;
-                this.inputManager.mouseY = aim.y;
-                // Continuous firing toward mapped aim point
-                this.player.fire(aim.x, aim.y, this.projectiles, this.enemies);
-            }
-        } else {
-            if (this.inputManager.isFiring()) {
-                const mousePos = this.inputManager.getMousePosition();
-                this.player.fire(mousePos.x, mousePos.y, this.projectiles, this.enemies);
-            }
-        }
+        // Aim assist for the device driving the aim
+        this.aim = this.aimAssist.update(deltaTime, this.inputManager.getAimSource(),
+            this.inputManager.getAim(), this.player, this.enemies);
         
-        // Track the last state of the left hand pinch, used for edge triggering.
-        const leftPinchActive = this.gestureInput && this.gestureInput.isLeftPinchActive && this.gestureInput.isLeftPinchActive();
-        if (leftPinchActive && !this.prevLeftPinchActive) {
-            if (this.inputManager.canSwitchWeapon()) {
-                this.inputManager.switchWeapon = true;
-            }
+        // Handle player firing toward the current aim (mouse, gesture or stick)
+        if (this.inputManager.isFiring()) {
+            this.player.fire(this.aimAssist.bendShot(this.player, this.getAim()), this.projectiles, this.enemies);
         }
-        this.prevLeftPinchActive = !!leftPinchActive;
         
         // Handle weapon switching
         const weaponSwitch = this.inputManager.getWeaponSwitch();
@@ -424,6 +1109,27 @@ class Game {
             this.toggleWeapon();
             this.inputManager.clearWeaponSwitch(); // Clear the switch flag after processing
         }
+        
+        // Handle direct weapon selection by role (fist gesture, voice "knife" or "grenade")
+        const selectedRole = this.inputManager.getWeaponSelect();
+        if (selectedRole) {
+            const weaponKey = findWeaponKey(selectedRole, this.weapons);
+            if (!weaponKey) {
+                this.showToast(`No ${WEAPON_ROLE_LABELS[selectedRole]}`);
+            } else if (weaponKey !== this.currentWeaponKey) {
+                this.selectWeapon(weaponKey);
+            }
+        }
+
+        // Reload the equipped weapon (key, gamepad X, voice or gesture)
+        if (this.inputManager.isReloadRequested()) {
+            this.weapons[this.currentWeaponKey]?.reload();
+        }
+
+        // Quick grenade throw (e.g. swipe gesture) without switching weapons
+        if (this.inputManager.isGrenadeThrowRequested()) {
+            this.throwGrenade();
+        }
 
         // Handle creator mode toggle
         const creatorModeToggle = this.inputManager.getCreatorModeToggle();
@@ -432,11 +1138,16 @@ class Game {
             this.inputManager.clearCreatorModeToggle(); // Clear the toggle flag after processing
         }
         
-        // Spawn enemies
-        this.enemySpawnTimer += deltaTime;
-        if (this.enemySpawnTimer >= ENEMY_SPAWN_INTERVAL) {
-            this.spawnEnemy();
-            this.enemySpawnTimer = 0;
+        // Spawn enemies: wave schedule in wave mode, difficulty director otherwise
+        if (this.gameMode === 'waves') {
+            this.waveManager.update(deltaTime, this.enemies).forEach(type => this.spawnEnemy(type));
+        } else {
+            const spawnCount = this.difficultyDirector.update(deltaTime);
+            for (let i = 0; i < spawnCount; i++) {
+                this.spawnEnemy();
+            }
+            const bossType = this.difficultyDirector.updateBoss(deltaTime, this.enemies.some(enemy => enemy.isBoss));
+            if (bossType) this.spawnEnemy(bossType);
         }
         
         // Spawn pickups on fixed cadence
@@ -446,23 +1157,16 @@ class Game {
             this.pickupSpawnTimer = 0;
         }
         
-        // Update enemies
-        this.enemies.forEach(enemy => {
-            if (enemy.constructor.name === 'Shooter') {
-                enemy.update(deltaTime, this.player, bounds, this.projectiles);
-            } else {
-                enemy.update(deltaTime, this.player, bounds);
-            }
-        });
+        // Update enemies; the world context lets them fire, affect each other and spawn more
+        const world = {
+            projectiles: this.projectiles,
+            enemies: this.enemies,
+            spawn: (type, x, y, ...args) => this.spawnEnemyAt(type, x, y, ...args)
+        };
+        this.enemies.forEach(enemy => enemy.update(deltaTime, this.player, bounds, world));
         
-        // Update projectiles
-        this.projectiles.forEach(projectile => {
-            if (projectile.constructor.name === 'GrenadeProjectile') {
-                projectile.update(deltaTime, bounds, this.enemies);
-            } else {
-                projectile.update(deltaTime, bounds);
-            }
-        });
+        // Update projectiles (grenades and rockets look for enemies)
+        this.projectiles.forEach(projectile => projectile.update(deltaTime, bounds, this.enemies));
         
         // Update weapons (for effects like grenade explosions)
         Object.values(this.weapons).forEach(weapon => {
@@ -480,11 +1184,25 @@ class Game {
             }
         }
         
+        this.announceBossPhase();
+        
         // Handle collisions
         this.handleCollisions();
         
-        // Remove dead objects
-        this.enemies = this.enemies.filter(enemy => enemy.isAlive());
+        // Kills and damage taken feed the difficulty director
+        this.difficultyDirector.recordDamage(hpBefore - this.player.hp);
+        
+        // Remove dead objects; bombers that blew themselves up earn no score and are no kill
+        let kills = 0;
+        this.enemies = this.enemies.filter(enemy => {
+            if (enemy.isAlive()) return true;
+            if (!enemy.exploded) {
+                this.score += enemy.scoreValue;
+                kills++;
+            }
+            return false;
+        });
+        this.difficultyDirector.recordKills(kills);
         this.projectiles = this.projectiles.filter(projectile => projectile.isAlive());
         // Pickups persist until collected, no age-out
         
@@ -493,7 +1211,7 @@ class Game {
             this.stateMachine.setState(GAME_STATES.GAME_OVER);
             this.hudElements.gameOverScreen?.classList.remove('hidden');
             const finalScore = this.hudElements.gameOverScreen?.querySelector('#finalScore');
-            if (finalScore) finalScore.textContent = this.killCount.toString();
+            if (finalScore) finalScore.textContent = this.score.toString();
         }
     }
     
@@ -502,11 +1220,20 @@ class Game {
         console.log('🔄 Current weapon key:', this.currentWeaponKey);
         console.log('🔄 Available weapons:', Object.keys(this.weapons));
         
-        // Cycle through all 4 weapons: pistol -> machine_gun -> knife -> grenade -> pistol
-        const weaponOrder = ['pistol', 'machine_gun', 'knife', 'grenade'];
+        // Cycle through the weapon list in order
+        const weaponOrder = Object.keys(this.weapons);
         const currentIndex = weaponOrder.indexOf(this.currentWeaponKey);
         const nextIndex = (currentIndex + 1) % weaponOrder.length;
-        this.currentWeaponKey = weaponOrder[nextIndex];
+        this.selectWeapon(weaponOrder[nextIndex]);
+    }
+    
+    selectWeapon(weaponKey) {
+        if (!this.weapons[weaponKey]) return;
+        // Switching away interrupts a reload
+        if (weaponKey !== this.currentWeaponKey) {
+            this.weapons[this.currentWeaponKey]?.cancelReload();
+        }
+        this.currentWeaponKey = weaponKey;
         
         console.log('🔄 New weapon key:', this.currentWeaponKey);
         
@@ -514,17 +1241,184 @@ class Game {
         console.log('🔄 Weapon set on player:', this.weapons[this.currentWeaponKey]);
         
         // Show toast notification
-        const weaponNames = {
-            'pistol': 'Pistol',
-            'machine_gun': 'Machine Gun',
-            'knife': 'Knife',
-            'grenade': 'Grenade'
-        };
-        const weaponName = weaponNames[this.currentWeaponKey];
+        const weaponName = this.weapons[this.currentWeaponKey].name;
         this.showToast(`Switched to ${weaponName}`);
         console.log('🔄 Toast shown:', weaponName);
     }
 
+    // Fatigue model runs on play time; assistance scales with it when enabled
+    updateFatigue(deltaTime) {
+        this.fatigueMonitor.update(deltaTime);
+        const assist = this.controlBindings.fatigueAssist ? this.fatigueMonitor.getAssistLevel() : 0;
+        this.gestureInput.setAimRegionScale(1 + FATIGUE_AIM_REGION_GROWTH * assist);
+        this.aimAssist.setBoost('gesture', assist);
+        
+        if (this.fatigueMonitor.getLevel() === 'fatigued') {
+            this.breakReminderTimer += deltaTime;
+            if (this.breakReminderTimer >= BREAK_REMINDER_INTERVAL) {
+                this.breakReminderTimer = 0;
+                this.showToast('Still going? Rest your arms for a minute (P pauses)');
+            }
+        }
+    }
+    
+    handleFatigueLevel({ level, previous }) {
+        this.breakReminderTimer = 0;
+        const rank = (name) => FATIGUE_LEVELS.findIndex(entry => entry.level === name);
+        const rising = rank(level) > rank(previous);
+        if (!rising) return;
+        if (level === 'tiring') {
+            this.showToast('Arms getting tired? Lower them between fights or take a short break');
+        } else if (level === 'fatigued') {
+            this.showToast('Time for a break: rest your arms for a minute (P pauses)');
+        }
+        console.log(`💪 Fatigue level: ${level} (${this.fatigueMonitor.getFatigue().toFixed(2)})`);
+    }
+
+    // Nearest living enemy within auto-aim range (one-handed gesture scheme), or null
+    findAutoAimTarget() {
+        if (!this.player) return null;
+        let best = null;
+        const assist = this.controlBindings.fatigueAssist ? this.fatigueMonitor.getAssistLevel() : 0;
+        let bestDistance = GESTURE_AUTO_AIM_RANGE * (1 + FATIGUE_AUTO_AIM_GROWTH * assist);
+        this.enemies.forEach(enemy => {
+            if (enemy.isDying || !enemy.isAlive()) return;
+            const distance = Utils.distance(this.player.x, this.player.y, enemy.x, enemy.y);
+            if (distance < bestDistance) {
+                best = enemy;
+                bestDistance = distance;
+            }
+        });
+        return best ? { x: best.x, y: best.y } : null;
+    }
+
+    // Living boss (one at a time is shown), or null
+    findBoss() {
+        return this.enemies.find(enemy => enemy.isBoss && !enemy.isDying) || null;
+    }
+    
+    announceBossPhase() {
+        const boss = this.findBoss();
+        if (boss && boss.phase > this.bossPhaseAnnounced) {
+            this.bossPhaseAnnounced = boss.phase;
+            this.showToast(boss.phase === 1 ? `${boss.name} is enraged!` : `${boss.name} is desperate!`);
+        }
+    }
+    
+    toggleGameMode() {
+        const modes = Object.keys(GAME_MODE_LABELS);
+        this.gameMode = modes[(modes.indexOf(this.gameMode) + 1) % modes.length];
+        console.log(`🌊 Game mode: ${this.gameMode}`);
+        this.restart();
+        this.showToast(`${GAME_MODE_LABELS[this.gameMode]} mode`);
+    }
+    
+    showWaveBanner(title, subtitle) {
+        const banner = this.hudElements.waveBanner;
+        if (!banner) return;
+        banner.querySelector('#waveBannerTitle').textContent = title;
+        banner.querySelector('#waveBannerSubtitle').textContent = subtitle;
+        banner.classList.add('visible');
+        clearTimeout(this.waveBannerTimeout);
+        this.waveBannerTimeout = setTimeout(() => this.hideWaveBanner(), WAVE_BANNER_DURATION);
+    }
+    
+    hideWaveBanner() {
+        clearTimeout(this.waveBannerTimeout);
+        this.hudElements.waveBanner?.classList.remove('visible');
+    }
+    
+    // Assisted aim while playing, raw input aim otherwise
+    getAim() {
+        return this.aim || this.inputManager.getAim();
+    }
+    
+    throwGrenade() {
+        const grenade = this.weapons[findWeaponKey('grenade', this.weapons)];
+        if (!grenade) {
+            this.showToast(`No ${WEAPON_ROLE_LABELS.grenade}`);
+            return;
+        }
+        const aim = this.aimAssist.bendShot(this.player, this.getAim());
+        const thrown = this.player.fire(aim, this.projectiles, this.enemies, grenade);
+        if (!thrown && grenade.currentAmmo <= 0) {
+            this.showToast('No grenades left');
+        }
+    }
+
+    // Landmark recording for offline gesture testing (call from the dev console);
+    // replay the downloaded file with ?gestureReplay=<url>
+    startGestureRecording() {
+        this.gestureRecorder.start();
+        this.showToast('Recording gestures');
+        console.log('⏺️ Gesture recording started');
+    }
+    
+    stopGestureRecording(filename) {
+        this.gestureRecorder.stop();
+        console.log(`⏹️ Gesture recording stopped (${this.gestureRecorder.frames.length} frames)`);
+        if (this.gestureRecorder.frames.length > 0) {
+            this.gestureRecorder.download(filename);
+        }
+    }
+
+    togglePause() {
+        if (this.stateMachine.isState(GAME_STATES.PLAYING)) {
+            this.pause('command');
+        } else if (this.stateMachine.isState(GAME_STATES.PAUSED)) {
+            this.resume();
+        }
+    }
+    
+    // The loop keeps running while paused so commands (and returning hands) can resume the game
+    pause(reason) {
+        if (!this.stateMachine.isState(GAME_STATES.PLAYING)) return;
+        this.pauseReason = reason;
+        this.stateMachine.setState(GAME_STATES.PAUSED);
+        this.showToast(reason === 'tracking' ? 'Paused: hands lost' : 'Paused');
+    }
+    
+    resume() {
+        if (!this.stateMachine.isState(GAME_STATES.PAUSED)) return;
+        this.stateMachine.setState(GAME_STATES.PLAYING);
+        this.showToast('Resumed');
+    }
+    
+    handleTrackingState({ state }) {
+        if (state === 'lost') return;
+        this.gestureHandsSeen = true;
+        this.trackingLostTimer = 0;
+        if (state === 'acquired' && this.pauseReason === 'tracking' && this.isRunning) {
+            this.resume();
+        }
+    }
+    
+    // Auto-pause once gesture tracking has been lost for the configured delay. Using another
+    // input while the hands are gone disarms it until the hands come back.
+    updateTrackingPause(deltaTime) {
+        const delay = this.controlBindings.autoPauseDelay;
+        const trackingLost = this.gestureHandsSeen
+            && this.inputManager.isProviderEnabled('gesture')
+            && this.gestureInput.trackingState === 'lost';
+        if (!trackingLost || delay <= 0 || !this.stateMachine.isState(GAME_STATES.PLAYING)) {
+            this.trackingLostTimer = 0;
+            return;
+        }
+        const otherInput = ['move', 'fire'].some(action => {
+            const source = this.inputManager.getActionSource(action);
+            return source && source !== 'gesture';
+        });
+        if (otherInput) {
+            this.gestureHandsSeen = false;
+            this.trackingLostTimer = 0;
+            return;
+        }
+        this.trackingLostTimer += deltaTime;
+        if (this.trackingLostTimer >= delay) {
+            this.pause('tracking');
+        }
+    }
+
     toggleCreatorMode() {
         this.creatorMode = !this.creatorMode;
         console.log('🎨 Creator mode toggled:', this.creatorMode);
@@ -541,7 +1435,7 @@ class Game {
     applyCreatorModeModifications() {
         // Store original pistol fire rate for restoration
         if (!this.originalPistolFireRate) {
-            this.originalPistolFireRate = this.weapons.pistol.fireRate;
+            this.originalPistolFireRate = this.sidearm?.fireRate;
         }
         
         // Set 5x faster pistol base fire rate (seconds between shots divided by 5)
@@ -560,19 +1454,19 @@ class Game {
     }
 
     recomputePistolFireRate() {
-        const base = this.pistolBaseFireRate ?? this.weapons.pistol.fireRate;
+        if (!this.sidearm) return;
+        const base = this.pistolBaseFireRate ?? this.sidearm.fireRate;
         const effective = base / (this.pistolHasteActive ? 3 : 1);
-        this.weapons.pistol.fireRate = effective;
+        this.sidearm.fireRate = effective;
     }
 
     updateGameOver(deltaTime) {
         // Game over state - waiting for restart
     }
     
-    spawnEnemy() {
-        // Randomly choose between all three enemy types
-        const enemyTypes = ['assassin', 'shooter', 'tank'];
-        const enemyType = enemyTypes[Utils.randomInt(0, enemyTypes.length - 1)];
+    spawnEnemy(enemyType = null) {
+        // Without a requested type, the mix follows the difficulty curve's weights
+        enemyType = enemyType || this.difficultyDirector.pickEnemyType(Object.keys(ENEMY_REGISTRY));
         
         // Choose a random edge to spawn from (0=top, 1=right, 2=bottom, 3=left)
         const edge = Utils.randomInt(0, 3);
@@ -623,17 +1517,42 @@ class Game {
             }
         }
         
-        // Create enemy
+        this.spawnEnemyAt(enemyType, x, y);
+    }
+    
+    // Create an enemy of a registered type at a position; extra args go to its constructor
+    spawnEnemyAt(enemyType, x, y, ...args) {
         const EnemyClass = ENEMY_REGISTRY[enemyType];
-        if (EnemyClass) {
-            const enemy = new EnemyClass(x, y);
-            this.enemies.push(enemy);
+        if (!EnemyClass) {
+            console.warn(`Unknown enemy type: ${enemyType}`);
+            return null;
         }
+        
+        const enemy = new EnemyClass(x, y, ...args);
+        if (this.gameMode === 'waves') {
+            this.waveManager.applyStats(enemy);
+        } else {
+            this.difficultyDirector.applyStats(enemy);
+        }
+        this.enemies.push(enemy);
+        if (enemy.isBoss) {
+            this.bossPhaseAnnounced = 0;
+            this.showWaveBanner('⚠ Boss incoming', enemy.name);
+            console.log(`👹 Boss spawned: ${enemy.name}`);
+        }
+        return enemy;
     }
     
     // New: spawn a pickup inside arena and ≥ 50 pt from player
     spawnPickup() {
-        const types = [PICKUP_TYPES.MG_AMMO, PICKUP_TYPES.GRENADE, PICKUP_TYPES.HEAL, PICKUP_TYPES.PISTOL_HASTE];
+        // Half the drops are ammo for a weapon in the loadout that uses it, the rest heal or
+        // haste (only with a sidearm to speed up)
+        const ammoTypes = Object.keys(AMMO_PICKUPS).filter(type => {
+            const weapon = this.weapons[AMMO_PICKUPS[type].weapon];
+            return weapon && weapon.ammo !== -1;
+        });
+        const boostTypes = this.sidearm ? [PICKUP_TYPES.HEAL, PICKUP_TYPES.PISTOL_HASTE] : [PICKUP_TYPES.HEAL];
+        const types = Math.random() < 0.5 && ammoTypes.length > 0 ? ammoTypes : boostTypes;
         const type = types[Utils.randomInt(0, types.length - 1)];
         let x = this.player.x, y = this.player.y;
     
@@ -656,14 +1575,15 @@ class Game {
             }
         });
         
-        // Projectiles vs enemies (player bullets hitting enemies)
+        // Projectiles vs enemies (player bullets hitting enemies; piercing ones carry on)
         this.projectiles.forEach(projectile => {
             if (projectile.owner === 'player') {
                 this.enemies.forEach(enemy => {
+                    // Corpses playing their death animation neither stop shots nor use up pierce
+                    if (!projectile.alive || enemy.isDying) return;
                     if (CollisionSystem.checkCircleCollision(projectile, enemy)) {
                         const prevHp = enemy.hp;
-                        enemy.takeDamage(projectile.damage);
-                        projectile.alive = false;
+                        if (!projectile.hitEnemy(enemy)) return;
                         if (prevHp > enemy.hp && enemy.isAlive() && projectile.owner === 'player') {
                             if (window.game && window.game.soundManager) {
                                 window.game.soundManager.play('shoot_pistol');
@@ -706,9 +1626,8 @@ class Game {
         }
         if (nearestIndex >= 0) {
             this.pickupCandidate = this.pickups[nearestIndex];
-            const pinchActive = this.gestureInput && this.gestureInput.isRightPinchActive();
-            if (this.inputManager.isPickingUp() || pinchActive) {
-                // Confirm pickup on F key or right-hand pinch
+            if (this.inputManager.isPickingUp()) {
+                // Confirm pickup on F key, right-hand pinch or voice
                 this.applyPickupEffect(this.pickupCandidate.type);
                 this.pickups.splice(nearestIndex, 1);
                 this.pickupCandidate = null;
@@ -738,9 +1657,16 @@ class Game {
             case GAME_STATES.GAME_OVER:
                 this.renderPlaying();
                 break;
+            case GAME_STATES.PAUSED:
+                this.renderPlaying();
+                this.renderPausedOverlay();
+                break;
             // Other states would have their own rendering
         }
         
+        // On-screen controls (touch joysticks) sit above everything else
+        this.inputManager.render(this.ctx);
+        
         // Debug info
         if (this.fps < MIN_FPS) {
             this.ctx.fillStyle = '#FF0000';
@@ -755,7 +1681,9 @@ class Game {
         
         // If a pickup is in range, render prompt above it
         if (this.pickupCandidate) {
-            const msg = 'Press F Pick Up';
+            // Names the current pickup key; pickup may be rebound or left unbound
+            const pickupKey = this.controlBindings.keys.pickup?.[0];
+            const msg = pickupKey ? `Press ${ControlBindings.describeCode(pickupKey)} to Pick Up` : 'Pick Up';
             this.ctx.save();
             this.ctx.font = '16px Arial';
             this.ctx.textAlign = 'center';
@@ -770,7 +1698,8 @@ class Game {
         }
         
         // Render player
-        this.player.render(this.ctx, this.imageLoader, this.inputManager.mouseX, this.inputManager.mouseY);
+        const aim = this.getAim();
+        this.player.render(this.ctx, this.imageLoader, aim);
         
         // Render enemies
         this.enemies.forEach(enemy => {
@@ -782,40 +1711,69 @@ class Game {
             projectile.render(this.ctx, this.imageLoader);
         });
         
-        // Gesture Aim Indicator (only drawn when gesture shooting is activated)
-        if (this.gestureInput && this.gestureInput.isGestureShootingActive()) {
-            const aim = this.gestureInput.getGestureAimTargetGame();
-            if (aim) {
-                const ax = Math.round(Utils.clamp(aim.x, 0, ARENA_WIDTH));
-                const ay = Math.round(Utils.clamp(aim.y, 0, ARENA_HEIGHT));
-                this.ctx.save();
-                this.ctx.translate(ax, ay);
-                const r = 14;
-                this.ctx.strokeStyle = '#00BFFF';
-                this.ctx.lineWidth = 2;
-                this.ctx.beginPath();
-                this.ctx.arc(0, 0, r, 0, Math.PI * 2);
-                this.ctx.stroke();
-
-                this.ctx.beginPath();
-                this.ctx.moveTo(-r - 3, 0); this.ctx.lineTo(-4, 0);
-                this.ctx.moveTo(r + 3, 0); this.ctx.lineTo(4, 0);
-                this.ctx.moveTo(0, -r - 3); this.ctx.lineTo(0, -4);
-                this.ctx.moveTo(0, r + 3); this.ctx.lineTo(0, 4);
-                this.ctx.stroke();
-
-                this.ctx.fillStyle = '#FFFFFF';
-                this.ctx.beginPath();
-                this.ctx.arc(0, 0, 3, 0, Math.PI * 2);
-                this.ctx.fill();
-                this.ctx.restore();
-            }
+        // Aim Indicator for gesture and stick aim (the mouse has its own cursor)
+        const aimSource = this.inputManager.getAimSource();
+        if (aimSource && aimSource !== 'keyboard-mouse') {
+            const target = this.player.resolveAimTarget(aim);
+            const ax = Math.round(Utils.clamp(target.x, 0, ARENA_WIDTH));
+            const ay = Math.round(Utils.clamp(target.y, 0, ARENA_HEIGHT));
+            this.ctx.save();
+            this.ctx.translate(ax, ay);
+            const r = 14;
+            this.ctx.strokeStyle = '#00BFFF';
+            this.ctx.lineWidth = 2;
+            this.ctx.beginPath();
+            this.ctx.arc(0, 0, r, 0, Math.PI * 2);
+            this.ctx.stroke();
+
+            this.ctx.beginPath();
+            this.ctx.moveTo(-r - 3, 0); this.ctx.lineTo(-4, 0);
+            this.ctx.moveTo(r + 3, 0); this.ctx.lineTo(4, 0);
+            this.ctx.moveTo(0, -r - 3); this.ctx.lineTo(0, -4);
+            this.ctx.moveTo(0, r + 3); this.ctx.lineTo(0, 4);
+            this.ctx.stroke();
+
+            this.ctx.fillStyle = '#FFFFFF';
+            this.ctx.beginPath();
+            this.ctx.arc(0, 0, 3, 0, Math.PI * 2);
+            this.ctx.fill();
+            this.ctx.restore();
         }
         
-        // Render weapon effects (like grenade explosions)
-        if (this.weapons.grenade) {
-            this.weapons.grenade.render(this.ctx, this.imageLoader);
+        // Aim assist lock
+        const lockTarget = this.aimAssist.getTarget();
+        if (lockTarget) {
+            this.ctx.save();
+            this.ctx.strokeStyle = 'rgba(0, 191, 255, 0.8)';
+            this.ctx.lineWidth = 2;
+            this.ctx.setLineDash([6, 4]);
+            this.ctx.beginPath();
+            this.ctx.arc(lockTarget.x, lockTarget.y, lockTarget.radius + 6, 0, Math.PI * 2);
+            this.ctx.stroke();
+            this.ctx.restore();
         }
+        
+        // Render weapon effects (like knife slashes and grenade explosions)
+        Object.values(this.weapons).forEach(weapon => weapon.render(this.ctx, this.imageLoader));
+    }
+    
+    renderPausedOverlay() {
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        this.ctx.fillRect(0, 0, ARENA_WIDTH, ARENA_HEIGHT);
+        this.ctx.font = '48px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillStyle = '#FFFFFF';
+        if (this.pauseReason === 'tracking') {
+            this.ctx.fillText('Show your hands', ARENA_WIDTH / 2, ARENA_HEIGHT / 2);
+            this.ctx.font = '20px Arial';
+            this.ctx.fillStyle = '#CCCCCC';
+            this.ctx.fillText('Hand tracking was lost. The game resumes when the camera sees them again.',
+                ARENA_WIDTH / 2, ARENA_HEIGHT / 2 + 40);
+        } else {
+            this.ctx.fillText('Paused', ARENA_WIDTH / 2, ARENA_HEIGHT / 2);
+        }
+        this.ctx.restore();
     }
     
     updateHUD() {
@@ -826,45 +1784,62 @@ class Game {
             this.hudElements.healthHearts.textContent = hearts + emptyHearts;
         }
         
-        // Update weapon display
-        const weaponSlots = {
-            'pistol': this.hudElements.pistolSlot,
-            'machine_gun': this.hudElements.machinegunSlot,
-            'knife': this.hudElements.knifeSlot,
-            'grenade': this.hudElements.grenadeSlot
-        };
-        
-        // Update active weapon highlighting
-        Object.entries(weaponSlots).forEach(([weaponKey, slot]) => {
-            if (slot) {
-                if (weaponKey === this.currentWeaponKey) {
-                    slot.classList.add('active');
-                } else {
-                    slot.classList.remove('active');
-                }
+        // Wave counter (wave mode only)
+        if (this.hudElements.waveCounter) {
+            const waves = this.waveManager;
+            const showWaves = this.gameMode === 'waves';
+            this.hudElements.waveCounter.classList.toggle('hidden', !showWaves);
+            if (showWaves && waves.isIntermission()) {
+                const seconds = Math.ceil(waves.getIntermissionRemaining());
+                this.hudElements.waveCounter.textContent = `Wave ${waves.getWaveNumber() + 1} in ${seconds} s`;
+            } else if (showWaves) {
+                const remaining = waves.getPendingCount() + this.enemies.filter(enemy => !enemy.isDying).length;
+                this.hudElements.waveCounter.textContent = `Wave ${waves.getWaveNumber()} · ${remaining} left`;
             }
-        });
-        
-        // Update ammo displays
-        if (this.hudElements.pistolSlot) {
-            const pistolAmmo = this.hudElements.pistolSlot.querySelector('div:last-child');
-            if (pistolAmmo) pistolAmmo.textContent = '∞';
         }
-        
-        if (this.hudElements.machinegunSlot) {
-            const machinegunAmmo = this.hudElements.machinegunSlot.querySelector('div:last-child');
-            if (machinegunAmmo) machinegunAmmo.textContent = this.weapons.machine_gun.getAmmoDisplay();
+        // Boss health bar
+        if (this.hudElements.bossBar) {
+            const boss = this.findBoss();
+            this.hudElements.bossBar.classList.toggle('hidden', !boss);
+            if (boss) {
+                this.hudElements.bossBar.querySelector('#bossName').textContent = boss.name;
+                const fill = this.hudElements.bossBar.querySelector('#bossHealthFill');
+                fill.style.width = `${Math.max(0, boss.hp / boss.maxHp) * 100}%`;
+                fill.classList.toggle('arriving', boss.isArriving());
+            }
         }
-        
-        if (this.hudElements.knifeSlot) {
-            const knifeAmmo = this.hudElements.knifeSlot.querySelector('div:last-child');
-            if (knifeAmmo) knifeAmmo.textContent = '∞';
+        if (this.hudElements.gameModeButton) {
+            this.hudElements.gameModeButton.textContent = `Mode: ${GAME_MODE_LABELS[this.gameMode]}`;
         }
         
-        if (this.hudElements.grenadeSlot) {
-            const grenadeAmmo = this.hudElements.grenadeSlot.querySelector('div:last-child');
-            if (grenadeAmmo) grenadeAmmo.textContent = this.weapons.grenade.getAmmoDisplay();
+        // Update weapon display: active slot, ammo and reload/heat ring
+        Object.entries(this.hudElements.weaponSlots).forEach(([weaponKey, slot]) => {
+            slot.classList.toggle('active', weaponKey === this.currentWeaponKey);
+            const ammo = slot.querySelector('.weapon-ammo');
+            const text = this.weapons[weaponKey]?.getAmmoDisplay() ?? '';
+            if (ammo && ammo.textContent !== text) ammo.textContent = text;
+            const ring = slot.querySelector('.weapon-ring');
+            const progress = this.weapons[weaponKey]?.getProgress();
+            if (ring) {
+                ring.classList.toggle('hidden', !progress);
+                if (progress) {
+                    ring.dataset.kind = progress.kind;
+                    ring.style.setProperty('--progress', progress.value.toFixed(3));
+                }
+            }
+        });
+        // Which device is driving each action right now
+        if (this.hudElements.inputSources) {
+            const actions = { move: 'Move', aim: 'Aim', fire: 'Fire', pickup: 'Pick up' };
+            const text = Object.entries(actions).map(([action, label]) => {
+                const source = this.inputManager.getActionSource(action);
+                return `${label}: ${source ? this.inputManager.getProviderLabel(source) : '–'}`;
+            }).join(' · ');
+            if (this.hudElements.inputSources.textContent !== text) {
+                this.hudElements.inputSources.textContent = text;
+            }
         }
+        
         // Pistol Haste countdown (visible only while active)
         if (this.hudElements.pistolHasteCountdown) {
             if (this.pistolHasteActive) {
@@ -878,16 +1853,6 @@ class Game {
 
     applyPickupEffect(type) {
         switch (type) {
-            case PICKUP_TYPES.MG_AMMO: {
-                this.weapons.machine_gun.currentAmmo += 20;
-                this.showToast('Machine Gun +20');
-                break;
-            }
-            case PICKUP_TYPES.GRENADE: {
-                this.weapons.grenade.currentAmmo += 5;
-                this.showToast('Grenade +5');
-                break;
-            }
             case PICKUP_TYPES.HEAL: {
                 this.player.hp = Math.min(this.player.maxHp, this.player.hp + 1);
                 this.showToast('Heal +1');
@@ -897,7 +1862,15 @@ class Game {
                 this.pistolHasteActive = true;
                 this.pistolHasteRemaining = 10.0;
                 this.recomputePistolFireRate();
-                this.showToast('Pistol Haste ×3 (10s)');
+                this.showToast(`${this.sidearm?.name ?? 'Pistol'} Haste ×3 (10s)`);
+                break;
+            }
+            default: {
+                const ammo = AMMO_PICKUPS[type];
+                const weapon = ammo && this.weapons[ammo.weapon];
+                if (!weapon) break;
+                weapon.addAmmo(ammo.amount);
+                this.showToast(`${weapon.name} +${ammo.amount}`);
                 break;
             }
         }
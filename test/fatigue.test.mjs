@@ -0,0 +1,29 @@
+// FatigueMonitor fed by a recorded trace replayed through GestureInputManager
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { EventBus, GestureInputManager, GestureReplaySource, FatigueMonitor } from '../js/core.js';
+
+// Right-labelled thumb-index gap per 10 frames: 0.08, 0.047, 0.03, 0.047, 0.07, 0.047
+const trace = JSON.parse(readFileSync(new URL('./fixtures/pinch-move-aim.json', import.meta.url), 'utf8'));
+
+function countPinches(profile = null) {
+    const eventBus = new EventBus();
+    const gestures = new GestureInputManager(eventBus);
+    gestures.applyProfile(profile);
+    const monitor = new FatigueMonitor(eventBus, null);
+    monitor.start();
+    new GestureReplaySource(trace, gestures).runAll();
+    monitor.stop();
+    return monitor.pinchSpeeds.length;
+}
+
+test('pinch speeds are sampled with the default thresholds', () => {
+    // Only the 0.03 gap closes below the default 0.04
+    assert.equal(countPinches(), 1);
+});
+
+test('pinch speeds follow each hand\'s calibrated thresholds', () => {
+    // 0.047 now pinches and holds through 0.03; 0.07 releases, so the last 0.047 pinches again
+    assert.equal(countPinches({ rightPinch: { on: 0.05, off: 0.06 } }), 2);
+});
@@ -0,0 +1,121 @@
+// Gesture smoothing filters checked against a recorded aim trace (rest, sweep, rest)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { SignalFilter, FILTER_TYPES, GESTURE_FILTER_PRESETS } from '../js/core.js';
+
+const ARENA = { width: 1200, height: 800 };
+const INDEX_TIP = 8;
+const REST_FRAMES = [5, 25];   // hand still before the sweep
+const SWEEP_FRAMES = [28, 45]; // fingertip moving left at ~360 px/s
+const CHECK_FRAMES = [10, 30, 40, 60];
+
+// Expected aim output (arena px) at CHECK_FRAMES, per filter type and latency compensation
+const EXPECTED_AIM = {
+    none: {
+        off: [[359.6, 479.43], [297.8, 480.26], [180.35, 479.99], [119.93, 479.49]],
+        on: [[359.6, 479.43], [282.52, 482.15], [167.53, 480.75], [119.93, 479.49]]
+    },
+    ema: {
+        off: [[359.44, 478.67], [315.52, 479.5], [197.83, 479.88], [122.78, 479.59]],
+        on: [[359.44, 478.67], [301.33, 480.1], [183.83, 479.97], [122.78, 479.59]]
+    },
+    oneEuro: {
+        off: [[359.65, 479.96], [305.68, 479.8], [185.17, 479.89], [119.89, 479.84]],
+        on: [[359.65, 479.96], [290.3, 479.87], [165.08, 479.91], [119.89, 479.84]]
+    },
+    kalman: {
+        off: [[359.83, 480.24], [308.83, 479.46], [179.36, 479.94], [120.24, 479.65]],
+        on: [[359.83, 480.24], [300.72, 479.49], [164.54, 479.96], [120.24, 479.65]]
+    }
+};
+// Default move filter (One Euro, compensated) on normalized coordinates
+const EXPECTED_MOVE = [[0.2997, 0.6], [0.2493, 0.5996], [0.1421, 0.5999], [0.0999, 0.5998]];
+
+const trace = JSON.parse(readFileSync(new URL('./fixtures/aim-sweep.json', import.meta.url), 'utf8'));
+const samples = trace.frames.map(({ t, hands }) => {
+    const [x, y] = hands[0].landmarks[INDEX_TIP];
+    return { t, x, y };
+});
+const aimSamples = samples.map(({ t, x, y }) => ({ t, x: x * ARENA.width, y: y * ARENA.height }));
+
+function run(signal, type, latencyCompensation, points) {
+    const filter = new SignalFilter(signal, type, latencyCompensation);
+    return points.map(({ t, x, y }) => filter.filter({ x, y }, t));
+}
+
+function assertNear(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: expected ${expected}, got ${actual}`);
+}
+
+function spread(values) {
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    return Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length);
+}
+
+// Mean signed x offset from the raw fingertip; positive trails a leftward sweep
+function sweepLag(outputs) {
+    const [from, to] = SWEEP_FRAMES;
+    let total = 0;
+    for (let i = from; i < to; i++) total += outputs[i].x - aimSamples[i].x;
+    return total / (to - from);
+}
+
+for (const type of Object.keys(FILTER_TYPES)) {
+    for (const compensation of ['off', 'on']) {
+        test(`aim ${type} filter, latency compensation ${compensation}, matches recorded output`, () => {
+            const outputs = run('aim', type, compensation === 'on', aimSamples);
+            CHECK_FRAMES.forEach((frame, i) => {
+                const [x, y] = EXPECTED_AIM[type][compensation][i];
+                assertNear(outputs[frame].x, x, 0.01, `frame ${frame} x`);
+                assertNear(outputs[frame].y, y, 0.01, `frame ${frame} y`);
+            });
+        });
+    }
+}
+
+test('move filter with latency compensation matches recorded output', () => {
+    const outputs = run('move', 'oneEuro', true, samples);
+    CHECK_FRAMES.forEach((frame, i) => {
+        assertNear(outputs[frame].x, EXPECTED_MOVE[i][0], 0.0001, `frame ${frame} x`);
+        assertNear(outputs[frame].y, EXPECTED_MOVE[i][1], 0.0001, `frame ${frame} y`);
+    });
+});
+
+test('no filter passes samples through unchanged', () => {
+    const outputs = run('aim', 'none', false, aimSamples);
+    outputs.forEach((point, i) => assert.deepEqual(point, { x: aimSamples[i].x, y: aimSamples[i].y }));
+});
+
+test('smoothing filters reduce jitter while the hand rests', () => {
+    const [from, to] = REST_FRAMES;
+    const rawSpread = spread(aimSamples.slice(from, to).map(p => p.y));
+    for (const type of ['ema', 'oneEuro', 'kalman']) {
+        const outputs = run('aim', type, true, aimSamples);
+        const filteredSpread = spread(outputs.slice(from, to).map(p => p.y));
+        assert.ok(filteredSpread < rawSpread * 0.6, `${type}: ${filteredSpread} vs raw ${rawSpread}`);
+    }
+});
+
+test('latency compensation leads the sweep and stays off at rest', () => {
+    const { minSpeed } = GESTURE_FILTER_PRESETS.aim.prediction;
+    assert.ok(Math.abs(aimSamples[30].x - aimSamples[29].x) * 30 > minSpeed * 2);
+    for (const type of Object.keys(FILTER_TYPES)) {
+        const plain = run('aim', type, false, aimSamples);
+        const compensated = run('aim', type, true, aimSamples);
+        assert.ok(sweepLag(compensated) < sweepLag(plain) - 5, `${type} should lead the sweep`);
+        for (const frame of [10, 60]) {
+            assert.deepEqual(compensated[frame], plain[frame], `${type} predicted at rest (frame ${frame})`);
+        }
+    }
+});
+
+test('each filter restarts cleanly after reset', () => {
+    for (const [type, FilterClass] of Object.entries(FILTER_TYPES)) {
+        const filter = new FilterClass(GESTURE_FILTER_PRESETS.aim[type]);
+        const pass = () => aimSamples.map(({ x, y }, i) => filter.filter({ x, y }, i === 0 ? 0 : 1 / 30));
+        const first = pass();
+        filter.reset();
+        assert.deepEqual(pass(), first, type);
+    }
+});
@@ -0,0 +1,47 @@
+// Pose and swipe bindings driven by a recorded open-palm swipe
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { GestureInputManager, GestureReplaySource, GestureProvider, InputManager, DEFAULT_GESTURE_BINDINGS } from '../js/core.js';
+
+const GAME_FRAME = 1 / 60; // seconds
+
+const trace = JSON.parse(readFileSync(new URL('./fixtures/open-palm-swipe.json', import.meta.url), 'utf8'));
+
+// Play a trace at the game frame rate and list the game frames each action fired on
+function play(recording, bindings) {
+    const gestures = new GestureInputManager();
+    gestures.initialized = true;
+    const inputManager = new InputManager();
+    inputManager.registerProvider('gesture', new GestureProvider(gestures, bindings));
+    const source = new GestureReplaySource(recording, gestures);
+    source.start();
+    
+    const fired = { pause: [], throwGrenade: [] };
+    const frames = Math.ceil(source.duration / 1000 / GAME_FRAME) + 30;
+    for (let i = 0; i < frames; i++) {
+        source.advance(GAME_FRAME);
+        inputManager.update(GAME_FRAME);
+        if (inputManager.isPauseToggled()) fired.pause.push(i);
+        if (inputManager.isGrenadeThrowRequested()) fired.throwGrenade.push(i);
+    }
+    return fired;
+}
+
+test('an open-palm swipe throws a grenade without pausing', () => {
+    const fired = play(trace, DEFAULT_GESTURE_BINDINGS);
+    assert.equal(fired.throwGrenade.length, 1);
+    assert.deepEqual(fired.pause, []);
+});
+
+test('an open palm bound to pause only counts while held still', () => {
+    // The palm stays open for over 500 ms before the swipe, but it is moving
+    const fired = play(trace, { ...DEFAULT_GESTURE_BINDINGS, openPalm: 'pause' });
+    assert.equal(fired.throwGrenade.length, 1);
+    assert.deepEqual(fired.pause, []);
+    
+    // The same open hand held still for a second does pause, once
+    const [first] = trace.frames;
+    const still = { frames: Array.from({ length: 30 }, (_, i) => ({ ...first, t: Math.round(i * 333) / 10 })) };
+    assert.equal(play(still, { ...DEFAULT_GESTURE_BINDINGS, openPalm: 'pause' }).pause.length, 1);
+});
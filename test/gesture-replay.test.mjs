@@ -0,0 +1,102 @@
+// Recorded landmark traces replayed through GestureInputManager with GestureReplaySource
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { GestureInputManager, GestureReplaySource, GESTURE_RESPONSE_CURVES, DEFAULT_GESTURE_MOVEMENT } from '../js/core.js';
+
+const ARENA = { width: 1200, height: 800 };
+
+function loadTrace(name) {
+    return JSON.parse(readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'));
+}
+
+// Replay a trace and snapshot the gesture outputs after every camera frame
+function replay(trace, filters = null, drive = (source) => source.runAll()) {
+    const gestures = new GestureInputManager();
+    gestures.setArenaSize(ARENA.width, ARENA.height);
+    if (filters) gestures.setFilters(filters);
+    const outputs = [];
+    const onResults = gestures.onResults.bind(gestures);
+    gestures.onResults = (results, timestamp) => {
+        onResults(results, timestamp);
+        outputs.push({
+            movePinch: gestures.isRolePinchActive('move'),
+            move: gestures.getMoveVector(),
+            aim: gestures.getGestureAimTargetGame()
+        });
+    };
+    drive(new GestureReplaySource(trace, gestures));
+    return outputs;
+}
+
+const RAW = { aim: 'none', move: 'none', latencyCompensation: false };
+const trace = loadTrace('pinch-move-aim.json');
+
+test('pinch uses hysteresis between the on and off thresholds', () => {
+    // Thumb-index gap per 10 frames: 0.08, 0.047, 0.03, 0.047, 0.07, 0.047 against the
+    // default on 0.04 / off 0.055; 0.047 keeps whatever state the hand was in
+    const outputs = replay(trace);
+    const expected = outputs.map((_, index) => index >= 20 && index < 40);
+    assert.deepEqual(outputs.map(output => output.movePinch), expected);
+});
+
+test('movement maps the fingertip offset through the dead zone and response curve', () => {
+    // Offsets from the movement center: 0 (dead zone), 0.1 left of it in camera space
+    // (player moves right), 0.15 above it (moves up), then past the max radius
+    const exponent = GESTURE_RESPONSE_CURVES[DEFAULT_GESTURE_MOVEMENT.responseCurve];
+    const speed = (offset) => Math.min(1, Math.max(0, (offset - 0.05) / 0.15)) ** exponent;
+    const expectedAt = (index) => {
+        if (index < 10) return { x: 0, y: 0 };
+        if (index < 30) return { x: speed(0.1), y: 0 };
+        if (index < 40) return { x: 0, y: -speed(0.15) };
+        return { x: 1, y: 0 };
+    };
+    
+    replay(trace, RAW).forEach(({ move }, index) => {
+        const expected = expectedAt(index);
+        assert.ok(Math.abs(move.x - expected.x) < 0.01 && Math.abs(move.y - expected.y) < 0.01,
+            `frame ${index}: got (${move.x.toFixed(3)}, ${move.y.toFixed(3)})`);
+    });
+    
+    // The default smoothing eases into the same values once the hand settles
+    const smoothed = replay(trace);
+    [29, 59].forEach(index => {
+        const expected = expectedAt(index);
+        assert.ok(Math.abs(smoothed[index].move.x - expected.x) < 0.01, `smoothed frame ${index}`);
+        assert.ok(Math.abs(smoothed[index].move.y - expected.y) < 0.01, `smoothed frame ${index}`);
+    });
+    assert.ok(smoothed[10].move.x < expectedAt(10).x / 2, 'smoothing does not jump on the first frame');
+});
+
+test('aim smoothing removes landmark jitter and settles on the new target', () => {
+    const raw = replay(trace, RAW).map(output => output.aim);
+    const smoothed = replay(trace).map(output => output.aim);
+    
+    // Spread around the mean while the fingertip rests (frames 5-29)
+    const spread = (points) => {
+        const mean = points.reduce((sum, p) => ({ x: sum.x + p.x / points.length, y: sum.y + p.y / points.length }), { x: 0, y: 0 });
+        return Math.sqrt(points.reduce((sum, p) => sum + (p.x - mean.x) ** 2 + (p.y - mean.y) ** 2, 0) / points.length);
+    };
+    assert.ok(spread(smoothed.slice(5, 30)) < spread(raw.slice(5, 30)) / 2);
+    
+    // Recorded outputs of the default pipeline (One Euro with latency compensation)
+    assert.deepEqual(smoothed[0], { x: 600, y: 398 });
+    assert.deepEqual(smoothed[29], { x: 602, y: 401 });
+    assert.deepEqual(smoothed[30], { x: 752, y: 291 });
+    assert.deepEqual(smoothed[59], { x: 747, y: 292 });
+    
+    // After the jump it stays within a few points of the raw target
+    smoothed.slice(45).forEach((point, offset) => {
+        const target = raw[45 + offset];
+        assert.ok(Math.hypot(point.x - target.x, point.y - target.y) < 10, `frame ${45 + offset}`);
+    });
+});
+
+test('replaying at the game frame rate feeds the same frames as runAll', () => {
+    const byGameFrames = replay(trace, null, (source) => {
+        source.start();
+        for (let i = 0; i < 150; i++) source.advance(1 / 60);
+        assert.ok(source.isFinished());
+    });
+    assert.deepEqual(byGameFrames, replay(trace));
+});
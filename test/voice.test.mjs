@@ -0,0 +1,61 @@
+// Voice commands driven through ScriptedSpeechRecognizer, as the game loop would poll them
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { InputManager, VoiceProvider, ScriptedSpeechRecognizer } from '../js/core.js';
+
+const FRAME = 0.1; // seconds
+
+// Poll the input manager for `seconds` and collect what each frame carried
+function run(script, seconds) {
+    const inputManager = new InputManager();
+    inputManager.registerProvider('voice', new VoiceProvider(new ScriptedSpeechRecognizer(script)));
+    const frames = [];
+    for (let t = FRAME; t <= seconds + 1e-9; t += FRAME) {
+        inputManager.update(FRAME);
+        frames.push({
+            pauseToggle: inputManager.isPauseToggled(),
+            pauseCommand: inputManager.getPauseCommand(),
+            pickup: inputManager.isPickingUp(),
+            reload: inputManager.isReloadRequested(),
+            selectWeapon: inputManager.getWeaponSelect(),
+            switchWeapon: inputManager.getWeaponSwitch()
+        });
+    }
+    return frames;
+}
+
+test('parseActions finds whole-word commands in spoken order', () => {
+    assert.deepEqual(VoiceProvider.parseActions('Pick up the knife!'), ['pickup', 'selectKnife']);
+    assert.deepEqual(VoiceProvider.parseActions('reload, then next weapon'), ['reload', 'switchWeapon']);
+    assert.deepEqual(VoiceProvider.parseActions('grenade... no, grab it'), ['selectGrenade', 'pickup']);
+    assert.deepEqual(VoiceProvider.parseActions('the switcher resumed reloading'), []);
+});
+
+test('"pause" and "resume" name the state instead of toggling it', () => {
+    assert.deepEqual(VoiceProvider.parseActions('pause'), ['pause']);
+    assert.deepEqual(VoiceProvider.parseActions('resume'), ['resume']);
+    
+    const frames = run([
+        { at: 0.15, transcript: 'pause' },
+        { at: 0.45, transcript: 'Resume please' },
+        { at: 0.75, transcript: 'resume' }
+    ], 1.0);
+    assert.deepEqual(frames.map(frame => frame.pauseCommand),
+        [null, 'pause', null, null, 'resume', null, null, 'resume', null, null]);
+    assert.ok(frames.every(frame => !frame.pauseToggle), 'voice never toggles pause');
+});
+
+test('scripted transcripts become one-frame actions at their times', () => {
+    const frames = run([
+        { at: 0.25, transcript: 'grab that and reload' },
+        { at: 0.55, transcript: 'knife' },
+        { at: 0.85, transcript: 'switch' }
+    ], 1.0);
+    const active = (key) => frames.map((frame, index) => frame[key] ? index : -1).filter(index => index !== -1);
+    assert.deepEqual(active('pickup'), [2]);
+    assert.deepEqual(active('reload'), [2]);
+    assert.deepEqual(active('selectWeapon'), [5]);
+    assert.equal(frames[5].selectWeapon, 'melee');
+    // Weapon switch is latched until the game clears it
+    assert.deepEqual(active('switchWeapon'), [8, 9]);
+});
@@ -0,0 +1,29 @@
+// Controls find weapons by role, so renamed or missing weapons are handled
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_WEAPON_DEFINITIONS, registerWeaponDefinitions, findWeaponKey } from '../js/gameplay.js';
+
+afterEach(() => registerWeaponDefinitions(DEFAULT_WEAPON_DEFINITIONS));
+
+test('default weapons fill every role', () => {
+    assert.equal(findWeaponKey('melee'), 'knife');
+    assert.equal(findWeaponKey('grenade'), 'grenade');
+    assert.equal(findWeaponKey('sidearm'), 'pistol');
+});
+
+test('renamed weapons are found by their blocks', () => {
+    const { knife, grenade, pistol } = DEFAULT_WEAPON_DEFINITIONS;
+    assert.deepEqual(registerWeaponDefinitions({ revolver: pistol, blade: knife, frag: grenade }), []);
+    assert.equal(findWeaponKey('melee'), 'blade');
+    assert.equal(findWeaponKey('grenade'), 'frag');
+    assert.equal(findWeaponKey('sidearm'), 'revolver');
+});
+
+test('a role with no matching weapon resolves to null', () => {
+    const { shotgun, rifle } = DEFAULT_WEAPON_DEFINITIONS;
+    assert.deepEqual(registerWeaponDefinitions({ shotgun, rifle }), []);
+    assert.equal(findWeaponKey('melee'), null);
+    assert.equal(findWeaponKey('grenade'), null);
+    assert.equal(findWeaponKey('sidearm'), null);
+    assert.equal(findWeaponKey('unknown'), null);
+});